@@ -0,0 +1,90 @@
+// app.js
+// Express app factory. Takes a connected database so the same app runs on
+// Vercel (api/index.js) and against an in-memory MongoDB in the tests.
+const express = require("express");
+const cors = require("cors");
+const { createServices } = require("./services");
+const createSystemRouter = require("./routes/systemRoutes");
+const createAuthRouter = require("./routes/authRoutes");
+const createEventsRouter = require("./routes/eventsRoutes");
+const createRosterRouter = require("./routes/rosterRoutes");
+const createJoinRouter = require("./routes/joinRoutes");
+const createCalendarRouter = require("./routes/calendarRoutes");
+const createCronRouter = require("./routes/cronRoutes");
+const createModerationRouter = require("./routes/moderationRoutes");
+const createAssetRouter = require("./routes/assetRoutes");
+const createCommentRouter = require("./routes/commentRoutes");
+const createFeedbackRouter = require("./routes/feedbackRoutes");
+const createOrganizerRouter = require("./routes/organizerRoutes");
+const createOrganizationRouter = require("./routes/organizationRoutes");
+const createAnalyticsRouter = require("./routes/analyticsRoutes");
+const createRealtimeRouter = require("./routes/realtimeRoutes");
+
+// TRUST_PROXY: a hop count ("1", the default, for Vercel) or a
+// comma-separated list of proxy addresses / subnets
+function trustProxy(value = "1") {
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// `transport`, `rateLimitStore`, `storage` and `pubsub` replace the
+// notification transport, the rate limit counters, the image storage and
+// the real-time message bus (tests use in-memory ones); `rateLimits`
+// overrides route budgets
+function createApp({
+  db,
+  transport,
+  rateLimitStore,
+  rateLimits,
+  storage,
+  pubsub,
+}) {
+  const services = createServices(db, {
+    transport,
+    rateLimitStore,
+    rateLimits,
+    storage,
+    pubsub,
+  });
+  const app = express();
+
+  // --- Basic middlewares ---
+  app.use(
+    cors({
+      origin: [
+        "http://localhost:5173",
+        // Add your deployed frontend URLs here, e.g.:
+        // "https://your-frontend.netlify.app",
+        // "https://your-frontend.web.app",
+      ],
+      credentials: true,
+    })
+  );
+  app.use(express.json());
+  // behind Vercel's proxy: use X-Forwarded-* for req.protocol / req.ip, but
+  // only the hops we know about. Anything further left in X-Forwarded-For
+  // comes from the client, and the rate limits key on req.ip.
+  app.set("trust proxy", trustProxy(process.env.TRUST_PROXY));
+
+  // --- Routes ---
+  app.use("/", createSystemRouter(services));
+  app.use("/auth", createAuthRouter(services));
+  app.use("/events", createEventsRouter(services));
+  app.use("/events", createRosterRouter(services));
+  app.use("/events", createCommentRouter(services));
+  app.use("/calendar", createCalendarRouter(services));
+  app.use("/cron", createCronRouter(services));
+  app.use("/moderation", createModerationRouter(services));
+  app.use("/assets", createAssetRouter(services));
+  app.use("/organizations", createOrganizationRouter(services));
+  app.use("/analytics", createAnalyticsRouter(services));
+  app.use("/", createRealtimeRouter(services));
+  app.use("/", createJoinRouter(services));
+  app.use("/", createFeedbackRouter(services));
+  app.use("/", createOrganizerRouter(services));
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+};
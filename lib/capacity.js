@@ -0,0 +1,217 @@
+// lib/capacity.js
+// Seat accounting for events with a `capacity`.
+// Seat counters on the event are the source of truth for taken seats and are
+// only ever changed with conditional $inc updates, so two concurrent joins
+// can never both take the last seat.
+//
+// Counters:
+//   participantCount           -> whole-event / whole-series joins
+//   occurrenceCounts.<key>     -> joins for one occurrence of a recurring event
+// A whole-series participant holds a seat in every occurrence, so an
+// occurrence is full when participantCount + occurrenceCounts.<key> hits
+// capacity, and the series is full when any occurrence is.
+
+const OCCURRENCE_MAX = {
+  $ifNull: [
+    {
+      $max: {
+        $map: {
+          input: { $objectToArray: { $ifNull: ["$occurrenceCounts", {}] } },
+          in: "$$this.v",
+        },
+      },
+    },
+    0,
+  ],
+};
+
+// Seats already taken for one occurrence (key) or for the whole series (null)
+function takenExpr(key) {
+  const extra = key
+    ? { $ifNull: [`$occurrenceCounts.${key}`, 0] }
+    : OCCURRENCE_MAX;
+  return { $add: [{ $ifNull: ["$participantCount", 0] }, extra] };
+}
+
+function counterField(key) {
+  return key ? `occurrenceCounts.${key}` : "participantCount";
+}
+
+function seatsLeft(event, key = null) {
+  if (!event.capacity) return null;
+
+  const counts = Object.values(event.occurrenceCounts || {});
+  const extra = key
+    ? (event.occurrenceCounts || {})[key] || 0
+    : Math.max(0, ...counts);
+
+  return Math.max(event.capacity - (event.participantCount || 0) - extra, 0);
+}
+
+// Atomically take one seat. Resolves to the updated event, or null when full.
+async function reserveSeat(eventsCollection, eventId, key = null) {
+  return eventsCollection.findOneAndUpdate(
+    {
+      _id: eventId,
+      $or: [
+        { capacity: null },
+        { $expr: { $lt: [takenExpr(key), "$capacity"] } },
+      ],
+    },
+    { $inc: { [counterField(key)]: 1 } },
+    { returnDocument: "after" }
+  );
+}
+
+async function releaseSeat(eventsCollection, eventId, key = null) {
+  const field = counterField(key);
+
+  return eventsCollection.findOneAndUpdate(
+    { _id: eventId, [field]: { $gt: 0 } },
+    { $inc: { [field]: -1 } },
+    { returnDocument: "after" }
+  );
+}
+
+// Move waitlisted users (oldest first) for one occurrence key, or the whole
+// series when key is null, into free seats. Returns the number promoted.
+async function promoteKey(
+  eventsCollection,
+  joinedCollection,
+  eventId,
+  key,
+  onPromoted
+) {
+  let promoted = 0;
+
+  for (;;) {
+    const reserved = await reserveSeat(eventsCollection, eventId, key);
+    if (!reserved) break;
+
+    const next = await joinedCollection.findOneAndUpdate(
+      { eventId, occurrenceKey: key, status: "waitlisted" },
+      { $set: { status: "confirmed", promotedAt: new Date() } },
+      { sort: { joinedAt: 1 }, returnDocument: "after" }
+    );
+
+    if (!next) {
+      await releaseSeat(eventsCollection, eventId, key);
+      break;
+    }
+
+    promoted += 1;
+    if (onPromoted) await onPromoted(next);
+  }
+
+  return promoted;
+}
+
+// Fill free seats from every waitlist of an event (series first, then
+// each occurrence). Returns the number of promoted participants.
+// `onPromoted(joinDoc)` runs for each one (e.g. to notify them).
+async function promoteFromWaitlist(
+  eventsCollection,
+  joinedCollection,
+  eventId,
+  onPromoted
+) {
+  let promoted = await promoteKey(
+    eventsCollection,
+    joinedCollection,
+    eventId,
+    null,
+    onPromoted
+  );
+
+  const keys = await joinedCollection.distinct("occurrenceKey", {
+    eventId,
+    status: "waitlisted",
+    occurrenceKey: { $ne: null },
+  });
+
+  for (const key of keys) {
+    promoted += await promoteKey(
+      eventsCollection,
+      joinedCollection,
+      eventId,
+      key,
+      onPromoted
+    );
+  }
+
+  return promoted;
+}
+
+// 1-based position of a waitlisted join, or null when not waitlisted
+async function getWaitlistPosition(joinedCollection, joinDoc) {
+  if (joinDoc.status !== "waitlisted") return null;
+
+  const ahead = await joinedCollection.countDocuments({
+    eventId: joinDoc.eventId,
+    occurrenceKey: joinDoc.occurrenceKey ?? null,
+    status: "waitlisted",
+    joinedAt: { $lt: joinDoc.joinedAt },
+  });
+
+  return ahead + 1;
+}
+
+// Rebuild the counters from joinedEvents (legacy data, series splits)
+async function recountSeats(joinedCollection, eventId) {
+  const rows = await joinedCollection
+    .aggregate([
+      { $match: { eventId, status: { $ne: "waitlisted" } } },
+      {
+        $group: {
+          _id: { $ifNull: ["$occurrenceKey", null] },
+          n: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  const counts = { participantCount: 0, occurrenceCounts: {} };
+  for (const row of rows) {
+    if (row._id) counts.occurrenceCounts[row._id] = row.n;
+    else counts.participantCount = row.n;
+  }
+
+  return counts;
+}
+
+// Store recounted counters, but only if no join or leave changed them
+// while counting; retried a few times before giving up
+async function syncSeatCounters(eventsCollection, joinedCollection, eventId) {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const current = await eventsCollection.findOne(
+      { _id: eventId },
+      { projection: { participantCount: 1, occurrenceCounts: 1 } }
+    );
+    if (!current) return false;
+
+    const counts = await recountSeats(joinedCollection, eventId);
+    const result = await eventsCollection.updateOne(
+      {
+        _id: eventId,
+        participantCount: current.participantCount ?? null,
+        occurrenceCounts: current.occurrenceCounts ?? null,
+      },
+      { $set: counts }
+    );
+
+    if (result.matchedCount) return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  takenExpr,
+  seatsLeft,
+  reserveSeat,
+  releaseSeat,
+  promoteFromWaitlist,
+  getWaitlistPosition,
+  recountSeats,
+  syncSeatCounters,
+};
@@ -0,0 +1,36 @@
+// lib/checkIn.js
+// Per-participant check-in codes, issued at join time. The participant
+// shows the code (or a QR code of it) at the venue and the organizer scans
+// or types it in. Codes only work for the event they were issued for.
+const crypto = require("crypto");
+
+// no 0/O or 1/I/L, so codes survive being read aloud or typed in
+const ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 10;
+
+function createCheckInCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = "";
+  for (const byte of bytes) {
+    code += ALPHABET[byte % ALPHABET.length];
+  }
+  return code;
+}
+
+// Scanned or typed codes: ignore case, spaces and dashes
+function normalizeCode(raw) {
+  return String(raw).toUpperCase().replace(/[\s-]/g, "");
+}
+
+// Check-in record for one occurrence (null for one-off events / whole series)
+function findCheckIn(joinDoc, key) {
+  return (joinDoc.checkIns || []).find(
+    (c) => (c.occurrenceKey ?? null) === key
+  );
+}
+
+module.exports = {
+  createCheckInCode,
+  normalizeCode,
+  findCheckIn,
+};
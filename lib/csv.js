@@ -0,0 +1,31 @@
+// lib/csv.js
+// Minimal RFC 4180 CSV writer for exports.
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // keep spreadsheet apps from running cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {{ key: string, header: string }[]} columns
+ * @param {object[]} rows
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => formatCell(c.header)).join(",")];
+
+  for (const row of rows) {
+    lines.push(columns.map((c) => formatCell(row[c.key])).join(","));
+  }
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,211 @@
+// lib/db.js
+// MongoDB connection (lazy, reused across serverless invocations) and the
+// indexes every collection relies on.
+const { MongoClient } = require("mongodb");
+
+let clientPromise;
+
+// Connect once per process; later calls reuse the same client
+async function connectDb(uri = process.env.MONGO_URI) {
+  if (!clientPromise) {
+    const client = new MongoClient(uri, {
+      serverApi: {
+        version: "1",
+        // not strict: $text search and text indexes are outside Stable API v1
+        strict: false,
+        deprecationErrors: true,
+      },
+    });
+    clientPromise = client.connect().catch((err) => {
+      clientPromise = null; // let the next request retry
+      throw err;
+    });
+  }
+
+  const client = await clientPromise;
+  return client.db("social_events");
+}
+
+async function ensureIndexes(db) {
+  const events = db.collection("events");
+  const joined = db.collection("joinedEvents");
+  const feeds = db.collection("calendarFeeds");
+  const left = db.collection("leftEvents");
+  const notifications = db.collection("notifications");
+  const users = db.collection("users");
+  const auditLog = db.collection("auditLog");
+  const comments = db.collection("comments");
+  const feedback = db.collection("feedback");
+  const organizations = db.collection("organizations");
+  const follows = db.collection("follows");
+  const rateLimits = db.collection("rateLimits");
+  const realtime = db.collection("realtime");
+
+  // One index at a time: a failure is logged and the rest still get built
+  async function createIndex(collection, keys, options = {}) {
+    const name =
+      options.name ||
+      Object.entries(keys)
+        .map(([field, kind]) => `${field}_${kind}`)
+        .join("_");
+    try {
+      await collection.createIndex(keys, options);
+    } catch (err) {
+      console.error(
+        `Index setup error (${collection.collectionName}.${name}):`,
+        err
+      );
+    }
+  }
+
+  // Unique (eventId, userEmail) from before recurring events; it would keep
+  // a user from joining a second occurrence. join_unique below replaces it.
+  // Databases created since never had it (IndexNotFound / NamespaceNotFound).
+  try {
+    await joined.dropIndex("eventId_1_userEmail_1");
+    console.log("Dropped legacy index joinedEvents.eventId_1_userEmail_1");
+  } catch (err) {
+    if (
+      err.codeName !== "IndexNotFound" &&
+      err.codeName !== "NamespaceNotFound"
+    ) {
+      console.error(
+        "Index setup error (joinedEvents.eventId_1_userEmail_1):",
+        err
+      );
+    }
+  }
+
+  // one join per user per event (or per occurrence of a recurring event),
+  // even under concurrent requests
+  await createIndex(
+    joined,
+    { eventId: 1, userEmail: 1, occurrenceKey: 1 },
+    { unique: true, name: "join_unique" }
+  );
+  await createIndex(joined, {
+    eventId: 1,
+    occurrenceKey: 1,
+    status: 1,
+    joinedAt: 1,
+  });
+
+  // check-in codes are looked up per event when scanned
+  await createIndex(
+    joined,
+    { checkInCode: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { checkInCode: { $type: "string" } },
+    }
+  );
+
+  // full-text search for the listing endpoints
+  await createIndex(
+    events,
+    { title: "text", description: "text" },
+    { name: "events_text" }
+  );
+  await createIndex(joined, { eventTitle: "text" }, { name: "joined_text" });
+
+  // duplicate submission check on create; the unique one stops two
+  // concurrent submits of the same event (dedupeBucket is removed on edit
+  // and cancel)
+  await createIndex(events, {
+    creatorEmail: 1,
+    contentHash: 1,
+    createdAt: -1,
+  });
+  await createIndex(
+    events,
+    { creatorEmail: 1, contentHash: 1, dedupeBucket: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { dedupeBucket: { $type: "number" } },
+    }
+  );
+
+  // events a user co-organizes, manages as an organization admin or is
+  // invited to
+  await createIndex(events, { coOrganizers: 1 });
+  await createIndex(events, { organizationAdmins: 1 });
+  await createIndex(events, { "organizerInvites.email": 1 });
+
+  // status listings and the lifecycle cron
+  await createIndex(events, { status: 1, eventDate: 1 });
+
+  // "near me" queries
+  await createIndex(events, { geo: "2dsphere" });
+
+  // one calendar feed per user, looked up by token hash
+  await createIndex(feeds, { userEmail: 1 }, { unique: true });
+  await createIndex(feeds, { tokenHash: 1 }, { unique: true });
+
+  // events a user left, shown as cancelled in their feed for 90 days
+  await createIndex(
+    left,
+    { userEmail: 1, eventId: 1, occurrenceKey: 1 },
+    { unique: true }
+  );
+  await createIndex(
+    left,
+    { leftAt: 1 },
+    { expireAfterSeconds: 90 * 24 * 60 * 60 }
+  );
+
+  // notification outbox: due messages, and reminders queued only once
+  await createIndex(notifications, { status: 1, sendAfter: 1 });
+  await createIndex(
+    notifications,
+    { dedupeKey: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { dedupeKey: { $type: "string" } },
+    }
+  );
+
+  // one account per email; staff filter the account list by role/status
+  await createIndex(users, { email: 1 }, { unique: true });
+  await createIndex(users, { role: 1, status: 1 });
+
+  // change history per event, newest first
+  await createIndex(auditLog, { eventId: 1, _id: -1 });
+
+  // comment threads per event, replies per thread, the report queue
+  await createIndex(comments, { eventId: 1, parentId: 1, pinned: 1, _id: -1 });
+  await createIndex(comments, { parentId: 1, status: 1, _id: 1 });
+  await createIndex(comments, { reportCount: 1, _id: -1 });
+
+  // one rating per participant per event; reviews newest first
+  await createIndex(feedback, { eventId: 1, userEmail: 1 }, { unique: true });
+  await createIndex(feedback, { eventId: 1, _id: -1 });
+
+  // organizer reputation
+  await createIndex(events, { creatorEmail: 1, eventDate: 1 });
+
+  // organizations by slug, member and invitee; one follow per user and org
+  await createIndex(organizations, { slug: 1 }, { unique: true });
+  await createIndex(organizations, { "members.email": 1 });
+  await createIndex(organizations, { "invites.email": 1 });
+  await createIndex(
+    follows,
+    { userEmail: 1, organizationId: 1 },
+    { unique: true }
+  );
+  await createIndex(events, { organizationId: 1, eventDate: 1 });
+
+  // platform analytics by creation and join date
+  await createIndex(events, { createdAt: 1 });
+  await createIndex(joined, { joinedAt: 1 });
+
+  // rate limit windows delete themselves once they are over
+  await createIndex(rateLimits, { expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // real-time messages only need to live until the change stream sees them
+  await createIndex(realtime, { createdAt: 1 }, { expireAfterSeconds: 600 });
+}
+
+module.exports = {
+  connectDb,
+  ensureIndexes,
+};
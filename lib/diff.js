@@ -0,0 +1,32 @@
+// lib/diff.js
+// Field-level differences between two versions of a document.
+
+// Dates, ObjectIds and nested objects compare by their JSON form
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * @param {object} before  previous document ({} for a new one)
+ * @param {object} after   new document
+ * @param {string[]} fields  fields to compare
+ * @returns {object|null} { field: { from, to } } or null when nothing changed
+ */
+function diffFields(before, after, fields) {
+  const changes = {};
+
+  for (const field of fields) {
+    if (!sameValue(before[field], after[field])) {
+      changes[field] = {
+        from: before[field] ?? null,
+        to: after[field] ?? null,
+      };
+    }
+  }
+
+  return Object.keys(changes).length ? changes : null;
+}
+
+module.exports = {
+  diffFields,
+};
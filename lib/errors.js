@@ -0,0 +1,40 @@
+// lib/errors.js
+// Services throw ApiError for expected failures (bad input, not found,
+// forbidden, conflicts); routers turn it into the usual { ok: false } JSON.
+
+class ApiError extends Error {
+  /**
+   * @param {number} status   HTTP status code
+   * @param {string} message  user-facing message
+   * @param {object} details  extra fields merged into the response body
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send an ApiError as-is; log anything else and answer 500 with `message`
+function sendError(res, err, label, message) {
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({
+      ok: false,
+      message: err.message,
+      ...err.details,
+    });
+  }
+
+  console.error(`${label} error:`, err);
+  res.status(500).json({
+    ok: false,
+    message,
+    error: err.message,
+  });
+}
+
+module.exports = {
+  ApiError,
+  sendError,
+};
@@ -0,0 +1,30 @@
+// lib/etag.js
+// Optimistic concurrency for events: every update bumps `version`, which is
+// exposed as the ETag and checked against If-Match (or body.version).
+
+function eventEtag(event) {
+  return `"${event.version || 0}"`;
+}
+
+// Expected version from If-Match / body.version.
+// Returns a number, null when the client sent none, or NaN when malformed.
+function expectedVersion(req) {
+  const header = req.get("If-Match");
+
+  if (header && header.trim() !== "*") {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+    return match ? Number(match[1]) : NaN;
+  }
+
+  if (req.body && req.body.version !== undefined) {
+    const version = Number(req.body.version);
+    return Number.isInteger(version) ? version : NaN;
+  }
+
+  return null;
+}
+
+module.exports = {
+  eventEtag,
+  expectedVersion,
+};
@@ -0,0 +1,240 @@
+// lib/eventQuery.js
+// Shared query-builder for the event listings.
+// Turns ?q=&eventType=&location=&from=&to=&lat=&lng=&radius=&sort=&limit=
+// &cursor= into a MongoDB filter/sort plus an opaque cursor for the next page.
+const { ObjectId } = require("mongodb");
+const { parseNear } = require("./geo");
+
+// every listing is paged; ?limit= picks another page size
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// sort key -> { field, dir, type }
+const SORTS = {
+  date: { field: "eventDate", dir: 1, type: "date" },
+  "-date": { field: "eventDate", dir: -1, type: "date" },
+  newest: { field: "createdAt", dir: -1, type: "date" },
+  title: { field: "title", dir: 1, type: "string" },
+  relevance: { field: null, dir: -1, type: "score" },
+  distance: { field: null, dir: 1, type: "distance" },
+};
+
+// sorts that page by offset instead of a (field, _id) keyset
+const OFFSET_SORTS = ["score", "distance"];
+
+// field renames per collection; joinedEvents stores the title as "eventTitle"
+const EVENT_FIELDS = {};
+const JOINED_FIELDS = { title: "eventTitle", createdAt: "joinedAt" };
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Build a paginated listing query.
+ * @param {object} query    req.query
+ * @param {object} options  { baseFilter, fields, allowNear }
+ * @returns {object} { filter, sort, limit, ... } or { error }
+ */
+function buildListQuery(query, options = {}) {
+  const { baseFilter = {}, fields = EVENT_FIELDS, allowNear = false } = options;
+  const and = [baseFilter];
+
+  const q = query.q ? String(query.q).trim() : "";
+  if (q) {
+    and.push({ $text: { $search: q } });
+  }
+
+  const near = allowNear ? parseNear(query) : null;
+  if (near && near.error) return { error: near.error };
+  if (near && q) {
+    // $geoNear and $text cannot run in the same query
+    return { error: "Search (q) cannot be combined with lat/lng." };
+  }
+
+  if (query.eventType) {
+    const types = String(query.eventType)
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+    if (types.length) and.push({ eventType: { $in: types } });
+  }
+
+  if (query.location) {
+    and.push({
+      location: { $regex: escapeRegex(query.location), $options: "i" },
+    });
+  }
+
+  // a series that started earlier still counts while it has occurrences
+  // from `from` on (eventDate is its first occurrence)
+  if (query.from) {
+    const from = parseDate(query.from);
+    if (!from) return { error: "Invalid 'from' date." };
+    and.push({
+      $or: [
+        { eventDate: { $gte: from } },
+        {
+          recurrence: { $type: "object" },
+          $or: [{ seriesEnd: null }, { seriesEnd: { $gte: from } }],
+        },
+      ],
+    });
+  }
+
+  if (query.to) {
+    const to = parseDate(query.to);
+    if (!to) return { error: "Invalid 'to' date." };
+    and.push({ eventDate: { $lte: to } });
+  }
+
+  const sortKey = query.sort || (q ? "relevance" : near ? "distance" : "date");
+  const sortDef = SORTS[sortKey];
+  if (!sortDef) {
+    return {
+      error: `Invalid sort. Use one of: ${Object.keys(SORTS).join(", ")}.`,
+    };
+  }
+  if (sortDef.type === "score" && !q) {
+    return { error: "Sorting by relevance requires a search term (q)." };
+  }
+  if (sortDef.type === "distance" && !near) {
+    return { error: "Sorting by distance requires lat and lng." };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: "limit must be a positive whole number." };
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const field = fields[sortDef.field] || sortDef.field;
+
+  let sort;
+  let projection;
+  if (sortDef.type === "score") {
+    projection = { score: { $meta: "textScore" } };
+    sort = { score: { $meta: "textScore" }, _id: 1 };
+  } else if (sortDef.type === "distance") {
+    sort = { distanceMeters: 1, _id: 1 };
+  } else {
+    sort = { [field]: sortDef.dir, _id: sortDef.dir };
+  }
+
+  // relevance/distance page by offset; other sorts by (field, _id) keyset
+  let cursorOffset = 0;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "Invalid cursor." };
+
+    if (OFFSET_SORTS.includes(sortDef.type)) {
+      if (!Number.isInteger(cursor.o) || cursor.o < 0) {
+        return { error: "Invalid cursor." };
+      }
+      cursorOffset = cursor.o;
+    } else {
+      if (!ObjectId.isValid(cursor.id)) return { error: "Invalid cursor." };
+
+      const value = sortDef.type === "date" ? parseDate(cursor.v) : cursor.v;
+      const id = new ObjectId(cursor.id);
+      const op = sortDef.dir === 1 ? "$gt" : "$lt";
+
+      and.push({
+        $or: [
+          { [field]: { [op]: value } },
+          { [field]: value, _id: { [op]: id } },
+        ],
+      });
+    }
+  }
+
+  return {
+    filter: and.length === 1 ? baseFilter : { $and: and },
+    sort,
+    limit,
+    projection,
+    near,
+    sortKey,
+    sortField: field,
+    offsetPaging: OFFSET_SORTS.includes(sortDef.type),
+    cursorOffset,
+  };
+}
+
+// $geoNear pipeline: distance filter + distanceMeters on every result
+function nearPipeline(built) {
+  const pipeline = [
+    {
+      $geoNear: {
+        near: built.near.point,
+        distanceField: "distanceMeters",
+        maxDistance: built.near.maxDistance,
+        query: built.filter,
+        spherical: true,
+      },
+    },
+    { $sort: built.sort },
+  ];
+  if (built.cursorOffset) pipeline.push({ $skip: built.cursorOffset });
+  pipeline.push({ $limit: built.limit + 1 });
+  return pipeline;
+}
+
+/**
+ * Run a query built by buildListQuery.
+ * @returns {Promise<{ items: object[], nextCursor: string | null }>}
+ */
+async function runListQuery(collection, built) {
+  let items;
+
+  if (built.near) {
+    items = await collection.aggregate(nearPipeline(built)).toArray();
+  } else {
+    let cursor = collection.find(built.filter);
+    if (built.projection) cursor = cursor.project(built.projection);
+    cursor = cursor.sort(built.sort);
+    if (built.cursorOffset) cursor = cursor.skip(built.cursorOffset);
+    cursor = cursor.limit(built.limit + 1);
+
+    items = await cursor.toArray();
+  }
+
+  let nextCursor = null;
+  if (items.length > built.limit) {
+    items.length = built.limit;
+    const last = items[items.length - 1];
+
+    nextCursor = built.offsetPaging
+      ? encodeCursor({ o: built.cursorOffset + built.limit })
+      : encodeCursor({ v: last[built.sortField], id: String(last._id) });
+  }
+
+  return { items, nextCursor };
+}
+
+module.exports = {
+  EVENT_FIELDS,
+  JOINED_FIELDS,
+  buildListQuery,
+  runListQuery,
+};
@@ -0,0 +1,18 @@
+// lib/feedTokens.js
+// Secret tokens for personal calendar feed URLs.
+// Only a SHA-256 hash is stored, so a leaked database does not leak feeds.
+const crypto = require("crypto");
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function createToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashToken(token) };
+}
+
+module.exports = {
+  hashToken,
+  createToken,
+};
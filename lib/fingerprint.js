@@ -0,0 +1,22 @@
+// lib/fingerprint.js
+// Content fingerprints for spotting near-identical event submissions.
+// Case, punctuation, emoji and spacing are ignored, so "Beach Cleanup!!"
+// and "beach  cleanup" match.
+const crypto = require("crypto");
+
+function normalize(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function contentFingerprint({ title, description, location }) {
+  const text = [title, description, location].map(normalize).join("\n");
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+module.exports = {
+  contentFingerprint,
+};
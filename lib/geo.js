@@ -0,0 +1,91 @@
+// lib/geo.js
+// Event coordinates are stored as a GeoJSON Point in `geo`
+// ({ type: "Point", coordinates: [lng, lat] }) under a 2dsphere index.
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6371;
+
+function inRange(lat, lng) {
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    lat >= -90 &&
+    lat <= 90 &&
+    lng >= -180 &&
+    lng <= 180
+  );
+}
+
+/**
+ * Validate coordinates from a request body: { lat, lng } or a GeoJSON Point.
+ * Used as a `check` rule by middleware/validate.js.
+ * @returns {{ value: object } | { error: string }}
+ */
+function checkPoint(raw) {
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "Must be { lat, lng } or a GeoJSON Point." };
+  }
+
+  let lat;
+  let lng;
+  if (raw.type === "Point" && Array.isArray(raw.coordinates)) {
+    [lng, lat] = raw.coordinates.map(Number);
+  } else {
+    lat = Number(raw.lat);
+    lng = Number(raw.lng);
+  }
+
+  if (!inRange(lat, lng)) {
+    return { error: "lat must be -90..90 and lng -180..180." };
+  }
+
+  return { value: { type: "Point", coordinates: [lng, lat] } };
+}
+
+/**
+ * Read ?lat=&lng=&radius= (radius in km).
+ * @returns {null | { point, maxDistance } | { error }} maxDistance in meters
+ */
+function parseNear(query) {
+  if (query.lat === undefined && query.lng === undefined) return null;
+
+  const lat = Number(query.lat);
+  const lng = Number(query.lng);
+  if (!inRange(lat, lng)) {
+    return { error: "lat and lng are both required and must be valid." };
+  }
+
+  const radius =
+    query.radius === undefined ? DEFAULT_RADIUS_KM : Number(query.radius);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    return { error: `radius must be between 0 and ${MAX_RADIUS_KM} km.` };
+  }
+
+  return {
+    point: { type: "Point", coordinates: [lng, lat] },
+    maxDistance: radius * 1000,
+  };
+}
+
+// Great-circle distance in km between two GeoJSON Points
+function distanceKm(a, b) {
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  checkPoint,
+  parseNear,
+  distanceKm,
+};
@@ -0,0 +1,186 @@
+// lib/ics.js
+// iCalendar (RFC 5545) output for events and personal feeds.
+const { expandOccurrences, occurrenceKey } = require("./recurrence");
+
+const PRODID = "-//Social Events Platform//Events API//EN";
+const UID_DOMAIN = "social-events";
+// events only store a start time
+const DEFAULT_DURATION = "PT2H";
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// 20260101T090000Z
+function formatDate(date) {
+  return new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  const limit = () => (parts.length ? 74 : 75);
+
+  for (const char of line) {
+    const length = Buffer.byteLength(char, "utf8");
+    if (size + length > limit()) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+function rrule(recurrence) {
+  const parts = [`FREQ=${recurrence.freq}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  if (recurrence.until) parts.push(`UNTIL=${formatDate(recurrence.until)}`);
+  return parts.join(";");
+}
+
+function eventStatus(event, options) {
+  if (event.status === "cancelled" || options.cancelled) return "CANCELLED";
+  if (options.tentative) return "TENTATIVE";
+  return "CONFIRMED";
+}
+
+// One VEVENT as an array of unfolded lines
+function vevent(event, fields, options = {}) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${options.uid || `${event._id}@${UID_DOMAIN}`}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(fields.eventDate)}`,
+    `DURATION:${DEFAULT_DURATION}`,
+    `SUMMARY:${escapeText(fields.title)}`,
+    `DESCRIPTION:${escapeText(fields.description)}`,
+    `LOCATION:${escapeText(fields.location)}`,
+    `CATEGORIES:${escapeText(fields.eventType)}`,
+    `STATUS:${eventStatus(event, options)}`,
+    // bumped on every edit so calendar apps replace their copy
+    `SEQUENCE:${options.sequence ?? (event.version || 0)}`,
+    `LAST-MODIFIED:${formatDate(event.updatedAt || event.createdAt || new Date())}`,
+  ];
+
+  if (options.recurrenceId) {
+    lines.push(`RECURRENCE-ID:${formatDate(options.recurrenceId)}`);
+  }
+  if (fields.thumbnail) lines.push(`ATTACH:${fields.thumbnail}`);
+  if (event.creatorEmail) {
+    lines.push(`ORGANIZER:mailto:${event.creatorEmail}`);
+  }
+  if (options.url) lines.push(`URL:${options.url}`);
+  if (options.extra) lines.push(...options.extra);
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * VEVENTs for one event.
+ * A recurring event becomes its master VEVENT (RRULE/EXDATE) plus one
+ * VEVENT per edited occurrence. With `occurrenceKeys`, only those single
+ * occurrences are emitted, each with its own UID.
+ */
+function eventToVevents(event, options = {}) {
+  if (!event.recurrence) {
+    return [vevent(event, event, options)];
+  }
+
+  if (options.occurrenceKeys) {
+    const found = new Map(
+      expandOccurrences(event, {
+        from: new Date(0),
+        limit: 5000,
+        includeExcluded: true,
+      }).map((o) => [o.key, o])
+    );
+    const excluded = new Set(
+      (event.recurrence.exdates || []).map(occurrenceKey)
+    );
+
+    // occurrences cut off by a shortened series still go out as CANCELLED
+    return options.occurrenceKeys.map((key) => {
+      const o = found.get(key);
+      return vevent(
+        event,
+        o
+          ? { ...event, ...o.changes, eventDate: o.eventDate }
+          : { ...event, eventDate: new Date(Number(key)) },
+        {
+          ...options,
+          uid: `${event._id}-${key}@${UID_DOMAIN}`,
+          cancelled: options.cancelled || !o || excluded.has(key),
+        }
+      );
+    });
+  }
+
+  const extra = [`RRULE:${rrule(event.recurrence)}`];
+  for (const date of event.recurrence.exdates || []) {
+    extra.push(`EXDATE:${formatDate(date)}`);
+  }
+
+  const out = [vevent(event, event, { ...options, extra })];
+
+  for (const override of event.overrides || []) {
+    out.push(
+      vevent(
+        event,
+        {
+          ...event,
+          ...override.changes,
+          eventDate: override.changes.eventDate || override.occurrenceDate,
+        },
+        { ...options, recurrenceId: override.occurrenceDate }
+      )
+    );
+  }
+
+  return out;
+}
+
+/**
+ * Full VCALENDAR document.
+ * @param {string[][]} vevents  output of eventToVevents, flattened one level
+ * @param {object} options      { name }
+ */
+function buildCalendar(vevents, options = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+  for (const event of vevents) lines.push(...event);
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  eventToVevents,
+  buildCalendar,
+};
@@ -0,0 +1,109 @@
+// lib/images.js
+// Turns an uploaded image into resized WebP variants and a blurhash
+// placeholder. Re-encoding drops EXIF and every other metadata block
+// (camera details, GPS position); the orientation is applied first.
+const sharp = require("sharp");
+const { encode } = require("blurhash");
+const { ApiError } = require("./errors");
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+// decompression bombs: refuse anything above ~40 megapixels
+const MAX_PIXELS = 40_000_000;
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp", "gif", "avif", "heif"];
+const ACCEPTED_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/avif",
+  "image/heic",
+  "image/heif",
+];
+
+// longest side in pixels; smaller images are never enlarged
+const VARIANTS = {
+  small: 320,
+  medium: 800,
+  large: 1600,
+};
+
+const UNREADABLE = "The file is not a readable image.";
+
+async function readImage(buffer) {
+  try {
+    return await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+  } catch (err) {
+    throw new ApiError(400, UNREADABLE);
+  }
+}
+
+// A header can parse while the pixel data is truncated or corrupt; that
+// only fails once sharp decodes it here
+async function render(pipeline) {
+  try {
+    return await pipeline.toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    throw new ApiError(400, UNREADABLE);
+  }
+}
+
+async function blurhashOf(image) {
+  const { data, info } = await render(
+    image.clone().resize(32, 32, { fit: "inside" }).ensureAlpha().raw()
+  );
+
+  return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+}
+
+/**
+ * @param {Buffer} buffer  the uploaded file
+ * @returns {Promise<{ width, height, blurhash, variants: object[] }>}
+ *   variants: [{ name, buffer, width, height, contentType }]
+ */
+async function processImage(buffer) {
+  const meta = await readImage(buffer);
+
+  // the declared type is only a hint; trust what sharp actually decoded
+  if (!ACCEPTED_FORMATS.includes(meta.format)) {
+    throw new ApiError(
+      415,
+      "Unsupported image type. Use JPEG, PNG, WebP, GIF, AVIF or HEIC."
+    );
+  }
+
+  const image = sharp(buffer, { limitInputPixels: MAX_PIXELS }).rotate();
+
+  const variants = [];
+  for (const [name, size] of Object.entries(VARIANTS)) {
+    const { data, info } = await render(
+      image
+        .clone()
+        .resize(size, size, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 80 })
+    );
+
+    variants.push({
+      name,
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      contentType: "image/webp",
+    });
+  }
+
+  const largest = variants[variants.length - 1];
+
+  return {
+    width: largest.width,
+    height: largest.height,
+    blurhash: await blurhashOf(image),
+    variants,
+  };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  ACCEPTED_TYPES,
+  VARIANTS,
+  processImage,
+};
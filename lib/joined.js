@@ -0,0 +1,57 @@
+// lib/joined.js
+// joinedEvents documents carry a copy of the event fields shown on a
+// participant's dashboard. Build that copy in one place so joins and
+// event updates never drift apart.
+const { occurrenceKey, occurrenceView } = require("./recurrence");
+
+function eventSnapshot(event) {
+  return {
+    eventTitle: event.title,
+    eventType: event.eventType,
+    thumbnail: event.thumbnail,
+    location: event.location,
+    eventDate: event.eventDate,
+    creatorEmail: event.creatorEmail,
+  };
+}
+
+// Re-copy the current event fields onto every joined document.
+// Single-occurrence joins keep their own date and per-occurrence edits.
+async function syncJoinedCopies(joinedCollection, event) {
+  const snapshot = eventSnapshot(event);
+  const { eventDate, ...shared } = snapshot;
+
+  await joinedCollection.updateMany(
+    { eventId: event._id, occurrenceKey: null },
+    { $set: snapshot }
+  );
+  await joinedCollection.updateMany(
+    { eventId: event._id, occurrenceKey: { $ne: null } },
+    { $set: shared }
+  );
+
+  for (const override of event.overrides || []) {
+    await syncOccurrenceCopies(joinedCollection, event, override);
+  }
+}
+
+// Re-copy one edited occurrence onto its joined documents
+async function syncOccurrenceCopies(joinedCollection, event, override) {
+  const view = occurrenceView(event, {
+    originalDate: override.occurrenceDate,
+    eventDate: override.changes.eventDate || override.occurrenceDate,
+    key: occurrenceKey(override.occurrenceDate),
+    changes: override.changes,
+  });
+
+  return joinedCollection.updateMany(
+    { eventId: event._id, occurrenceKey: view.occurrenceKey },
+    { $set: eventSnapshot(view) }
+  );
+}
+
+module.exports = {
+  eventSnapshot,
+  syncJoinedCopies,
+  syncOccurrenceCopies,
+};
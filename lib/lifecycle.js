@@ -0,0 +1,71 @@
+// lib/lifecycle.js
+// Event lifecycle. Drafts are private to their creator until published;
+// published events are listed and joinable until they take place
+// (completed) or are called off (cancelled); either can then be archived.
+// Events stored before the status field existed count as published.
+const STATUSES = ["draft", "published", "completed", "cancelled", "archived"];
+
+// from -> allowed next statuses
+const TRANSITIONS = {
+  draft: ["published", "cancelled"],
+  published: ["completed", "cancelled"],
+  completed: ["archived"],
+  cancelled: ["archived"],
+  archived: [],
+};
+
+// the organizer can still edit the details
+const EDITABLE_STATUSES = ["draft", "published"];
+
+function statusOf(event) {
+  return event.status || "published";
+}
+
+function canTransition(from, to) {
+  return TRANSITIONS[from].includes(to);
+}
+
+// Filter for events in any of `statuses`
+function statusFilter(statuses) {
+  return statuses.includes("published")
+    ? { status: { $in: [...statuses, null] } }
+    : { status: { $in: statuses } };
+}
+
+// A one-off event is over once it starts; a series after its last occurrence
+function isOver(event, now = new Date()) {
+  return event.recurrence
+    ? Boolean(event.seriesEnd) && event.seriesEnd <= now
+    : event.eventDate <= now;
+}
+
+/**
+ * ?status=published,completed -> the statuses asked for.
+ * @returns {{ statuses: string[] } | { error: string }}
+ */
+function parseStatuses(value, { allowed, fallback }) {
+  if (!value) return { statuses: fallback };
+
+  const statuses = String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const unknown = statuses.find((s) => !allowed.includes(s));
+
+  if (unknown || !statuses.length) {
+    return { error: `Invalid status. Use any of: ${allowed.join(", ")}.` };
+  }
+
+  return { statuses };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  EDITABLE_STATUSES,
+  statusOf,
+  canTransition,
+  statusFilter,
+  isOver,
+  parseStatuses,
+};
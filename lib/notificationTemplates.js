@@ -0,0 +1,133 @@
+// lib/notificationTemplates.js
+// Plain-text messages sent to participants, invited co-organizers and
+// invited organization members. Each template takes { event, ...extra }
+// (organization invites: { organization, ...extra }) and returns
+// { subject, text }.
+
+// 2026-10-19 09:00 UTC
+function formatWhen(date) {
+  return new Date(date).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+}
+
+function eventLink(event) {
+  const base = process.env.APP_URL;
+  return base ? `${base.replace(/\/$/, "")}/events/${event._id}` : null;
+}
+
+function details(event) {
+  const lines = [
+    `When:  ${formatWhen(event.eventDate)}`,
+    `Where: ${event.location}`,
+  ];
+  const link = eventLink(event);
+  if (link) lines.push(`Details: ${link}`);
+  return lines.join("\n");
+}
+
+const TEMPLATES = {
+  joined({ event, status, checkInCode }) {
+    if (status === "waitlisted") {
+      return {
+        subject: `Waitlisted: ${event.title}`,
+        text: [
+          `"${event.title}" is full, so you are on the waitlist.`,
+          "We will let you know if a seat opens up.",
+          "",
+          details(event),
+        ].join("\n"),
+      };
+    }
+
+    return {
+      subject: `You're in: ${event.title}`,
+      text: [
+        `You have joined "${event.title}".`,
+        "",
+        details(event),
+        "",
+        `Your check-in code: ${checkInCode}`,
+      ].join("\n"),
+    };
+  },
+
+  promoted({ event, checkInCode }) {
+    return {
+      subject: `A seat opened up: ${event.title}`,
+      text: [
+        `Good news: you moved off the waitlist for "${event.title}".`,
+        "",
+        details(event),
+        "",
+        `Your check-in code: ${checkInCode}`,
+      ].join("\n"),
+    };
+  },
+
+  eventUpdated({ event }) {
+    return {
+      subject: `Updated: ${event.title}`,
+      text: [
+        `The organizer changed "${event.title}". Here are the latest details.`,
+        "",
+        details(event),
+      ].join("\n"),
+    };
+  },
+
+  eventCancelled({ event, reason }) {
+    const lines = [`"${event.title}" has been cancelled.`];
+    if (reason) lines.push(`Reason: ${reason}`);
+
+    return {
+      subject: `Cancelled: ${event.title}`,
+      text: [...lines, "", details(event)].join("\n"),
+    };
+  },
+
+  organizerInvite({ event, invitedBy }) {
+    return {
+      subject: `Help organize: ${event.title}`,
+      text: [
+        `${invitedBy} invited you to co-organize "${event.title}".`,
+        "Accept the invitation from your organizer invites to join the team.",
+        "",
+        details(event),
+      ].join("\n"),
+    };
+  },
+
+  organizationInvite({ organization, role, invitedBy }) {
+    return {
+      subject: `Join ${organization.name}`,
+      text: [
+        `${invitedBy} invited you to join "${organization.name}" as ${
+          role === "admin" ? "an admin" : "a member"
+        }.`,
+        "Accept the invitation from your organization invites to join.",
+      ].join("\n"),
+    };
+  },
+
+  reminder({ event }) {
+    return {
+      subject: `Coming up: ${event.title}`,
+      text: [
+        `Reminder: "${event.title}" starts within 24 hours.`,
+        "",
+        details(event),
+      ].join("\n"),
+    };
+  },
+};
+
+function renderTemplate(type, data) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${type}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  renderTemplate,
+};
@@ -0,0 +1,51 @@
+// lib/organizations.js
+// Organization roles and slugs. An organization is named in URLs by its id
+// or its slug; slugs never look like ids, so either works.
+const ORG_ROLES = ["member", "admin"];
+
+// taken by routes under /organizations
+const RESERVED_SLUGS = ["invites"];
+
+const ID_RE = /^[0-9a-f]{24}$/i;
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function isOrgId(value) {
+  return ID_RE.test(String(value));
+}
+
+// For `slug` in lib/schemas.js
+function checkSlug(raw) {
+  const value = typeof raw === "string" ? raw.trim().toLowerCase() : "";
+  if (
+    !SLUG_RE.test(value) ||
+    value.length > 60 ||
+    isOrgId(value) ||
+    RESERVED_SLUGS.includes(value)
+  ) {
+    return {
+      error:
+        "Use up to 60 lowercase letters, numbers and dashes, e.g. green-dhaka.",
+    };
+  }
+  return { value };
+}
+
+// "Green Dhaka Volunteers!" -> "green-dhaka-volunteers"
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+    .replace(/-+$/, "");
+}
+
+module.exports = {
+  ORG_ROLES,
+  RESERVED_SLUGS,
+  isOrgId,
+  checkSlug,
+  slugify,
+};
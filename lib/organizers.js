@@ -0,0 +1,38 @@
+// lib/organizers.js
+// An event is run by its owner (`creatorEmail`), the co-organizers who
+// accepted an invite and, for events an organization hosts, that
+// organization's admins. They can all do everything the owner can except
+// manage the team and hand the event over.
+//   coOrganizers: [email]
+//   organizerInvites: [{ email, invitedBy, invitedAt }]
+//   organizationAdmins: [email]   kept up to date by organizationService
+
+function isOwner(event, email) {
+  return Boolean(email) && event.creatorEmail === email;
+}
+
+function isOrganizer(event, email) {
+  return (
+    isOwner(event, email) ||
+    (event.coOrganizers || []).includes(email) ||
+    (event.organizationAdmins || []).includes(email)
+  );
+}
+
+// Filter for the events `email` organizes, as owner, co-organizer or
+// organization admin
+function organizedBy(email) {
+  return {
+    $or: [
+      { creatorEmail: email },
+      { coOrganizers: email },
+      { organizationAdmins: email },
+    ],
+  };
+}
+
+module.exports = {
+  isOwner,
+  isOrganizer,
+  organizedBy,
+};
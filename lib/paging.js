@@ -0,0 +1,47 @@
+// lib/paging.js
+// ?limit=&cursor= paging over _id order, for lists that don't need the
+// sortable listing queries of lib/eventQuery.js.
+const { ObjectId } = require("mongodb");
+const { ApiError } = require("./errors");
+
+/**
+ * @param {object} query  req.query
+ * @returns {{ limit: number, cursor: ObjectId|null }}
+ */
+function parsePage(query, { defaultLimit = 50, maxLimit = 200 } = {}) {
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ApiError(400, "limit must be a positive whole number.");
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    if (!ObjectId.isValid(query.cursor)) {
+      throw new ApiError(400, "Invalid cursor.");
+    }
+    cursor = new ObjectId(query.cursor);
+  }
+
+  return { limit, cursor };
+}
+
+// `items` was fetched with limit + 1: trims the extra one and returns the
+// cursor for the next page (the last _id), or null on the last page
+function pageOf(items, limit) {
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    nextCursor: hasMore ? String(items[items.length - 1]._id) : null,
+  };
+}
+
+module.exports = {
+  parsePage,
+  pageOf,
+};
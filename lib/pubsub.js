@@ -0,0 +1,118 @@
+// lib/pubsub.js
+// Message bus behind the real-time streams (services/realtimeService.js).
+// Every backend has
+//   name: string
+//   publish(channel, message): Promise
+//   subscribe(channel, listener): () => void   (call it to unsubscribe)
+// and delivers each message to every subscriber of its channel.
+//
+// PUBSUB_DRIVER picks one: "mongo" (default) or "memory".
+//   mongo  -> messages go through the `realtime` collection and reach every
+//             server instance via a change stream (needs a replica set,
+//             as on Atlas)
+//   memory -> per process; for tests and single-instance servers
+
+// Channel -> listeners, shared by both backends for local delivery
+function createListeners() {
+  const channels = new Map();
+
+  return {
+    get size() {
+      return channels.size;
+    },
+    add(channel, listener) {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(listener);
+
+      return () => {
+        const listeners = channels.get(channel);
+        if (!listeners) return;
+        listeners.delete(listener);
+        if (listeners.size === 0) channels.delete(channel);
+      };
+    },
+    deliver(channel, message) {
+      for (const listener of channels.get(channel) || []) {
+        try {
+          listener(message);
+        } catch (err) {
+          console.error("Realtime listener error:", err);
+        }
+      }
+    },
+  };
+}
+
+function memoryPubSub() {
+  const listeners = createListeners();
+
+  return {
+    name: "memory",
+    async publish(channel, message) {
+      // deliver after the publisher moves on, like a real broker
+      setImmediate(() => listeners.deliver(channel, message));
+    },
+    subscribe(channel, listener) {
+      return listeners.add(channel, listener);
+    },
+  };
+}
+
+// Needs the TTL index from ensureIndexes (lib/db.js) to clean up.
+// One change stream per process, open while anyone is subscribed.
+function mongoPubSub(collection, { retryMs = 1000 } = {}) {
+  const listeners = createListeners();
+  let stream = null;
+
+  function open() {
+    stream = collection.watch([{ $match: { operationType: "insert" } }]);
+
+    stream.on("change", ({ fullDocument }) => {
+      listeners.deliver(fullDocument.channel, fullDocument.message);
+    });
+    stream.on("error", (err) => {
+      console.error("Realtime change stream error:", err);
+      close();
+      setTimeout(() => {
+        if (listeners.size && !stream) open();
+      }, retryMs).unref();
+    });
+  }
+
+  function close() {
+    if (!stream) return;
+    stream.close().catch(() => {});
+    stream = null;
+  }
+
+  return {
+    name: "mongo",
+    async publish(channel, message) {
+      await collection.insertOne({ channel, message, createdAt: new Date() });
+    },
+    subscribe(channel, listener) {
+      const remove = listeners.add(channel, listener);
+      if (!stream) open();
+
+      return () => {
+        remove();
+        if (listeners.size === 0) close();
+      };
+    },
+  };
+}
+
+function createPubSub(db, env = process.env) {
+  const kind = (env.PUBSUB_DRIVER || "mongo").toLowerCase();
+
+  if (kind === "mongo") return mongoPubSub(db.collection("realtime"));
+  if (kind === "memory") return memoryPubSub();
+
+  throw new Error(`Unknown PUBSUB_DRIVER: ${kind}`);
+}
+
+module.exports = {
+  memoryPubSub,
+  mongoPubSub,
+  createPubSub,
+};
@@ -0,0 +1,104 @@
+// lib/rateLimitStores.js
+// Counters behind middleware/rateLimit.js. Every store has
+//   name: string
+//   hit(key, windowMs): Promise<{ count, resetAt }>
+// which counts one request in the fixed window that contains "now" and
+// returns the total so far plus the time that window ends.
+//
+// RATE_LIMIT_STORE picks one: "mongo" (default) or "memory".
+//   mongo  -> shared by every serverless instance (`rateLimits` collection)
+//   memory -> per process; for tests and single-instance servers
+// For Redis, pass redisStore(client) to createApp({ rateLimitStore }).
+
+function windowOf(windowMs, now = Date.now()) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: new Date(start + windowMs) };
+}
+
+function memoryStore() {
+  const counters = new Map();
+
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      const { start, resetAt } = windowOf(windowMs, now);
+      const id = `${key}:${start}`;
+
+      // drop finished windows now and then so the map doesn't grow forever
+      if (counters.size > 10000) {
+        for (const [k, entry] of counters) {
+          if (entry.resetAt.getTime() <= now) counters.delete(k);
+        }
+      }
+
+      const entry = counters.get(id) || { count: 0, resetAt };
+      entry.count += 1;
+      counters.set(id, entry);
+
+      return { count: entry.count, resetAt };
+    },
+  };
+}
+
+// Needs the TTL index from ensureIndexes (lib/db.js) to clean up
+function mongoStore(collection) {
+  async function increment(id, resetAt) {
+    return collection.findOneAndUpdate(
+      { _id: id },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, returnDocument: "after" }
+    );
+  }
+
+  return {
+    name: "mongo",
+    async hit(key, windowMs) {
+      const { start, resetAt } = windowOf(windowMs);
+      const id = `${key}:${start}`;
+
+      let doc;
+      try {
+        doc = await increment(id, resetAt);
+      } catch (err) {
+        // two first hits raced on the upsert; the loser just increments
+        if (err.code !== 11000) throw err;
+        doc = await increment(id, resetAt);
+      }
+
+      return { count: doc.count, resetAt };
+    },
+  };
+}
+
+// `client` is a connected node-redis v4 client (incr, pExpire)
+function redisStore(client) {
+  return {
+    name: "redis",
+    async hit(key, windowMs) {
+      const { start, resetAt } = windowOf(windowMs);
+      const id = `ratelimit:${key}:${start}`;
+
+      const count = await client.incr(id);
+      if (count === 1) await client.pExpire(id, windowMs);
+
+      return { count, resetAt };
+    },
+  };
+}
+
+function createRateLimitStore(db, env = process.env) {
+  const kind = (env.RATE_LIMIT_STORE || "mongo").toLowerCase();
+
+  if (kind === "mongo") return mongoStore(db.collection("rateLimits"));
+  if (kind === "memory") return memoryStore();
+
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${kind}`);
+}
+
+module.exports = {
+  memoryStore,
+  mongoStore,
+  redisStore,
+  createRateLimitStore,
+};
@@ -0,0 +1,117 @@
+// lib/recommend.js
+// Ranks upcoming events for one user by how much they resemble the events
+// the user joined before. Pure functions, so the ranking only depends on
+// its inputs.
+//
+// Each candidate gets a 0..1 signal per reason, weighted and summed:
+//   type       -> share of the user's joins with the same eventType
+//   organizer  -> joins at events by the same organizer (two or more = 1)
+//   nearby     -> closeness to the user's location or past venues
+//   popular    -> participants, relative to the most joined candidate
+// Users without history only get the nearby and popular signals.
+const { DEFAULT_RADIUS_KM, distanceKm } = require("./geo");
+
+const WEIGHTS = {
+  type: 3,
+  organizer: 2,
+  nearby: 2,
+  popular: 1,
+};
+
+// Joins at the same organizer's events that count as fully familiar
+const FAMILIAR_JOINS = 2;
+
+function countBy(items, key) {
+  const counts = new Map();
+  for (const item of items) {
+    const value = item[key];
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Summarize join history.
+ * @param {object[]} history  { eventType, creatorEmail, geo } per join
+ * @param {object} [options]
+ * @param {object} [options.near]  GeoJSON Point the user is at; replaces
+ *                                 past venues as the reference for "nearby"
+ * @param {number} [options.radiusKm]  distance at which "nearby" reaches 0
+ */
+function buildProfile(history, { near = null, radiusKm } = {}) {
+  return {
+    joins: history.length,
+    types: countBy(history, "eventType"),
+    organizers: countBy(history, "creatorEmail"),
+    places: near ? [near] : history.map((h) => h.geo).filter(Boolean),
+    radiusKm: radiusKm || DEFAULT_RADIUS_KM,
+  };
+}
+
+function popularityOf(event) {
+  return event.participantCount || 0;
+}
+
+function signals(event, profile, maxPopularity) {
+  const type = profile.joins
+    ? (profile.types.get(event.eventType) || 0) / profile.joins
+    : 0;
+
+  const organizerJoins = [event.creatorEmail, ...(event.coOrganizers || [])]
+    .map((email) => profile.organizers.get(email) || 0)
+    .reduce((max, n) => Math.max(max, n), 0);
+  const organizer = Math.min(organizerJoins / FAMILIAR_JOINS, 1);
+
+  let nearby = 0;
+  if (event.geo && profile.places.length) {
+    const closest = Math.min(
+      ...profile.places.map((place) => distanceKm(place, event.geo))
+    );
+    nearby = Math.max(0, 1 - closest / profile.radiusKm);
+  }
+
+  const popular = maxPopularity
+    ? Math.log1p(popularityOf(event)) / Math.log1p(maxPopularity)
+    : 0;
+
+  return { type, organizer, nearby, popular };
+}
+
+/**
+ * Score and order candidates, best first. Ties go to the sooner event,
+ * then the older _id.
+ * @returns {object[]} the top `limit` events, each with
+ *                     `recommendation: { score, reasons }`
+ */
+function rankEvents(candidates, profile, { limit }) {
+  const maxPopularity = Math.max(0, ...candidates.map(popularityOf));
+
+  const scored = candidates.map((event) => {
+    const found = signals(event, profile, maxPopularity);
+    const reasons = Object.keys(WEIGHTS).filter((name) => found[name] > 0);
+    const total = reasons.reduce(
+      (sum, name) => sum + WEIGHTS[name] * found[name],
+      0
+    );
+
+    return {
+      ...event,
+      recommendation: { score: Math.round(total * 1000) / 1000, reasons },
+    };
+  });
+
+  scored.sort(
+    (a, b) =>
+      b.recommendation.score - a.recommendation.score ||
+      a.eventDate - b.eventDate ||
+      String(a._id).localeCompare(String(b._id))
+  );
+
+  return scored.slice(0, limit);
+}
+
+module.exports = {
+  WEIGHTS,
+  buildProfile,
+  rankEvents,
+};
@@ -0,0 +1,297 @@
+// lib/recurrence.js
+// RRULE-style recurring events.
+// A recurring event stores its first occurrence in `eventDate` (DTSTART) and
+//   recurrence: { freq, interval, count, until, exdates }
+//   overrides:  [{ occurrenceDate, changes }]   // edits to single occurrences
+//   seriesEnd:  Date | null                     // last occurrence, null = endless
+// Occurrences are identified by their original start time ("occurrence key"
+// = epoch milliseconds as a string, safe to use in MongoDB field paths).
+
+const FREQS = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const MAX_COUNT = 500;
+const MAX_STEPS = 5000;
+const DEFAULT_EXPAND = 10;
+
+function occurrenceKey(date) {
+  return String(new Date(date).getTime());
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// n-th candidate after `start`, or null when the day does not exist
+// (e.g. the 31st in a 30-day month, which RRULE skips)
+function nthCandidate(start, freq, step) {
+  const date = new Date(start);
+
+  if (freq === "DAILY") {
+    date.setUTCDate(date.getUTCDate() + step);
+  } else if (freq === "WEEKLY") {
+    date.setUTCDate(date.getUTCDate() + step * 7);
+  } else if (freq === "MONTHLY") {
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + step);
+    date.setUTCDate(start.getUTCDate());
+    if (date.getUTCDate() !== start.getUTCDate()) return null;
+  } else {
+    date.setUTCFullYear(date.getUTCFullYear() + step);
+    if (date.getUTCMonth() !== start.getUTCMonth()) return null;
+  }
+
+  return date;
+}
+
+/**
+ * Validate a recurrence rule from a request body.
+ * Used as a `check` rule by middleware/validate.js.
+ * @returns {{ value: object } | { error: string }}
+ */
+function checkRecurrence(raw) {
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "Must be an object." };
+  }
+
+  const freq = String(raw.freq || "").toUpperCase();
+  if (!FREQS.includes(freq)) {
+    return { error: `freq must be one of: ${FREQS.join(", ")}.` };
+  }
+
+  const interval = raw.interval === undefined ? 1 : Number(raw.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return { error: "interval must be a whole number from 1 to 365." };
+  }
+
+  let count = null;
+  if (raw.count !== undefined && raw.count !== null) {
+    count = Number(raw.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      return { error: `count must be a whole number from 1 to ${MAX_COUNT}.` };
+    }
+  }
+
+  let until = null;
+  if (raw.until !== undefined && raw.until !== null) {
+    until = parseDate(raw.until);
+    if (!until) return { error: "until must be a valid date." };
+  }
+
+  if (count && until) {
+    return { error: "Use either count or until, not both." };
+  }
+
+  const exdates = [];
+  for (const value of raw.exdates || []) {
+    const date = parseDate(value);
+    if (!date) return { error: "exdates must contain valid dates." };
+    exdates.push(date);
+  }
+
+  return { value: { freq, interval, count, until, exdates } };
+}
+
+// Last occurrence start, or null for an endless series
+function computeSeriesEnd(start, recurrence) {
+  if (recurrence.until) return new Date(recurrence.until);
+  if (!recurrence.count) return null;
+
+  const all = expandOccurrences(
+    { eventDate: start, recurrence },
+    { from: new Date(0), limit: recurrence.count, includeExcluded: true }
+  );
+  return all.length ? all[all.length - 1].originalDate : new Date(start);
+}
+
+/**
+ * List occurrences of a recurring event.
+ * @param {object} event    event document with eventDate + recurrence
+ * @param {object} options  { from, to, limit }
+ * @returns {{ originalDate: Date, eventDate: Date, key: string, changes: object }[]}
+ */
+function expandOccurrences(event, options = {}) {
+  const { recurrence } = event;
+  const start = new Date(event.eventDate);
+  const from = options.from ? new Date(options.from) : new Date();
+  const to = options.to ? new Date(options.to) : null;
+  const limit = options.limit || DEFAULT_EXPAND;
+
+  if (!recurrence) {
+    const key = occurrenceKey(start);
+    return start >= from && (!to || start <= to)
+      ? [{ originalDate: start, eventDate: start, key, changes: {} }]
+      : [];
+  }
+
+  const excluded = new Set((recurrence.exdates || []).map(occurrenceKey));
+  const overrides = new Map(
+    (event.overrides || []).map((o) => [occurrenceKey(o.occurrenceDate), o])
+  );
+
+  const out = [];
+  let produced = 0;
+
+  for (let n = 0; n < MAX_STEPS; n++) {
+    const candidate = nthCandidate(
+      start,
+      recurrence.freq,
+      n * recurrence.interval
+    );
+    if (!candidate) continue;
+
+    if (recurrence.until && candidate > new Date(recurrence.until)) break;
+    if (recurrence.count && produced >= recurrence.count) break;
+    produced += 1;
+
+    const key = occurrenceKey(candidate);
+    if (excluded.has(key) && !options.includeExcluded) continue;
+
+    const override = overrides.get(key);
+    const changes = override ? override.changes || {} : {};
+    const eventDate = changes.eventDate
+      ? new Date(changes.eventDate)
+      : candidate;
+
+    if (to && candidate > to && eventDate > to) break;
+    if (eventDate < from || (to && eventDate > to)) continue;
+
+    out.push({ originalDate: candidate, eventDate, key, changes });
+    if (out.length >= limit) break;
+  }
+
+  return out.sort((a, b) => a.eventDate - b.eventDate);
+}
+
+// Find one (not excluded) occurrence by its original start date
+function findOccurrence(event, date) {
+  const key = occurrenceKey(date);
+  const occurrences = expandOccurrences(event, {
+    from: new Date(0),
+    to: new Date(Number(key)),
+    limit: MAX_STEPS,
+  });
+  return occurrences.find((o) => o.key === key) || null;
+}
+
+/**
+ * Split a series at `occurrence` ("this and following" edits).
+ * `shift` (ms) moves the tail when its start time changes.
+ * @returns {{ head: object, tail: object }} fields to $set on the original
+ *   series and to use for the new series starting at the occurrence
+ */
+function splitRecurrence(event, occurrence, shift = 0) {
+  const { recurrence } = event;
+  const at = new Date(occurrence.originalDate);
+  const move = (date) => new Date(new Date(date).getTime() + shift);
+
+  // occurrences (excluded ones included) that stay with the original series
+  const before = expandOccurrences(
+    { eventDate: event.eventDate, recurrence },
+    {
+      from: new Date(0),
+      to: new Date(at.getTime() - 1),
+      limit: MAX_STEPS,
+      includeExcluded: true,
+    }
+  ).length;
+
+  const headRecurrence = {
+    ...recurrence,
+    count: null,
+    until: new Date(at.getTime() - 1),
+    exdates: (recurrence.exdates || []).filter((d) => new Date(d) < at),
+  };
+
+  const tailRecurrence = {
+    ...recurrence,
+    count: recurrence.count ? recurrence.count - before : null,
+    until: recurrence.until ? move(recurrence.until) : null,
+    exdates: (recurrence.exdates || [])
+      .filter((d) => new Date(d) >= at)
+      .map(move),
+  };
+
+  const overrides = event.overrides || [];
+  const tailStart = move(at);
+
+  return {
+    head: {
+      recurrence: headRecurrence,
+      seriesEnd: computeSeriesEnd(event.eventDate, headRecurrence),
+      overrides: overrides.filter((o) => new Date(o.occurrenceDate) < at),
+    },
+    tail: {
+      eventDate: tailStart,
+      recurrence: tailRecurrence,
+      seriesEnd: computeSeriesEnd(tailStart, tailRecurrence),
+      overrides: overrides
+        .filter((o) => new Date(o.occurrenceDate) >= at)
+        .map((o) => ({ ...o, occurrenceDate: move(o.occurrenceDate) })),
+    },
+  };
+}
+
+// Event as it looks on one occurrence
+function occurrenceView(event, occurrence) {
+  return {
+    ...event,
+    ...occurrence.changes,
+    eventDate: occurrence.eventDate,
+    occurrenceDate: occurrence.originalDate,
+    occurrenceKey: occurrence.key,
+    seriesId: event._id,
+  };
+}
+
+/**
+ * Attach upcoming occurrences to recurring events in a listing.
+ * With expand = true each occurrence becomes its own item.
+ */
+function withOccurrences(events, options = {}) {
+  const from = options.from || new Date();
+  const out = [];
+
+  for (const event of events) {
+    if (!event.recurrence) {
+      out.push(event);
+      continue;
+    }
+
+    const occurrences = expandOccurrences(event, {
+      from,
+      to: options.to,
+      limit: options.limit,
+    });
+
+    if (options.expand) {
+      for (const occurrence of occurrences) {
+        out.push(occurrenceView(event, occurrence));
+      }
+    } else {
+      out.push({
+        ...event,
+        nextOccurrence: occurrences.length ? occurrences[0].eventDate : null,
+        occurrences: occurrences.map((o) => ({
+          occurrenceDate: o.originalDate,
+          eventDate: o.eventDate,
+          ...o.changes,
+        })),
+      });
+    }
+  }
+
+  // expanded items stay in the listing's event order, so they line up with
+  // its cursor; each series' occurrences are already chronological
+  return out;
+}
+
+module.exports = {
+  occurrenceKey,
+  checkRecurrence,
+  computeSeriesEnd,
+  expandOccurrences,
+  findOccurrence,
+  splitRecurrence,
+  occurrenceView,
+  withOccurrences,
+};
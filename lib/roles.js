@@ -0,0 +1,18 @@
+// lib/roles.js
+// Account roles, lowest first. Each role can do everything the ones
+// before it can.
+const ROLES = ["user", "organizer", "moderator", "admin"];
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+function hasRole(account, role) {
+  return Boolean(account) && roleRank(account.role) >= roleRank(role);
+}
+
+module.exports = {
+  ROLES,
+  roleRank,
+  hasRole,
+};
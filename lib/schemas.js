@@ -0,0 +1,163 @@
+// lib/schemas.js
+// Request body schemas, enforced by middleware/validate.js
+const { checkRecurrence } = require("./recurrence");
+const { checkPoint } = require("./geo");
+const { ROLES } = require("./roles");
+const { ORG_ROLES, checkSlug } = require("./organizations");
+
+const EVENT_TYPES = [
+  "Cleanup",
+  "Plantation",
+  "Donation",
+  "Awareness",
+  "Health Camp",
+];
+
+const eventSchema = {
+  title: { type: "string", required: true, minLength: 3, maxLength: 120 },
+  description: {
+    type: "string",
+    required: true,
+    minLength: 10,
+    maxLength: 5000,
+  },
+  eventType: { type: "string", required: true, enum: EVENT_TYPES },
+  // an image uploaded through POST /assets; null removes it
+  imageId: { type: "objectId", nullable: true },
+  location: { type: "string", required: true, minLength: 3, maxLength: 200 },
+  // optional map position: { lat, lng } or a GeoJSON Point
+  geo: { check: checkPoint, nullable: true },
+  eventDate: { type: "date", required: true, future: true },
+  capacity: { type: "integer", nullable: true, min: 1, max: 100000 },
+  recurrence: { check: checkRecurrence, nullable: true },
+  // optimistic concurrency; If-Match takes precedence (see lib/etag.js)
+  version: { type: "integer", min: 0 },
+};
+
+// POST /events: the event starts as a draft or is published right away,
+// optionally hosted by an organization the creator belongs to
+const newEventSchema = {
+  ...eventSchema,
+  status: { type: "string", enum: ["draft", "published"] },
+  organizationId: { type: "objectId" },
+};
+
+const joinSchema = {
+  eventId: { type: "objectId", required: true },
+  // one occurrence of a recurring event; omit to join the whole series
+  occurrenceDate: { type: "date" },
+};
+
+// Edits to one occurrence ("this") or the rest of a series ("following")
+const occurrenceSchema = {
+  title: eventSchema.title,
+  description: eventSchema.description,
+  eventType: eventSchema.eventType,
+  imageId: eventSchema.imageId,
+  location: eventSchema.location,
+  geo: eventSchema.geo,
+  eventDate: eventSchema.eventDate,
+  cancelled: { type: "boolean" },
+  scope: { type: "string", enum: ["this", "following"] },
+  version: eventSchema.version,
+};
+
+// Organizer check-in, by participant email or scanned check-in code
+const checkInSchema = {
+  userEmail: { type: "string", format: "email", maxLength: 254 },
+  code: { type: "string", maxLength: 64 },
+  occurrenceDate: { type: "date" },
+  // false undoes a check-in
+  present: { type: "boolean" },
+};
+
+const cancelSchema = {
+  reason: { type: "string", nullable: true, maxLength: 500 },
+};
+
+// Lifecycle changes (see lib/lifecycle.js); reason is for cancellations
+const statusSchema = {
+  status: {
+    type: "string",
+    required: true,
+    enum: ["published", "completed", "cancelled", "archived"],
+  },
+  reason: cancelSchema.reason,
+};
+
+const commentSchema = {
+  body: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+  // reply to this comment
+  parentId: { type: "objectId" },
+};
+
+const commentEditSchema = {
+  body: commentSchema.body,
+};
+
+const pinSchema = {
+  pinned: { type: "boolean", required: true },
+};
+
+// Rating an event after it took place
+const feedbackSchema = {
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  review: { type: "string", nullable: true, maxLength: 2000 },
+};
+
+// Inviting a co-organizer or handing an event over
+const organizerSchema = {
+  email: { type: "string", required: true, format: "email", maxLength: 254 },
+};
+
+const organizationSchema = {
+  name: { type: "string", required: true, minLength: 3, maxLength: 120 },
+  // derived from the name when left out
+  slug: { check: checkSlug },
+  description: { type: "string", nullable: true, maxLength: 5000 },
+  website: { type: "string", nullable: true, format: "url" },
+};
+
+const memberSchema = {
+  email: organizerSchema.email,
+  role: { type: "string", enum: ORG_ROLES },
+};
+
+const memberRoleSchema = {
+  role: { type: "string", required: true, enum: ORG_ROLES },
+};
+
+// Hiding an event or comment, suspending an account, reporting a comment
+const moderationSchema = {
+  reason: { type: "string", nullable: true, maxLength: 500 },
+};
+
+const featureSchema = {
+  featured: { type: "boolean", required: true },
+};
+
+const roleSchema = {
+  role: { type: "string", required: true, enum: ROLES },
+};
+
+module.exports = {
+  EVENT_TYPES,
+  eventSchema,
+  newEventSchema,
+  joinSchema,
+  cancelSchema,
+  statusSchema,
+  occurrenceSchema,
+  checkInSchema,
+  commentSchema,
+  commentEditSchema,
+  pinSchema,
+  feedbackSchema,
+  organizerSchema,
+  organizationSchema,
+  memberSchema,
+  memberRoleSchema,
+  moderationSchema,
+  featureSchema,
+  roleSchema,
+};
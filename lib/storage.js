@@ -0,0 +1,176 @@
+// lib/storage.js
+// File storage for uploaded images. Every adapter has
+//   name: string
+//   put(key, buffer, contentType): Promise
+//   get(key): Promise<{ body: Buffer, contentType } | null>
+//   delete(key): Promise
+// and may have publicUrl(key) when files can be fetched without the API.
+//
+// STORAGE_DRIVER picks one: "gridfs" (default), "disk" or "s3".
+//   gridfs -> the `assets` GridFS bucket in the app's database
+//   disk   -> UPLOAD_DIR (default ./uploads); single-server setups only
+//   s3     -> S3_BUCKET, optional S3_REGION, S3_ENDPOINT (R2, MinIO, ...)
+//             and S3_PUBLIC_URL (bucket or CDN base URL). Credentials come
+//             from the usual AWS_* variables.
+const fs = require("fs/promises");
+const path = require("path");
+const { GridFSBucket } = require("mongodb");
+
+function diskStorage(dir = "uploads") {
+  // keys are generated by the API, but never let one escape `dir`
+  function fileFor(key) {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  return {
+    name: "disk",
+    async put(key, buffer, contentType) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      await fs.writeFile(`${file}.type`, contentType);
+    },
+    async get(key) {
+      const file = fileFor(key);
+      try {
+        const [body, contentType] = await Promise.all([
+          fs.readFile(file),
+          fs.readFile(`${file}.type`, "utf8"),
+        ]);
+        return { body, contentType };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async delete(key) {
+      const file = fileFor(key);
+      await fs.rm(file, { force: true });
+      await fs.rm(`${file}.type`, { force: true });
+    },
+  };
+}
+
+function gridfsStorage(db) {
+  const bucket = new GridFSBucket(db, { bucketName: "assets" });
+
+  return {
+    name: "gridfs",
+    put(key, buffer, contentType) {
+      return new Promise((resolve, reject) => {
+        bucket
+          .openUploadStream(key, { metadata: { contentType } })
+          .on("error", reject)
+          .on("finish", resolve)
+          .end(buffer);
+      });
+    },
+    async get(key) {
+      const [file] = await bucket
+        .find({ filename: key })
+        .sort({ uploadDate: -1 })
+        .limit(1)
+        .toArray();
+      if (!file) return null;
+
+      const chunks = [];
+      for await (const chunk of bucket.openDownloadStream(file._id)) {
+        chunks.push(chunk);
+      }
+      return {
+        body: Buffer.concat(chunks),
+        contentType: file.metadata.contentType,
+      };
+    },
+    async delete(key) {
+      const files = await bucket.find({ filename: key }).toArray();
+      for (const file of files) await bucket.delete(file._id);
+    },
+  };
+}
+
+function s3Storage({ bucket, region, endpoint, publicUrl }) {
+  // loaded lazily: the SDK is large and only needed for this driver
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+
+  const client = new S3Client({
+    region: region || "auto",
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+  });
+
+  const storage = {
+    name: "s3",
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+    },
+    async get(key) {
+      try {
+        const res = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return {
+          body: Buffer.from(await res.Body.transformToByteArray()),
+          contentType: res.ContentType,
+        };
+      } catch (err) {
+        if (err.name === "NoSuchKey") return null;
+        throw err;
+      }
+    },
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+
+  if (publicUrl) {
+    storage.publicUrl = (key) => `${publicUrl.replace(/\/$/, "")}/${key}`;
+  }
+
+  return storage;
+}
+
+function createStorage(db, env = process.env) {
+  const kind = (env.STORAGE_DRIVER || "gridfs").toLowerCase();
+
+  if (kind === "gridfs") return gridfsStorage(db);
+  if (kind === "disk") return diskStorage(env.UPLOAD_DIR);
+
+  if (kind === "s3") {
+    if (!env.S3_BUCKET) {
+      throw new Error("S3_BUCKET is not configured.");
+    }
+    return s3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      publicUrl: env.S3_PUBLIC_URL,
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${kind}`);
+}
+
+module.exports = {
+  diskStorage,
+  gridfsStorage,
+  s3Storage,
+  createStorage,
+};
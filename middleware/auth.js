@@ -0,0 +1,215 @@
+// middleware/auth.js
+const jwt = require("jsonwebtoken");
+const jwksClient = require("jwks-rsa");
+const { sendError } = require("../lib/errors");
+const { hasRole } = require("../lib/roles");
+
+// --- Config ---
+// JWT_SECRET      -> signs/verifies the API's own tokens (HS256)
+// JWKS_URI        -> identity provider keys (RS256), e.g. Firebase or a local stand-in issuer
+// JWT_ISSUER      -> expected "iss" of provider tokens (optional)
+// JWT_AUDIENCE    -> expected "aud" of provider tokens (optional)
+// JWT_EXPIRES_IN  -> lifetime of issued API tokens (default "7d")
+// Read lazily so dotenv can load first.
+let keys;
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured.");
+  }
+  return process.env.JWT_SECRET;
+}
+
+function getKeys() {
+  if (!process.env.JWKS_URI) {
+    throw new Error("JWKS_URI is not configured.");
+  }
+  if (!keys) {
+    keys = jwksClient({
+      jwksUri: process.env.JWKS_URI,
+      cache: true,
+      rateLimit: true,
+    });
+  }
+  return keys;
+}
+
+function verifyWithSecret(token) {
+  return jwt.verify(token, getSecret(), { algorithms: ["HS256"] });
+}
+
+async function verifyWithJwks(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error("Token has no key id.");
+  }
+
+  const key = await getKeys().getSigningKey(decoded.header.kid);
+
+  const options = { algorithms: ["RS256"] };
+  if (process.env.JWT_ISSUER) options.issuer = process.env.JWT_ISSUER;
+  if (process.env.JWT_AUDIENCE) options.audience = process.env.JWT_AUDIENCE;
+
+  return jwt.verify(token, key.getPublicKey(), options);
+}
+
+// Verify either an API token (HS256) or a provider token (RS256 via JWKS)
+async function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new Error("Malformed token.");
+  }
+
+  const payload =
+    decoded.header.alg === "HS256"
+      ? verifyWithSecret(token)
+      : await verifyWithJwks(token);
+
+  if (!payload.email) {
+    throw new Error("Token has no email claim.");
+  }
+
+  return {
+    sub: payload.sub,
+    email: payload.email,
+    name: payload.name,
+  };
+}
+
+// Exchange a provider ID token for an API token -> used by POST /auth/token
+async function issueToken(idToken) {
+  const identity = await verifyWithJwks(idToken);
+
+  if (!identity.email) {
+    throw new Error("Token has no email claim.");
+  }
+
+  const claims = { email: identity.email };
+  if (identity.name) claims.name = identity.name;
+
+  const expiresIn = process.env.JWT_EXPIRES_IN || "7d";
+
+  const token = jwt.sign(claims, getSecret(), {
+    algorithm: "HS256",
+    subject: String(identity.sub || identity.email),
+    expiresIn,
+  });
+
+  return { token, expiresIn, email: identity.email };
+}
+
+// EventSource cannot send headers, so event streams may pass the token
+// as ?access_token= instead
+function readBearer(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme === "Bearer" && token) return token;
+
+  const streaming = req.headers.accept === "text/event-stream";
+  return streaming && req.query.access_token
+    ? String(req.query.access_token)
+    : null;
+}
+
+// Role checks need the caller's account, so the middleware is built per app
+// from the user service (see services/userService.js):
+//   requireAuth     -> valid token and an active account; sets req.user
+//   optionalAuth    -> same when a token is sent, anonymous otherwise
+//   requireRole(r)  -> requireAuth plus role r or higher
+function createAccessControl(users) {
+  // { user } for an active account, or { status, body } to reject with
+  async function authenticate(token) {
+    let identity;
+    try {
+      identity = await verifyToken(token);
+    } catch (err) {
+      return {
+        status: 401,
+        body: {
+          ok: false,
+          message: "Invalid or expired token.",
+          error: err.message,
+        },
+      };
+    }
+
+    const account = await users.resolve(identity);
+
+    if (account.status === "suspended") {
+      return {
+        status: 403,
+        body: { ok: false, message: "Your account is suspended." },
+      };
+    }
+
+    return { user: { ...identity, role: account.role } };
+  }
+
+  // Rejects the request unless it carries a valid token; sets req.user
+  async function requireAuth(req, res, next) {
+    const token = readBearer(req);
+
+    if (!token) {
+      return res.status(401).json({
+        ok: false,
+        message: "Authentication required.",
+      });
+    }
+
+    let result;
+    try {
+      result = await authenticate(token);
+    } catch (err) {
+      return sendError(res, err, "Load account", "Failed to load account.");
+    }
+
+    if (!result.user) {
+      return res.status(result.status).json(result.body);
+    }
+
+    req.user = result.user;
+    next();
+  }
+
+  async function optionalAuth(req, res, next) {
+    const token = readBearer(req);
+
+    if (token) {
+      try {
+        const result = await authenticate(token);
+        if (result.user) req.user = result.user;
+      } catch (err) {
+        return sendError(res, err, "Load account", "Failed to load account.");
+      }
+    }
+
+    next();
+  }
+
+  function requireRole(role) {
+    return [
+      requireAuth,
+      (req, res, next) => {
+        if (!hasRole(req.user, role)) {
+          return res.status(403).json({
+            ok: false,
+            message: "You do not have permission to do this.",
+          });
+        }
+        next();
+      },
+    ];
+  }
+
+  return {
+    requireAuth,
+    optionalAuth,
+    requireRole,
+  };
+}
+
+module.exports = {
+  verifyToken,
+  issueToken,
+  createAccessControl,
+};
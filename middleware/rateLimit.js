@@ -0,0 +1,95 @@
+// middleware/rateLimit.js
+// Per-route request budgets, counted per IP and (after requireAuth) per
+// user. Responses carry RateLimit-Limit / -Remaining / -Reset headers for
+// the tightest budget; going over answers 429 with Retry-After.
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// perUser is skipped on routes without a logged-in user
+const BUDGETS = {
+  createEvent: { windowMs: HOUR, perUser: 20, perIp: 60 },
+  editEvent: { windowMs: HOUR, perUser: 120, perIp: 300 },
+  join: { windowMs: 10 * MINUTE, perUser: 30, perIp: 120 },
+  authToken: { windowMs: 10 * MINUTE, perIp: 30 },
+  calendarFeed: { windowMs: HOUR, perUser: 10, perIp: 60 },
+  upload: { windowMs: HOUR, perUser: 30, perIp: 100 },
+  comment: { windowMs: 10 * MINUTE, perUser: 20, perIp: 100 },
+  feedback: { windowMs: 10 * MINUTE, perUser: 20, perIp: 100 },
+  organization: { windowMs: HOUR, perUser: 60, perIp: 200 },
+};
+
+/**
+ * @param {object} store    see lib/rateLimitStores.js
+ * @param {object} budgets  overrides for BUDGETS, by route name
+ * @returns {(name: string) => Function} middleware for one route budget
+ */
+function createRateLimiter(store, budgets = {}) {
+  return function rateLimit(name) {
+    const budget = { ...BUDGETS[name], ...budgets[name] };
+    if (!budget.windowMs) {
+      throw new Error(`Unknown rate limit budget: ${name}`);
+    }
+
+    return async (req, res, next) => {
+      const checks = [];
+      if (budget.perIp) {
+        checks.push({ key: `${name}:ip:${req.ip}`, max: budget.perIp });
+      }
+      if (budget.perUser && req.user) {
+        checks.push({
+          key: `${name}:user:${req.user.email}`,
+          max: budget.perUser,
+        });
+      }
+
+      const results = [];
+      try {
+        for (const check of checks) {
+          const { count, resetAt } = await store.hit(
+            check.key,
+            budget.windowMs
+          );
+          results.push({ ...check, count, resetAt });
+        }
+      } catch (err) {
+        // a broken counter store should not take the API down with it
+        console.error("Rate limit error:", err);
+        return next();
+      }
+
+      if (!results.length) return next();
+
+      // report the budget that ran out, or else the one closest to it
+      const remaining = (r) => Math.max(0, r.max - r.count);
+      const exceeded = results.find((r) => r.count > r.max);
+      const shown =
+        exceeded ||
+        results.reduce((a, b) => (remaining(b) < remaining(a) ? b : a));
+
+      const resetSeconds = Math.max(
+        1,
+        Math.ceil((shown.resetAt.getTime() - Date.now()) / 1000)
+      );
+
+      res.set("RateLimit-Limit", String(shown.max));
+      res.set("RateLimit-Remaining", String(remaining(shown)));
+      res.set("RateLimit-Reset", String(resetSeconds));
+
+      if (exceeded) {
+        res.set("Retry-After", String(resetSeconds));
+        return res.status(429).json({
+          ok: false,
+          message: `Too many requests. Try again in ${resetSeconds} seconds.`,
+          retryAfter: resetSeconds,
+        });
+      }
+
+      next();
+    };
+  };
+}
+
+module.exports = {
+  BUDGETS,
+  createRateLimiter,
+};
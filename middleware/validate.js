@@ -0,0 +1,148 @@
+// middleware/validate.js
+// Small declarative validator. A schema maps field names to rules:
+//   { type: "string" | "integer" | "boolean" | "date" | "objectId",
+//     required, nullable, min, max, minLength, maxLength,
+//     format: "url" | "email", enum: [...], future: true }
+// or { check: (raw) => ({ value } | { error }) } for anything more structured.
+// Valid values are coerced (trimmed strings, Date objects, numbers) and
+// written back onto req.body.
+const { ObjectId } = require("mongodb");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function isUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+// Returns { value } or { error }
+function checkField(rule, raw) {
+  if (rule.check) return rule.check(raw);
+
+  if (rule.type === "string") {
+    if (typeof raw !== "string") return { error: "Must be a string." };
+
+    const value = raw.trim();
+    if (!value) return { error: "Must not be blank." };
+    if (rule.minLength && value.length < rule.minLength) {
+      return { error: `Must be at least ${rule.minLength} characters.` };
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return { error: `Must be at most ${rule.maxLength} characters.` };
+    }
+    if (rule.format === "url" && !isUrl(value)) {
+      return { error: "Must be a valid http(s) URL." };
+    }
+    if (rule.format === "email" && !EMAIL_RE.test(value)) {
+      return { error: "Must be a valid email address." };
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return { error: `Must be one of: ${rule.enum.join(", ")}.` };
+    }
+    return { value };
+  }
+
+  if (rule.type === "integer") {
+    const value = Number(raw);
+    if (typeof raw === "boolean" || !Number.isInteger(value)) {
+      return { error: "Must be a whole number." };
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: `Must be at least ${rule.min}.` };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `Must be at most ${rule.max}.` };
+    }
+    return { value };
+  }
+
+  if (rule.type === "boolean") {
+    if (raw === true || raw === "true") return { value: true };
+    if (raw === false || raw === "false") return { value: false };
+    return { error: "Must be true or false." };
+  }
+
+  if (rule.type === "date") {
+    const value = new Date(raw);
+    if (typeof raw === "boolean" || isNaN(value.getTime())) {
+      return { error: "Must be a valid date." };
+    }
+    if (rule.future && value <= new Date()) {
+      return { error: "Must be a future date." };
+    }
+    return { value };
+  }
+
+  if (rule.type === "objectId") {
+    if (typeof raw !== "string" || !ObjectId.isValid(raw)) {
+      return { error: "Must be a valid id." };
+    }
+    return { value: raw };
+  }
+
+  throw new Error(`Unknown schema type: ${rule.type}`);
+}
+
+/**
+ * Validate a payload against a schema.
+ * With { partial: true } missing fields are skipped instead of required.
+ * @returns {{ value: object, errors: { field: string, message: string }[] }}
+ */
+function validateSchema(schema, payload, options = {}) {
+  const input = payload || {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (isEmpty(raw)) {
+      if (field in input && rule.nullable) {
+        value[field] = null;
+      } else if (rule.required && !options.partial) {
+        errors.push({ field, message: "This field is required." });
+      }
+      continue;
+    }
+
+    const result = checkField(rule, raw);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+// Express middleware: 400 with every invalid field, or req.body = clean value
+function validate(schema, options = {}) {
+  return (req, res, next) => {
+    const { value, errors } = validateSchema(schema, req.body, options);
+
+    if (errors.length) {
+      return res.status(400).json({
+        ok: false,
+        message: "Validation failed.",
+        errors,
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = {
+  validateSchema,
+  validate,
+};
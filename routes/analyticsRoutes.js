@@ -0,0 +1,69 @@
+// routes/analyticsRoutes.js
+// /analytics: organizer dashboards and platform-wide stats for admins.
+// Every route takes ?from=&to=&interval=day|week|month.
+const express = require("express");
+const { sendError } = require("../lib/errors");
+
+function createAnalyticsRouter({ analytics, access }) {
+  const { requireAuth, requireRole } = access;
+  const router = express.Router();
+
+  // =======================
+  // MY EVENTS -> GET /api/analytics/organizer
+  // Totals, per-event rows, eventType and location breakdowns, joins over time
+  // =======================
+  router.get("/organizer", requireAuth, async (req, res) => {
+    try {
+      const stats = await analytics.forOrganizer(req.user, req.query);
+
+      res.json({
+        ok: true,
+        ...stats,
+      });
+    } catch (err) {
+      sendError(res, err, "Organizer analytics", "Failed to load analytics.");
+    }
+  });
+
+  // =======================
+  // ONE EVENT -> GET /api/analytics/events/:id
+  // Organizers and admins
+  // =======================
+  router.get("/events/:id", requireAuth, async (req, res) => {
+    try {
+      const stats = await analytics.forEvent(
+        req.params.id,
+        req.query,
+        req.user
+      );
+
+      res.json({
+        ok: true,
+        ...stats,
+      });
+    } catch (err) {
+      sendError(res, err, "Event analytics", "Failed to load analytics.");
+    }
+  });
+
+  // =======================
+  // PLATFORM -> GET /api/analytics/platform
+  // Admins only; the last 12 weeks by default
+  // =======================
+  router.get("/platform", requireRole("admin"), async (req, res) => {
+    try {
+      const stats = await analytics.platform(req.query);
+
+      res.json({
+        ok: true,
+        ...stats,
+      });
+    } catch (err) {
+      sendError(res, err, "Platform analytics", "Failed to load analytics.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAnalyticsRouter;
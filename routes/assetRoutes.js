@@ -0,0 +1,117 @@
+// routes/assetRoutes.js
+// /assets: image uploads for event thumbnails
+const express = require("express");
+const multer = require("multer");
+const { MAX_UPLOAD_BYTES, ACCEPTED_TYPES } = require("../lib/images");
+const { ApiError, sendError } = require("../lib/errors");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter(req, file, cb) {
+    if (!ACCEPTED_TYPES.includes(file.mimetype)) {
+      return cb(
+        new ApiError(
+          415,
+          "Unsupported image type. Use JPEG, PNG, WebP, GIF, AVIF or HEIC."
+        )
+      );
+    }
+    cb(null, true);
+  },
+}).single("image");
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: [
+    413,
+    `Images can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`,
+  ],
+  LIMIT_FILE_COUNT: [400, "Send one image at a time."],
+  LIMIT_UNEXPECTED_FILE: [400, "Send the image in the `image` field."],
+};
+
+// multipart/form-data with one `image` file -> req.file
+function receiveImage(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const [status, message] = UPLOAD_ERRORS[err.code] || [400, err.message];
+      return res.status(status).json({ ok: false, message });
+    }
+
+    sendError(res, err, "Receive upload", "Failed to receive the image.");
+  });
+}
+
+function createAssetRouter({ assets, access, rateLimit }) {
+  const { requireAuth } = access;
+  const router = express.Router();
+
+  // =======================
+  // UPLOAD IMAGE -> POST /api/assets
+  // multipart/form-data, field `image`. Use the returned imageId as
+  // `imageId` on POST/PUT/PATCH /api/events.
+  // =======================
+  router.post(
+    "/",
+    requireAuth,
+    rateLimit("upload"),
+    receiveImage,
+    async (req, res) => {
+      try {
+        const base = `${req.protocol}://${req.get("host")}/api/assets`;
+        const image = await assets.upload(
+          req.file,
+          req.user,
+          (id, variant) => `${base}/${id}/${variant}`
+        );
+
+        res.status(201).json({
+          ok: true,
+          message: "Image uploaded.",
+          imageId: image.assetId,
+          image,
+        });
+      } catch (err) {
+        sendError(res, err, "Upload image", "Failed to upload image.");
+      }
+    }
+  );
+
+  // =======================
+  // IMAGE DETAILS -> GET /api/assets/:id
+  // =======================
+  router.get("/:id", async (req, res) => {
+    try {
+      const image = await assets.get(req.params.id);
+
+      res.json({
+        ok: true,
+        image,
+      });
+    } catch (err) {
+      sendError(res, err, "Get image", "Failed to load image.");
+    }
+  });
+
+  // =======================
+  // IMAGE FILE -> GET /api/assets/:id/:size  (small | medium | large)
+  // Files never change once stored, so they can be cached forever.
+  // =======================
+  router.get("/:id/:size", async (req, res) => {
+    try {
+      const file = await assets.read(req.params.id, req.params.size);
+
+      res.set("Content-Type", file.contentType);
+      res.set("Cache-Control", "public, max-age=31536000, immutable");
+      res.send(file.body);
+    } catch (err) {
+      sendError(res, err, "Get image file", "Failed to load image.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAssetRouter;
@@ -0,0 +1,66 @@
+// routes/authRoutes.js
+// /auth: exchange a provider ID token for an API token; the caller's account
+const express = require("express");
+const { issueToken } = require("../middleware/auth");
+const { sendError } = require("../lib/errors");
+
+function createAuthRouter({ users, access, rateLimit }) {
+  const { requireAuth } = access;
+  const router = express.Router();
+
+  // =======================
+  // AUTH: Exchange provider ID token for API token
+  // POST /api/auth/token  { idToken }
+  // =======================
+  router.post("/token", rateLimit("authToken"), async (req, res) => {
+    try {
+      const { idToken } = req.body || {};
+
+      if (!idToken) {
+        return res.status(400).json({
+          ok: false,
+          message: "idToken is required.",
+        });
+      }
+
+      let issued;
+      try {
+        issued = await issueToken(idToken);
+      } catch (err) {
+        return res.status(401).json({
+          ok: false,
+          message: "Invalid identity token.",
+          error: err.message,
+        });
+      }
+
+      res.json({
+        ok: true,
+        ...issued,
+      });
+    } catch (err) {
+      sendError(res, err, "Issue token", "Failed to issue token");
+    }
+  });
+
+  // =======================
+  // CURRENT ACCOUNT -> GET /api/auth/me
+  // Role and status, so clients know which staff tools to show
+  // =======================
+  router.get("/me", requireAuth, async (req, res) => {
+    try {
+      const user = await users.resolve(req.user);
+
+      res.json({
+        ok: true,
+        user,
+      });
+    } catch (err) {
+      sendError(res, err, "Get account", "Failed to load account");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,79 @@
+// routes/calendarRoutes.js
+// /calendar: personal iCalendar subscription feed
+const express = require("express");
+const { sendError } = require("../lib/errors");
+
+function createCalendarRouter({ calendar, access, rateLimit }) {
+  const { requireAuth } = access;
+  const router = express.Router();
+
+  // =======================
+  // CALENDAR FEED -> POST /api/calendar/feed
+  // Creates (or rotates) the caller's secret feed URL. The old URL stops
+  // working immediately. The token is only shown once.
+  // =======================
+  router.post(
+    "/feed",
+    requireAuth,
+    rateLimit("calendarFeed"),
+    async (req, res) => {
+      try {
+        const token = await calendar.createFeed(req.user);
+
+        res.status(201).json({
+          ok: true,
+          message: "Calendar feed created. Keep this URL private.",
+          url: `${req.protocol}://${req.get("host")}/api/calendar/${token}.ics`,
+        });
+      } catch (err) {
+        sendError(
+          res,
+          err,
+          "Create calendar feed",
+          "Failed to create calendar feed."
+        );
+      }
+    }
+  );
+
+  // =======================
+  // REVOKE CALENDAR FEED -> DELETE /api/calendar/feed
+  // =======================
+  router.delete("/feed", requireAuth, async (req, res) => {
+    try {
+      await calendar.revokeFeed(req.user);
+
+      res.json({
+        ok: true,
+        message: "Calendar feed revoked.",
+      });
+    } catch (err) {
+      sendError(
+        res,
+        err,
+        "Revoke calendar feed",
+        "Failed to revoke calendar feed."
+      );
+    }
+  });
+
+  // =======================
+  // PERSONAL FEED -> GET /api/calendar/:token.ics
+  // No login: the secret token in the URL identifies the user.
+  // =======================
+  router.get("/:token.ics", async (req, res) => {
+    try {
+      const ics = await calendar.renderFeed(req.params.token);
+
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Cache-Control", "private, max-age=300");
+      res.send(ics);
+    } catch (err) {
+      sendError(res, err, "Calendar feed", "Failed to load calendar feed.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCalendarRouter;
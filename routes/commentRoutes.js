@@ -0,0 +1,198 @@
+// routes/commentRoutes.js
+// /events/:id/comments: comment threads and Q&A on an event
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const {
+  commentSchema,
+  commentEditSchema,
+  pinSchema,
+  moderationSchema,
+} = require("../lib/schemas");
+const { sendError } = require("../lib/errors");
+
+const validateComment = validate(commentSchema);
+const validateCommentEdit = validate(commentEditSchema);
+const validatePin = validate(pinSchema);
+const validateReport = validate(moderationSchema);
+
+function createCommentRouter({ comments, access, rateLimit }) {
+  const { requireAuth, optionalAuth } = access;
+  const limitComment = rateLimit("comment");
+  const router = express.Router();
+
+  // =======================
+  // COMMENTS -> GET /api/events/:id/comments?limit=&cursor=
+  // Pinned comments first, then newest first, each with its first replies
+  // =======================
+  router.get("/:id/comments", optionalAuth, async (req, res) => {
+    try {
+      const result = await comments.list(req.params.id, req.user, req.query);
+
+      res.json({
+        ok: true,
+        count: result.comments.length,
+        ...result,
+      });
+    } catch (err) {
+      sendError(res, err, "Get comments", "Failed to load comments.");
+    }
+  });
+
+  // =======================
+  // REPLIES -> GET /api/events/:id/comments/:commentId/replies
+  // =======================
+  router.get(
+    "/:id/comments/:commentId/replies",
+    optionalAuth,
+    async (req, res) => {
+      try {
+        const result = await comments.listReplies(
+          req.params.id,
+          req.params.commentId,
+          req.user,
+          req.query
+        );
+
+        res.json({
+          ok: true,
+          count: result.replies.length,
+          ...result,
+        });
+      } catch (err) {
+        sendError(res, err, "Get replies", "Failed to load replies.");
+      }
+    }
+  );
+
+  // =======================
+  // ADD COMMENT -> POST /api/events/:id/comments  { body, parentId }
+  // =======================
+  router.post(
+    "/:id/comments",
+    requireAuth,
+    limitComment,
+    validateComment,
+    async (req, res) => {
+      try {
+        const comment = await comments.create(
+          req.params.id,
+          req.body,
+          req.user
+        );
+
+        res.status(201).json({
+          ok: true,
+          message: "Comment posted.",
+          comment,
+        });
+      } catch (err) {
+        sendError(res, err, "Add comment", "Failed to post comment.");
+      }
+    }
+  );
+
+  // =======================
+  // EDIT COMMENT -> PATCH /api/events/:id/comments/:commentId  { body }
+  // =======================
+  router.patch(
+    "/:id/comments/:commentId",
+    requireAuth,
+    limitComment,
+    validateCommentEdit,
+    async (req, res) => {
+      try {
+        const comment = await comments.edit(
+          req.params.id,
+          req.params.commentId,
+          req.body,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: "Comment updated.",
+          comment,
+        });
+      } catch (err) {
+        sendError(res, err, "Edit comment", "Failed to update comment.");
+      }
+    }
+  );
+
+  // =======================
+  // DELETE COMMENT -> DELETE /api/events/:id/comments/:commentId
+  // Author, organizer or moderator
+  // =======================
+  router.delete("/:id/comments/:commentId", requireAuth, async (req, res) => {
+    try {
+      await comments.remove(req.params.id, req.params.commentId, req.user);
+
+      res.json({
+        ok: true,
+        message: "Comment deleted.",
+      });
+    } catch (err) {
+      sendError(res, err, "Delete comment", "Failed to delete comment.");
+    }
+  });
+
+  // =======================
+  // PIN COMMENT -> POST /api/events/:id/comments/:commentId/pin  { pinned }
+  // Organizer only
+  // =======================
+  router.post(
+    "/:id/comments/:commentId/pin",
+    requireAuth,
+    validatePin,
+    async (req, res) => {
+      try {
+        const { pinned } = req.body;
+        await comments.pin(
+          req.params.id,
+          req.params.commentId,
+          pinned,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: pinned ? "Comment pinned." : "Comment unpinned.",
+        });
+      } catch (err) {
+        sendError(res, err, "Pin comment", "Failed to pin comment.");
+      }
+    }
+  );
+
+  // =======================
+  // REPORT COMMENT -> POST /api/events/:id/comments/:commentId/report
+  // { reason }
+  // =======================
+  router.post(
+    "/:id/comments/:commentId/report",
+    requireAuth,
+    limitComment,
+    validateReport,
+    async (req, res) => {
+      try {
+        await comments.report(
+          req.params.id,
+          req.params.commentId,
+          req.body.reason,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: "Thanks. A moderator will take a look.",
+        });
+      } catch (err) {
+        sendError(res, err, "Report comment", "Failed to report comment.");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createCommentRouter;
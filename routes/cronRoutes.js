@@ -0,0 +1,75 @@
+// routes/cronRoutes.js
+// Scheduled jobs, triggered by Vercel Cron (see vercel.json).
+// Vercel sends `Authorization: Bearer <CRON_SECRET>` with every cron call.
+const express = require("express");
+const crypto = require("crypto");
+const { sendError } = require("../lib/errors");
+
+function hasCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || "";
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(header);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+function requireCron(req, res, next) {
+  if (!hasCronSecret(req)) {
+    return res.status(401).json({
+      ok: false,
+      message: "Cron secret required.",
+    });
+  }
+  next();
+}
+
+function createCronRouter({ notifications, events }) {
+  const router = express.Router();
+
+  // =======================
+  // NOTIFICATIONS -> GET /api/cron/notifications
+  // Queues 24-hour reminders and sends every due message (with retries).
+  // =======================
+  router.get("/notifications", requireCron, async (req, res) => {
+    try {
+      const result = await notifications.runScheduled();
+
+      res.json({
+        ok: true,
+        ...result,
+      });
+    } catch (err) {
+      sendError(
+        res,
+        err,
+        "Notification cron",
+        "Failed to process notifications."
+      );
+    }
+  });
+
+  // =======================
+  // LIFECYCLE -> GET /api/cron/lifecycle
+  // Marks published events as completed once they are over.
+  // =======================
+  router.get("/lifecycle", requireCron, async (req, res) => {
+    try {
+      const completed = await events.completePast();
+
+      res.json({
+        ok: true,
+        completed,
+      });
+    } catch (err) {
+      sendError(res, err, "Lifecycle cron", "Failed to update event statuses.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCronRouter;
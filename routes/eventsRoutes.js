@@ -1,308 +1,364 @@
 // routes/eventsRoutes.js
+// /events: listings, details, iCalendar export, create/update/cancel and
+// lifecycle changes.
 const express = require("express");
-const { ObjectId } = require("mongodb");
-
-function createEventsRouter(eventsCollection, joinedCollection, db) {
+const { validate } = require("../middleware/validate");
+const {
+  eventSchema,
+  newEventSchema,
+  cancelSchema,
+  statusSchema,
+  occurrenceSchema,
+} = require("../lib/schemas");
+const { eventEtag, expectedVersion } = require("../lib/etag");
+const { sendError } = require("../lib/errors");
+
+const validateNewEvent = validate(newEventSchema);
+const validateEvent = validate(eventSchema);
+const validateEventPatch = validate(eventSchema, { partial: true });
+const validateCancel = validate(cancelSchema);
+const validateStatus = validate(statusSchema);
+const validateOccurrence = validate(occurrenceSchema, { partial: true });
+
+function createEventsRouter({ events, calendar, access, rateLimit }) {
+  const { requireAuth, optionalAuth } = access;
+  const limitCreate = rateLimit("createEvent");
+  const limitEdit = rateLimit("editEvent");
   const router = express.Router();
 
-  // Create event
-  router.post("/", async (req, res) => {
-    try {
-      const {
-        title,
-        description,
-        eventType,
-        thumbnail,
-        location,
-        eventDate,
-        creatorEmail,
-      } = req.body;
-
-      if (
-        !title ||
-        !description ||
-        !eventType ||
-        !thumbnail ||
-        !location ||
-        !eventDate ||
-        !creatorEmail
-      ) {
-        return res.status(400).json({
-          ok: false,
-          message: "All fields are required.",
-        });
-      }
-
-      const eventDateObj = new Date(eventDate);
-      const now = new Date();
-
-      if (isNaN(eventDateObj.getTime())) {
-        return res.status(400).json({
-          ok: false,
-          message: "Invalid event date.",
+  // Listing handler: ?q=&eventType=&location=&from=&to=&featured=&status=&sort=&limit=&cursor=&expand=
+  function listRoute(load, label, message) {
+    return async (req, res) => {
+      try {
+        const { events: items, nextCursor } = await load(req);
+
+        res.json({
+          ok: true,
+          count: items.length,
+          events: items,
+          nextCursor,
         });
+      } catch (err) {
+        sendError(res, err, label, message);
       }
-
-      if (eventDateObj <= now) {
-        return res.status(400).json({
-          ok: false,
-          message: "Event date must be a future date.",
+    };
+  }
+
+  // =======================
+  // CREATE EVENT  -> POST /api/events
+  // (status "draft" keeps it private until published)
+  // =======================
+  router.post(
+    "/",
+    requireAuth,
+    limitCreate,
+    validateNewEvent,
+    async (req, res) => {
+      try {
+        const eventId = await events.create(req.body, req.user);
+
+        res.status(201).json({
+          ok: true,
+          message:
+            req.body.status === "draft"
+              ? "Draft saved. Publish it when you are ready."
+              : "Event created successfully!",
+          eventId,
         });
+      } catch (err) {
+        sendError(res, err, "Create event", "Failed to create event");
       }
-
-      const doc = {
-        title,
-        description,
-        eventType,
-        thumbnail,
-        location,
-        eventDate: eventDateObj,
-        creatorEmail,
-        createdAt: new Date(),
-      };
-
-      const result = await eventsCollection.insertOne(doc);
-
-      res.status(201).json({
-        ok: true,
-        message: "Event created successfully!",
-        eventId: result.insertedId,
-      });
-    } catch (err) {
-      console.error("Create event error:", err);
-      res.status(500).json({
-        ok: false,
-        message: "Failed to create event",
-        error: err.message,
-      });
     }
-  });
-
-  // All events
-  router.get("/", async (req, res) => {
+  );
+
+  // =======================
+  // GET ALL EVENTS  -> GET /api/events
+  // (published only, unless ?status=completed,cancelled,... asks for more)
+  // =======================
+  router.get(
+    "/",
+    listRoute(
+      (req) => events.listAll(req.query),
+      "Get all events",
+      "Failed to load events"
+    )
+  );
+
+  // =======================
+  // UPCOMING EVENTS  -> GET /api/events/upcoming
+  // (published events still ahead)
+  // =======================
+  router.get(
+    "/upcoming",
+    listRoute(
+      (req) => events.listUpcoming(req.query),
+      "Upcoming events",
+      "Failed to load upcoming events"
+    )
+  );
+
+  // =======================
+  // EVENTS BY CREATOR -> GET /api/events/user
+  // (every status, drafts included; narrow with ?status=)
+  // =======================
+  router.get(
+    "/user",
+    requireAuth,
+    listRoute(
+      (req) => events.listByCreator(req.user.email, req.query),
+      "Get user events",
+      "Failed to load user events"
+    )
+  );
+
+  // =======================
+  // FOLLOWING FEED -> GET /api/events/feed
+  // (upcoming events from followed organizations, newest first)
+  // =======================
+  router.get(
+    "/feed",
+    requireAuth,
+    listRoute(
+      (req) => events.listFeed(req.user.email, req.query),
+      "Get feed",
+      "Failed to load your feed"
+    )
+  );
+
+  // =======================
+  // RECOMMENDED -> GET /api/events/recommended?limit=&lat=&lng=&radius=
+  // (upcoming events ranked by the user's join history)
+  // =======================
+  router.get(
+    "/recommended",
+    requireAuth,
+    listRoute(
+      (req) => events.listRecommended(req.user, req.query),
+      "Get recommendations",
+      "Failed to load recommendations"
+    )
+  );
+
+  // =======================
+  // ICALENDAR EXPORT -> GET /api/events/:id.ics
+  // (comes BEFORE /:id)
+  // =======================
+  router.get("/:id.ics", optionalAuth, async (req, res) => {
     try {
-      const events = await eventsCollection
-        .find({})
-        .sort({ eventDate: 1 })
-        .toArray();
+      const { id } = req.params;
+      const ics = await calendar.exportEvent(id, req.user);
 
-      res.json({
-        ok: true,
-        count: events.length,
-        events,
-      });
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="event-${id}.ics"`);
+      res.send(ics);
     } catch (err) {
-      console.error("Get all events error:", err);
-      res.status(500).json({
-        ok: false,
-        message: "Failed to load events",
-        error: err.message,
-      });
+      sendError(res, err, "Export event ics", "Failed to export event.");
     }
   });
 
-  // Upcoming events
-  router.get("/upcoming", async (req, res) => {
+  // =======================
+  // EVENT DETAILS -> GET /api/events/:id
+  // (comes AFTER /user)
+  // =======================
+  router.get("/:id", optionalAuth, async (req, res) => {
     try {
-      const now = new Date();
-
-      const events = await eventsCollection
-        .find({
-          eventDate: { $gt: now },
-        })
-        .sort({ eventDate: 1 })
-        .toArray();
+      const event = await events.getDetails(req.params.id, req.user);
 
+      res.set("ETag", eventEtag(event));
       res.json({
         ok: true,
-        count: events.length,
-        events,
+        event,
       });
     } catch (err) {
-      console.error("Upcoming events error:", err);
-      res.status(500).json({
-        ok: false,
-        message: "Failed to load upcoming events",
-        error: err.message,
-      });
+      sendError(res, err, "Get event details", "Failed to load event details.");
     }
   });
 
-  // Events by creator email
-  router.get("/user", async (req, res) => {
+  // =======================
+  // CHANGE HISTORY -> GET /api/events/:id/history?limit=&cursor=
+  // Organizer and moderators only, newest first
+  // =======================
+  router.get("/:id/history", requireAuth, async (req, res) => {
     try {
-      const email = req.query.email;
-      if (!email) {
-        return res.status(400).json({
-          ok: false,
-          message: "User email is required.",
-        });
-      }
-
-      const events = await eventsCollection
-        .find({ creatorEmail: email })
-        .sort({ eventDate: 1 })
-        .toArray();
+      const { entries, nextCursor } = await events.history(
+        req.params.id,
+        req.user,
+        req.query
+      );
 
       res.json({
         ok: true,
-        count: events.length,
-        events,
+        count: entries.length,
+        history: entries,
+        nextCursor,
       });
     } catch (err) {
-      console.error("Get user events error:", err);
-      res.status(500).json({
-        ok: false,
-        message: "Failed to load user events",
-        error: err.message,
-      });
+      sendError(res, err, "Get event history", "Failed to load event history.");
     }
   });
 
-  // Single event details
-  router.get("/:id", async (req, res) => {
-    try {
-      const { id } = req.params;
-
-      if (!ObjectId.isValid(id)) {
-        return res.status(400).json({
-          ok: false,
-          message: "Invalid event id.",
+  // =======================
+  // UPDATE EVENT -> PUT /api/events/:id
+  // (full replacement of the editable fields)
+  // =======================
+  router.put(
+    "/:id",
+    requireAuth,
+    limitEdit,
+    validateEvent,
+    async (req, res) => {
+      try {
+        const result = await events.replace(
+          req.params.id,
+          req.body,
+          req.user,
+          expectedVersion(req)
+        );
+
+        res.set("ETag", eventEtag(result));
+        res.json({
+          ok: true,
+          message: "Event updated successfully.",
+          ...result,
         });
+      } catch (err) {
+        sendError(res, err, "Update event", "Failed to update event.");
       }
-
-      const event = await eventsCollection.findOne({
-        _id: new ObjectId(id),
-      });
-
-      if (!event) {
-        return res.status(404).json({
-          ok: false,
-          message: "Event not found.",
-        });
-      }
-
-      res.json({
-        ok: true,
-        event,
-      });
-    } catch (err) {
-      console.error("Get event details error:", err);
-      res.status(500).json({
-        ok: false,
-        message: "Failed to load event details",
-        error: err.message,
-      });
     }
-  });
-
-  // Update event (only creator)
-  router.put("/:id", async (req, res) => {
-    try {
-      const { id } = req.params;
-      const {
-        title,
-        description,
-        eventType,
-        thumbnail,
-        location,
-        eventDate,
-        requestorEmail,
-      } = req.body;
-
-      if (!ObjectId.isValid(id)) {
-        return res.status(400).json({
-          ok: false,
-          message: "Invalid event id.",
-        });
-      }
-
-      if (!requestorEmail) {
-        return res.status(400).json({
-          ok: false,
-          message: "requestorEmail is required.",
-        });
-      }
-
-      const existing = await eventsCollection.findOne({
-        _id: new ObjectId(id),
-      });
-
-      if (!existing) {
-        return res.status(404).json({
-          ok: false,
-          message: "Event not found.",
+  );
+
+  // =======================
+  // PARTIAL UPDATE -> PATCH /api/events/:id
+  // (any subset of fields; send If-Match: "<version>" to guard against conflicts)
+  // =======================
+  router.patch(
+    "/:id",
+    requireAuth,
+    limitEdit,
+    validateEventPatch,
+    async (req, res) => {
+      try {
+        const result = await events.patch(
+          req.params.id,
+          req.body,
+          req.user,
+          expectedVersion(req)
+        );
+
+        res.set("ETag", eventEtag(result));
+        res.json({
+          ok: true,
+          message: "Event updated successfully.",
+          ...result,
         });
+      } catch (err) {
+        sendError(res, err, "Patch event", "Failed to update event.");
       }
-
-      if (existing.creatorEmail !== requestorEmail) {
-        return res.status(403).json({
-          ok: false,
-          message: "You are not allowed to update this event.",
-        });
-      }
-
-      if (
-        !title ||
-        !description ||
-        !eventType ||
-        !thumbnail ||
-        !location ||
-        !eventDate
-      ) {
-        return res.status(400).json({
-          ok: false,
-          message: "All fields are required.",
+    }
+  );
+
+  // =======================
+  // EDIT OCCURRENCE -> PATCH /api/events/:id/occurrences/:date
+  // :date is the occurrence's original start (ISO date or epoch ms).
+  // Body: any event fields, or { cancelled: true } to drop the occurrence.
+  // scope "this" (default) edits one occurrence; "following" splits the
+  // series and applies the change to this and every later occurrence.
+  // =======================
+  router.patch(
+    "/:id/occurrences/:date",
+    requireAuth,
+    limitEdit,
+    validateOccurrence,
+    async (req, res) => {
+      try {
+        const result = await events.editOccurrence(
+          req.params.id,
+          req.params.date,
+          req.body,
+          req.user,
+          expectedVersion(req)
+        );
+
+        if (result.split) {
+          return res.status(201).json({
+            ok: true,
+            message:
+              "Series split. Changes apply to this and later occurrences.",
+            eventId: result.eventId,
+          });
+        }
+
+        res.set("ETag", eventEtag(result));
+        res.json({
+          ok: true,
+          message: req.body.cancelled
+            ? "Occurrence cancelled successfully."
+            : "Occurrence updated successfully.",
+          version: result.version,
         });
+      } catch (err) {
+        sendError(res, err, "Edit occurrence", "Failed to update occurrence.");
       }
-
-      const eventDateObj = new Date(eventDate);
-      const now = new Date();
-
-      if (isNaN(eventDateObj.getTime())) {
-        return res.status(400).json({
-          ok: false,
-          message: "Invalid event date.",
+    }
+  );
+
+  // =======================
+  // CANCEL EVENT -> DELETE /api/events/:id
+  // (soft delete: marks the event and every joined copy as cancelled)
+  // =======================
+  router.delete(
+    "/:id",
+    requireAuth,
+    limitEdit,
+    validateCancel,
+    async (req, res) => {
+      try {
+        const result = await events.cancel(
+          req.params.id,
+          req.body.reason,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: "Event cancelled successfully.",
+          ...result,
         });
+      } catch (err) {
+        sendError(res, err, "Cancel event", "Failed to cancel event.");
       }
-
-      if (eventDateObj <= now) {
-        return res.status(400).json({
-          ok: false,
-          message: "Event date must be a future date.",
+    }
+  );
+
+  // =======================
+  // CHANGE STATUS -> POST /api/events/:id/status  { status, reason }
+  // draft -> published; published -> completed | cancelled;
+  // completed | cancelled -> archived
+  // =======================
+  router.post(
+    "/:id/status",
+    requireAuth,
+    limitEdit,
+    validateStatus,
+    async (req, res) => {
+      try {
+        const result = await events.changeStatus(
+          req.params.id,
+          req.body,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: `Event ${req.body.status}.`,
+          status: req.body.status,
+          ...result,
         });
+      } catch (err) {
+        sendError(res, err, "Change event status", "Failed to change status.");
       }
-
-      const updateDoc = {
-        $set: {
-          title,
-          description,
-          eventType,
-          thumbnail,
-          location,
-          eventDate: eventDateObj,
-        },
-      };
-
-      const result = await eventsCollection.updateOne(
-        { _id: new ObjectId(id) },
-        updateDoc
-      );
-
-      res.json({
-        ok: true,
-        message: "Event updated successfully.",
-        modifiedCount: result.modifiedCount,
-      });
-    } catch (err) {
-      console.error("Update event error:", err);
-      res.status(500).json({
-        ok: false,
-        message: "Failed to update event",
-        error: err.message,
-      });
     }
-  });
+  );
 
   return router;
 }
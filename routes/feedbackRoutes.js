@@ -0,0 +1,98 @@
+// routes/feedbackRoutes.js
+// /events/:id/feedback (ratings and reviews after an event) and
+// /organizers/:email/reputation
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const { feedbackSchema } = require("../lib/schemas");
+const { sendError } = require("../lib/errors");
+
+const validateFeedback = validate(feedbackSchema);
+
+function createFeedbackRouter({ feedback, access, rateLimit }) {
+  const { requireAuth, optionalAuth } = access;
+  const limitFeedback = rateLimit("feedback");
+  const router = express.Router();
+
+  // =======================
+  // FEEDBACK -> GET /api/events/:id/feedback?limit=&cursor=
+  // Rating summary with star counts, and the reviews, newest first
+  // =======================
+  router.get("/events/:id/feedback", optionalAuth, async (req, res) => {
+    try {
+      const result = await feedback.list(req.params.id, req.user, req.query);
+
+      res.json({
+        ok: true,
+        count: result.feedback.length,
+        ...result,
+      });
+    } catch (err) {
+      sendError(res, err, "Get feedback", "Failed to load feedback.");
+    }
+  });
+
+  // =======================
+  // RATE EVENT -> POST /api/events/:id/feedback  { rating, review }
+  // Participants only, once the event has taken place. Sending it again
+  // replaces the earlier rating.
+  // =======================
+  router.post(
+    "/events/:id/feedback",
+    requireAuth,
+    limitFeedback,
+    validateFeedback,
+    async (req, res) => {
+      try {
+        const result = await feedback.submit(req.params.id, req.body, req.user);
+
+        res.status(result.created ? 201 : 200).json({
+          ok: true,
+          message: result.created
+            ? "Thanks for your feedback."
+            : "Your feedback has been updated.",
+          feedback: result.feedback,
+          rating: result.rating,
+        });
+      } catch (err) {
+        sendError(res, err, "Rate event", "Failed to save feedback.");
+      }
+    }
+  );
+
+  // =======================
+  // REMOVE FEEDBACK -> DELETE /api/events/:id/feedback
+  // =======================
+  router.delete("/events/:id/feedback", requireAuth, async (req, res) => {
+    try {
+      const result = await feedback.remove(req.params.id, req.user);
+
+      res.json({
+        ok: true,
+        message: "Your feedback has been removed.",
+        ...result,
+      });
+    } catch (err) {
+      sendError(res, err, "Remove feedback", "Failed to remove feedback.");
+    }
+  });
+
+  // =======================
+  // ORGANIZER REPUTATION -> GET /api/organizers/:email/reputation
+  // =======================
+  router.get("/organizers/:email/reputation", async (req, res) => {
+    try {
+      const reputation = await feedback.reputation(req.params.email);
+
+      res.json({
+        ok: true,
+        reputation,
+      });
+    } catch (err) {
+      sendError(res, err, "Get reputation", "Failed to load reputation.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFeedbackRouter;
@@ -0,0 +1,88 @@
+// routes/joinRoutes.js
+// /join-event, /leave-event and /joined
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const { joinSchema } = require("../lib/schemas");
+const { sendError } = require("../lib/errors");
+
+const validateJoin = validate(joinSchema);
+
+function createJoinRouter({ joins, access, rateLimit }) {
+  const { requireAuth } = access;
+  const limitJoin = rateLimit("join");
+  const router = express.Router();
+
+  // =======================
+  // JOIN EVENT -> POST /api/join-event
+  // =======================
+  router.post(
+    "/join-event",
+    requireAuth,
+    limitJoin,
+    validateJoin,
+    async (req, res) => {
+      try {
+        const result = await joins.join(req.body, req.user);
+
+        res.status(201).json({
+          ok: true,
+          message:
+            result.status === "confirmed"
+              ? "You have successfully joined this event."
+              : "This event is full. You have been added to the waitlist.",
+          ...result,
+        });
+      } catch (err) {
+        sendError(res, err, "Join event", "Failed to join event.");
+      }
+    }
+  );
+
+  // =======================
+  // LEAVE EVENT -> POST /api/leave-event
+  // =======================
+  router.post(
+    "/leave-event",
+    requireAuth,
+    limitJoin,
+    validateJoin,
+    async (req, res) => {
+      try {
+        const result = await joins.leave(req.body, req.user);
+
+        res.json({
+          ok: true,
+          message: "You have left this event.",
+          ...result,
+        });
+      } catch (err) {
+        sendError(res, err, "Leave event", "Failed to leave event.");
+      }
+    }
+  );
+
+  // =======================
+  // JOINED EVENTS FOR USER -> GET /api/joined
+  // =======================
+  router.get("/joined", requireAuth, async (req, res) => {
+    try {
+      const { joinedEvents, nextCursor } = await joins.listJoined(
+        req.query,
+        req.user
+      );
+
+      res.json({
+        ok: true,
+        count: joinedEvents.length,
+        joinedEvents,
+        nextCursor,
+      });
+    } catch (err) {
+      sendError(res, err, "Get joined events", "Failed to load joined events");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createJoinRouter;
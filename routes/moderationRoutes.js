@@ -0,0 +1,258 @@
+// routes/moderationRoutes.js
+// /moderation: hide, restore and feature events, review reported comments,
+// suspend accounts (moderators) and change roles (admins)
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const {
+  moderationSchema,
+  featureSchema,
+  roleSchema,
+} = require("../lib/schemas");
+const { sendError } = require("../lib/errors");
+
+const validateReason = validate(moderationSchema);
+const validateFeature = validate(featureSchema);
+const validateRole = validate(roleSchema);
+
+function createModerationRouter({
+  events,
+  users,
+  moderation,
+  comments,
+  access,
+}) {
+  const { requireRole } = access;
+  const router = express.Router();
+  const moderator = requireRole("moderator");
+
+  // =======================
+  // HIDDEN EVENTS -> GET /api/moderation/events/hidden
+  // Same query params as GET /api/events
+  // =======================
+  router.get("/events/hidden", moderator, async (req, res) => {
+    try {
+      const { events: items, nextCursor } = await events.listHidden(req.query);
+
+      res.json({
+        ok: true,
+        count: items.length,
+        events: items,
+        nextCursor,
+      });
+    } catch (err) {
+      sendError(res, err, "Get hidden events", "Failed to load hidden events");
+    }
+  });
+
+  // =======================
+  // HIDE EVENT -> POST /api/moderation/events/:id/hide  { reason }
+  // =======================
+  router.post(
+    "/events/:id/hide",
+    moderator,
+    validateReason,
+    async (req, res) => {
+      try {
+        await moderation.hide(req.params.id, req.body.reason, req.user);
+
+        res.json({
+          ok: true,
+          message: "Event hidden.",
+        });
+      } catch (err) {
+        sendError(res, err, "Hide event", "Failed to hide event.");
+      }
+    }
+  );
+
+  // =======================
+  // RESTORE EVENT -> POST /api/moderation/events/:id/restore
+  // =======================
+  router.post("/events/:id/restore", moderator, async (req, res) => {
+    try {
+      await moderation.restore(req.params.id, req.user);
+
+      res.json({
+        ok: true,
+        message: "Event restored.",
+      });
+    } catch (err) {
+      sendError(res, err, "Restore event", "Failed to restore event.");
+    }
+  });
+
+  // =======================
+  // FEATURE EVENT -> POST /api/moderation/events/:id/feature  { featured }
+  // =======================
+  router.post(
+    "/events/:id/feature",
+    moderator,
+    validateFeature,
+    async (req, res) => {
+      try {
+        const { featured } = req.body;
+        await moderation.feature(req.params.id, featured, req.user);
+
+        res.json({
+          ok: true,
+          message: featured ? "Event featured." : "Event no longer featured.",
+        });
+      } catch (err) {
+        sendError(res, err, "Feature event", "Failed to feature event.");
+      }
+    }
+  );
+
+  // =======================
+  // REPORTED COMMENTS -> GET /api/moderation/comments/reported
+  // Not yet reviewed, newest first
+  // =======================
+  router.get("/comments/reported", moderator, async (req, res) => {
+    try {
+      const result = await comments.listReported(req.query);
+
+      res.json({
+        ok: true,
+        count: result.comments.length,
+        ...result,
+      });
+    } catch (err) {
+      sendError(
+        res,
+        err,
+        "Get reported comments",
+        "Failed to load reported comments"
+      );
+    }
+  });
+
+  // =======================
+  // HIDE COMMENT -> POST /api/moderation/comments/:id/hide  { reason }
+  // =======================
+  router.post(
+    "/comments/:id/hide",
+    moderator,
+    validateReason,
+    async (req, res) => {
+      try {
+        await comments.hide(req.params.id, req.body.reason, req.user);
+
+        res.json({
+          ok: true,
+          message: "Comment hidden.",
+        });
+      } catch (err) {
+        sendError(res, err, "Hide comment", "Failed to hide comment.");
+      }
+    }
+  );
+
+  // =======================
+  // RESTORE COMMENT -> POST /api/moderation/comments/:id/restore
+  // Also dismisses the reports on a comment that was never hidden
+  // =======================
+  router.post("/comments/:id/restore", moderator, async (req, res) => {
+    try {
+      await comments.restore(req.params.id, req.user);
+
+      res.json({
+        ok: true,
+        message: "Comment restored.",
+      });
+    } catch (err) {
+      sendError(res, err, "Restore comment", "Failed to restore comment.");
+    }
+  });
+
+  // =======================
+  // ACCOUNTS -> GET /api/moderation/users?role=&status=&q=
+  // =======================
+  router.get("/users", moderator, async (req, res) => {
+    try {
+      const accounts = await users.list(req.query);
+
+      res.json({
+        ok: true,
+        count: accounts.length,
+        users: accounts,
+      });
+    } catch (err) {
+      sendError(res, err, "Get users", "Failed to load users");
+    }
+  });
+
+  // =======================
+  // SUSPEND ACCOUNT -> POST /api/moderation/users/:email/suspend  { reason }
+  // Suspended accounts get 403 on every authenticated route.
+  // =======================
+  router.post(
+    "/users/:email/suspend",
+    moderator,
+    validateReason,
+    async (req, res) => {
+      try {
+        const user = await users.suspend(
+          req.params.email,
+          req.body.reason,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: "Account suspended.",
+          user,
+        });
+      } catch (err) {
+        sendError(res, err, "Suspend user", "Failed to suspend account.");
+      }
+    }
+  );
+
+  // =======================
+  // REINSTATE ACCOUNT -> POST /api/moderation/users/:email/reinstate
+  // =======================
+  router.post("/users/:email/reinstate", moderator, async (req, res) => {
+    try {
+      const user = await users.reinstate(req.params.email, req.user);
+
+      res.json({
+        ok: true,
+        message: "Account reinstated.",
+        user,
+      });
+    } catch (err) {
+      sendError(res, err, "Reinstate user", "Failed to reinstate account.");
+    }
+  });
+
+  // =======================
+  // CHANGE ROLE -> PATCH /api/moderation/users/:email/role  { role }
+  // Admins only.
+  // =======================
+  router.patch(
+    "/users/:email/role",
+    requireRole("admin"),
+    validateRole,
+    async (req, res) => {
+      try {
+        const user = await users.setRole(
+          req.params.email,
+          req.body.role,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: `Role changed to ${user.role}.`,
+          user,
+        });
+      } catch (err) {
+        sendError(res, err, "Change role", "Failed to change role.");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createModerationRouter;
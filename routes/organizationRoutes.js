@@ -0,0 +1,357 @@
+// routes/organizationRoutes.js
+// /organizations: profiles, members and their invites, hosted events and
+// followers. :id is an organization's id or slug.
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const {
+  organizationSchema,
+  memberSchema,
+  memberRoleSchema,
+} = require("../lib/schemas");
+const { ApiError, sendError } = require("../lib/errors");
+
+const validateOrganization = validate(organizationSchema);
+const validateOrganizationPatch = validate(organizationSchema, {
+  partial: true,
+});
+const validateMember = validate(memberSchema);
+const validateMemberRole = validate(memberRoleSchema);
+
+function createOrganizationRouter({
+  organizations,
+  events,
+  access,
+  rateLimit,
+}) {
+  const { requireAuth, optionalAuth } = access;
+  const limitOrganization = rateLimit("organization");
+  const router = express.Router();
+
+  // =======================
+  // ORGANIZATIONS -> GET /api/organizations?q=&limit=&cursor=
+  // =======================
+  router.get("/", async (req, res) => {
+    try {
+      const { organizations: items, nextCursor } = await organizations.list(
+        req.query
+      );
+
+      res.json({
+        ok: true,
+        count: items.length,
+        organizations: items,
+        nextCursor,
+      });
+    } catch (err) {
+      sendError(res, err, "Get organizations", "Failed to load organizations.");
+    }
+  });
+
+  // =======================
+  // CREATE ORGANIZATION -> POST /api/organizations
+  // { name, slug, description, website }; the creator becomes its admin
+  // =======================
+  router.post(
+    "/",
+    requireAuth,
+    limitOrganization,
+    validateOrganization,
+    async (req, res) => {
+      try {
+        const organization = await organizations.create(req.body, req.user);
+
+        res.status(201).json({
+          ok: true,
+          message: "Organization created.",
+          organization,
+        });
+      } catch (err) {
+        sendError(
+          res,
+          err,
+          "Create organization",
+          "Failed to create organization."
+        );
+      }
+    }
+  );
+
+  // =======================
+  // MY INVITES -> GET /api/organizations/invites
+  // ("invites" is a reserved slug, see lib/organizations.js)
+  // =======================
+  router.get("/invites", requireAuth, async (req, res) => {
+    try {
+      const invites = await organizations.listInvites(req.user);
+
+      res.json({
+        ok: true,
+        count: invites.length,
+        invites,
+      });
+    } catch (err) {
+      sendError(res, err, "Get invites", "Failed to load invitations.");
+    }
+  });
+
+  // =======================
+  // ORGANIZATION PAGE -> GET /api/organizations/:id
+  // =======================
+  router.get("/:id", optionalAuth, async (req, res) => {
+    try {
+      const organization = await organizations.get(req.params.id, req.user);
+
+      res.json({
+        ok: true,
+        organization,
+      });
+    } catch (err) {
+      sendError(res, err, "Get organization", "Failed to load organization.");
+    }
+  });
+
+  // =======================
+  // UPDATE PROFILE -> PATCH /api/organizations/:id
+  // Organization admins only
+  // =======================
+  router.patch(
+    "/:id",
+    requireAuth,
+    limitOrganization,
+    validateOrganizationPatch,
+    async (req, res) => {
+      try {
+        const organization = await organizations.update(
+          req.params.id,
+          req.body,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: "Organization updated.",
+          organization,
+        });
+      } catch (err) {
+        sendError(
+          res,
+          err,
+          "Update organization",
+          "Failed to update organization."
+        );
+      }
+    }
+  );
+
+  // =======================
+  // HOSTED EVENTS -> GET /api/organizations/:id/events?when=upcoming|past
+  // Takes the usual listing parameters
+  // =======================
+  router.get("/:id/events", async (req, res) => {
+    try {
+      const when = req.query.when || "upcoming";
+      if (!["upcoming", "past"].includes(when)) {
+        throw new ApiError(400, "when must be upcoming or past.");
+      }
+
+      const organization = await organizations.find(req.params.id);
+      const { events: items, nextCursor } = await events.listByOrganization(
+        organization._id,
+        when,
+        req.query
+      );
+
+      res.json({
+        ok: true,
+        count: items.length,
+        events: items,
+        nextCursor,
+      });
+    } catch (err) {
+      sendError(
+        res,
+        err,
+        "Get organization events",
+        "Failed to load organization events."
+      );
+    }
+  });
+
+  // =======================
+  // MEMBERS -> GET /api/organizations/:id/members
+  // Members and pending invites; members only
+  // =======================
+  router.get("/:id/members", requireAuth, async (req, res) => {
+    try {
+      const { members, invites } = await organizations.listMembers(
+        req.params.id,
+        req.user
+      );
+
+      res.json({
+        ok: true,
+        count: members.length,
+        members,
+        invites,
+      });
+    } catch (err) {
+      sendError(res, err, "Get members", "Failed to load members.");
+    }
+  });
+
+  // =======================
+  // INVITE MEMBER -> POST /api/organizations/:id/members  { email, role }
+  // Organization admins only; they join once they accept
+  // =======================
+  router.post(
+    "/:id/members",
+    requireAuth,
+    limitOrganization,
+    validateMember,
+    async (req, res) => {
+      try {
+        const invite = await organizations.invite(
+          req.params.id,
+          req.body,
+          req.user
+        );
+
+        res.status(201).json({
+          ok: true,
+          message: "Invitation sent.",
+          invite,
+        });
+      } catch (err) {
+        sendError(res, err, "Invite member", "Failed to send invitation.");
+      }
+    }
+  );
+
+  // =======================
+  // ACCEPT INVITE -> POST /api/organizations/:id/members/accept
+  // =======================
+  router.post("/:id/members/accept", requireAuth, async (req, res) => {
+    try {
+      const member = await organizations.accept(req.params.id, req.user);
+
+      res.json({
+        ok: true,
+        message: "You are now a member of this organization.",
+        member,
+      });
+    } catch (err) {
+      sendError(res, err, "Accept invite", "Failed to accept invitation.");
+    }
+  });
+
+  // =======================
+  // DECLINE INVITE -> POST /api/organizations/:id/members/decline
+  // =======================
+  router.post("/:id/members/decline", requireAuth, async (req, res) => {
+    try {
+      await organizations.decline(req.params.id, req.user);
+
+      res.json({
+        ok: true,
+        message: "Invitation declined.",
+      });
+    } catch (err) {
+      sendError(res, err, "Decline invite", "Failed to decline invitation.");
+    }
+  });
+
+  // =======================
+  // CHANGE MEMBER ROLE -> PATCH /api/organizations/:id/members/:email
+  // { role }; organization admins only
+  // =======================
+  router.patch(
+    "/:id/members/:email",
+    requireAuth,
+    limitOrganization,
+    validateMemberRole,
+    async (req, res) => {
+      try {
+        await organizations.setMemberRole(
+          req.params.id,
+          req.params.email,
+          req.body.role,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: "Member role updated.",
+        });
+      } catch (err) {
+        sendError(res, err, "Change member role", "Failed to update member.");
+      }
+    }
+  );
+
+  // =======================
+  // REMOVE MEMBER -> DELETE /api/organizations/:id/members/:email
+  // Admins remove anyone (or withdraw an invite); members can leave
+  // =======================
+  router.delete("/:id/members/:email", requireAuth, async (req, res) => {
+    try {
+      await organizations.removeMember(
+        req.params.id,
+        req.params.email,
+        req.user
+      );
+
+      res.json({
+        ok: true,
+        message: "Member removed.",
+      });
+    } catch (err) {
+      sendError(res, err, "Remove member", "Failed to remove member.");
+    }
+  });
+
+  // =======================
+  // FOLLOW -> POST /api/organizations/:id/follow
+  // =======================
+  router.post(
+    "/:id/follow",
+    requireAuth,
+    limitOrganization,
+    async (req, res) => {
+      try {
+        await organizations.follow(req.params.id, req.user);
+
+        res.json({
+          ok: true,
+          message: "You are following this organization.",
+        });
+      } catch (err) {
+        sendError(res, err, "Follow organization", "Failed to follow.");
+      }
+    }
+  );
+
+  // =======================
+  // UNFOLLOW -> DELETE /api/organizations/:id/follow
+  // =======================
+  router.delete(
+    "/:id/follow",
+    requireAuth,
+    limitOrganization,
+    async (req, res) => {
+      try {
+        await organizations.unfollow(req.params.id, req.user);
+
+        res.json({
+          ok: true,
+          message: "You are no longer following this organization.",
+        });
+      } catch (err) {
+        sendError(res, err, "Unfollow organization", "Failed to unfollow.");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createOrganizationRouter;
@@ -0,0 +1,171 @@
+// routes/organizerRoutes.js
+// /events/:id/organizers (co-organizer invites and the team),
+// /events/:id/transfer and /organizer-invites
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const { organizerSchema } = require("../lib/schemas");
+const { sendError } = require("../lib/errors");
+
+const validateOrganizer = validate(organizerSchema);
+
+function createOrganizerRouter({ organizers, access, rateLimit }) {
+  const { requireAuth } = access;
+  const limitEdit = rateLimit("editEvent");
+  const router = express.Router();
+
+  // =======================
+  // ORGANIZER TEAM -> GET /api/events/:id/organizers
+  // Owner, co-organizers and pending invites
+  // =======================
+  router.get("/events/:id/organizers", requireAuth, async (req, res) => {
+    try {
+      const team = await organizers.list(req.params.id, req.user);
+
+      res.json({
+        ok: true,
+        ...team,
+      });
+    } catch (err) {
+      sendError(res, err, "Get organizers", "Failed to load organizers.");
+    }
+  });
+
+  // =======================
+  // INVITE CO-ORGANIZER -> POST /api/events/:id/organizers  { email }
+  // Owner only
+  // =======================
+  router.post(
+    "/events/:id/organizers",
+    requireAuth,
+    limitEdit,
+    validateOrganizer,
+    async (req, res) => {
+      try {
+        const invite = await organizers.invite(
+          req.params.id,
+          req.body.email,
+          req.user
+        );
+
+        res.status(201).json({
+          ok: true,
+          message: "Invitation sent.",
+          invite,
+        });
+      } catch (err) {
+        sendError(res, err, "Invite organizer", "Failed to send invitation.");
+      }
+    }
+  );
+
+  // =======================
+  // ACCEPT INVITE -> POST /api/events/:id/organizers/accept
+  // =======================
+  router.post(
+    "/events/:id/organizers/accept",
+    requireAuth,
+    async (req, res) => {
+      try {
+        await organizers.accept(req.params.id, req.user);
+
+        res.json({
+          ok: true,
+          message: "You are now a co-organizer of this event.",
+        });
+      } catch (err) {
+        sendError(res, err, "Accept invite", "Failed to accept invitation.");
+      }
+    }
+  );
+
+  // =======================
+  // DECLINE INVITE -> POST /api/events/:id/organizers/decline
+  // =======================
+  router.post(
+    "/events/:id/organizers/decline",
+    requireAuth,
+    async (req, res) => {
+      try {
+        await organizers.decline(req.params.id, req.user);
+
+        res.json({
+          ok: true,
+          message: "Invitation declined.",
+        });
+      } catch (err) {
+        sendError(res, err, "Decline invite", "Failed to decline invitation.");
+      }
+    }
+  );
+
+  // =======================
+  // REMOVE ORGANIZER -> DELETE /api/events/:id/organizers/:email
+  // The owner removes anyone (or withdraws an invite); co-organizers
+  // can remove themselves
+  // =======================
+  router.delete(
+    "/events/:id/organizers/:email",
+    requireAuth,
+    async (req, res) => {
+      try {
+        await organizers.remove(req.params.id, req.params.email, req.user);
+
+        res.json({
+          ok: true,
+          message: "Organizer removed.",
+        });
+      } catch (err) {
+        sendError(res, err, "Remove organizer", "Failed to remove organizer.");
+      }
+    }
+  );
+
+  // =======================
+  // TRANSFER OWNERSHIP -> POST /api/events/:id/transfer  { email }
+  // Owner (to a co-organizer) or admin (to anyone)
+  // =======================
+  router.post(
+    "/events/:id/transfer",
+    requireAuth,
+    limitEdit,
+    validateOrganizer,
+    async (req, res) => {
+      try {
+        const team = await organizers.transfer(
+          req.params.id,
+          req.body.email,
+          req.user
+        );
+
+        res.json({
+          ok: true,
+          message: "Event transferred.",
+          ...team,
+        });
+      } catch (err) {
+        sendError(res, err, "Transfer event", "Failed to transfer event.");
+      }
+    }
+  );
+
+  // =======================
+  // MY INVITES -> GET /api/organizer-invites
+  // =======================
+  router.get("/organizer-invites", requireAuth, async (req, res) => {
+    try {
+      const invites = await organizers.listInvites(req.user);
+
+      res.json({
+        ok: true,
+        count: invites.length,
+        invites,
+      });
+    } catch (err) {
+      sendError(res, err, "Get invites", "Failed to load invitations.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createOrganizerRouter;
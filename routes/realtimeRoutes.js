@@ -0,0 +1,125 @@
+// routes/realtimeRoutes.js
+// Server-Sent Events streams: /events/:id/stream and /joined/stream.
+// Each message is sent as `event: <type>` with the JSON message as data.
+// EventSource clients can pass their token as ?access_token=.
+const express = require("express");
+const { sendError } = require("../lib/errors");
+
+// Keeps proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// Messages after which a viewer may no longer be allowed to see the event
+const VISIBILITY_CHANGES = ["event.status", "event.visibility"];
+
+// Switch `res` to an event stream. Returns `{ send(message), end() }`;
+// `stop` runs when the client goes away.
+function openStream(req, res, stop) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    stop();
+  });
+
+  return {
+    send(message) {
+      res.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      res.end();
+    },
+  };
+}
+
+function createRealtimeRouter({ realtime, events, access }) {
+  const { requireAuth, optionalAuth } = access;
+  const router = express.Router();
+
+  // =======================
+  // EVENT STREAM -> GET /api/events/:id/stream
+  // participants, event.updated, event.status, event.visibility and
+  // comment.created. Ends once the viewer can no longer see the event.
+  // =======================
+  router.get("/events/:id/stream", optionalAuth, async (req, res) => {
+    try {
+      const event = await events.findVisible(req.params.id, req.user);
+
+      let unsubscribe = () => {};
+      let closed = false;
+      const stream = openStream(req, res, () => {
+        closed = true;
+        unsubscribe();
+      });
+
+      // The viewer lost access (e.g. a moderator hid the event): end the
+      // stream. EventSource reconnects and stops at the 404.
+      async function recheck() {
+        try {
+          await events.findVisible(event._id, req.user);
+        } catch (err) {
+          if (closed) return;
+          closed = true;
+          unsubscribe();
+          stream.end();
+        }
+      }
+
+      unsubscribe = realtime.subscribeEvent(event._id, (message) => {
+        if (closed) return;
+        stream.send(message);
+        if (VISIBILITY_CHANGES.includes(message.type)) recheck();
+      });
+
+      stream.send({ type: "ready", eventId: String(event._id) });
+    } catch (err) {
+      sendError(res, err, "Event stream", "Failed to open the event stream.");
+    }
+  });
+
+  // =======================
+  // DASHBOARD STREAM -> GET /api/joined/stream
+  // Your joined / left / promoted changes and every message about the
+  // events you joined
+  // =======================
+  router.get("/joined/stream", requireAuth, async (req, res) => {
+    try {
+      let unsubscribe = () => {};
+      let closed = false;
+      const stream = openStream(req, res, () => {
+        closed = true;
+        unsubscribe();
+      });
+
+      unsubscribe = await realtime.subscribeDashboard(req.user, stream.send);
+      // the client may have left while the subscriptions were set up
+      if (closed) return unsubscribe();
+
+      stream.send({ type: "ready" });
+    } catch (err) {
+      if (res.headersSent) {
+        console.error("Dashboard stream error:", err);
+        return res.end();
+      }
+      sendError(
+        res,
+        err,
+        "Dashboard stream",
+        "Failed to open the dashboard stream."
+      );
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRealtimeRouter;
@@ -0,0 +1,85 @@
+// routes/rosterRoutes.js
+// /events/:id roster, check-in and attendance export (organizer only)
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const { checkInSchema } = require("../lib/schemas");
+const { sendError } = require("../lib/errors");
+
+const validateCheckIn = validate(checkInSchema);
+
+function createRosterRouter({ roster, access }) {
+  const { requireAuth } = access;
+  const router = express.Router();
+
+  // =======================
+  // ROSTER -> GET /api/events/:id/roster
+  // ?occurrenceDate= (one occurrence of a series) &status=confirmed|waitlisted
+  // =======================
+  router.get("/:id/roster", requireAuth, async (req, res) => {
+    try {
+      const result = await roster.roster(req.params.id, req.user, req.query);
+
+      res.json({
+        ok: true,
+        ...result,
+      });
+    } catch (err) {
+      sendError(res, err, "Get roster", "Failed to load roster.");
+    }
+  });
+
+  // =======================
+  // CHECK-IN -> POST /api/events/:id/check-in
+  // { userEmail } or { code } (scanned from the participant's QR code),
+  // occurrenceDate for recurring events, present: false to undo
+  // =======================
+  router.post(
+    "/:id/check-in",
+    requireAuth,
+    validateCheckIn,
+    async (req, res) => {
+      try {
+        const result = await roster.checkIn(req.params.id, req.body, req.user);
+
+        let message = "Check-in removed.";
+        if (result.checkedIn) {
+          message = result.changed
+            ? "Checked in successfully."
+            : "Already checked in.";
+        }
+
+        res.json({
+          ok: true,
+          message,
+          ...result,
+        });
+      } catch (err) {
+        sendError(res, err, "Check-in", "Failed to check in.");
+      }
+    }
+  );
+
+  // =======================
+  // ATTENDANCE EXPORT -> GET /api/events/:id/attendance.csv
+  // (occurrenceDate is required for recurring events)
+  // =======================
+  router.get("/:id/attendance.csv", requireAuth, async (req, res) => {
+    try {
+      const { filename, csv } = await roster.attendanceCsv(
+        req.params.id,
+        req.user,
+        req.query
+      );
+
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${filename}"`);
+      res.send(csv);
+    } catch (err) {
+      sendError(res, err, "Export attendance", "Failed to export attendance.");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRosterRouter;
@@ -0,0 +1,75 @@
+// routes/systemRoutes.js
+// Health checks and dev helpers
+const express = require("express");
+const { sendError } = require("../lib/errors");
+const { hasRole } = require("../lib/roles");
+
+function createSystemRouter({ db, events, access }) {
+  const { optionalAuth } = access;
+  const router = express.Router();
+
+  // =======================
+  // ROOT + TEST
+  // =======================
+  router.get("/", async (req, res) => {
+    res.send("Social Development Events API is running on Vercel.");
+  });
+
+  router.get("/test-db", async (req, res) => {
+    try {
+      await db.command({ ping: 1 });
+      const count = await db.collection("events").estimatedDocumentCount();
+
+      res.json({
+        ok: true,
+        message: "MongoDB is working",
+        totalEvents: count,
+      });
+    } catch (err) {
+      console.error("test-db error:", err);
+      res.status(500).json({
+        ok: false,
+        error: err.message,
+      });
+    }
+  });
+
+  // =======================
+  // DEV: Seed demo events
+  // GET /api/seed-demo-events
+  // Open when ENABLE_DEV_ROUTES=true, admins only otherwise.
+  // =======================
+  router.get("/seed-demo-events", optionalAuth, async (req, res) => {
+    if (process.env.ENABLE_DEV_ROUTES !== "true") {
+      if (!req.user) {
+        return res.status(401).json({
+          ok: false,
+          message: "Authentication required.",
+        });
+      }
+
+      if (!hasRole(req.user, "admin")) {
+        return res.status(403).json({
+          ok: false,
+          message: "You do not have permission to do this.",
+        });
+      }
+    }
+
+    try {
+      const insertedCount = await events.seedDemo();
+
+      res.json({
+        ok: true,
+        message: "Demo events inserted successfully.",
+        insertedCount,
+      });
+    } catch (err) {
+      sendError(res, err, "Seed demo events", "Failed to seed demo events");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSystemRouter;
@@ -0,0 +1,418 @@
+// services/analyticsService.js
+// Numbers for organizers (per event and across the events they organize)
+// and for admins (platform-wide). Everything is computed with aggregation
+// pipelines over `events` and `joinedEvents`.
+//
+// ?from=&to= bound the date each figure is about: the event date for event
+// stats, the join date for join timelines and the creation date for new
+// events. ?interval=day|week|month sets the timeline buckets.
+const { ApiError } = require("../lib/errors");
+const { hasRole } = require("../lib/roles");
+const { isOrganizer, organizedBy } = require("../lib/organizers");
+const { takenExpr } = require("../lib/capacity");
+
+const INTERVALS = ["day", "week", "month"];
+
+// Platform stats cover the last 12 weeks unless ?from= says otherwise
+const PLATFORM_WINDOW_MS = 12 * 7 * 24 * 60 * 60 * 1000;
+
+const TOP_LOCATIONS = 10;
+
+const EMPTY_TOTALS = {
+  events: 0,
+  signups: 0,
+  waitlisted: 0,
+  checkedIn: 0,
+  fillRate: null,
+  turnout: null,
+};
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ApiError(400, `Invalid '${name}' date.`);
+  }
+  return date;
+}
+
+/**
+ * Read ?from=&to=&interval=.
+ * @returns {{ from: Date|null, to: Date|null, interval: string }}
+ */
+function parseRange(query, { from = null, to = null, interval = "day" } = {}) {
+  const range = {
+    from: query.from ? parseDate(query.from, "from") : from,
+    to: query.to ? parseDate(query.to, "to") : to,
+    interval: query.interval || interval,
+  };
+
+  if (range.from && range.to && range.from > range.to) {
+    throw new ApiError(400, "'from' must be before 'to'.");
+  }
+  if (!INTERVALS.includes(range.interval)) {
+    throw new ApiError(
+      400,
+      `Invalid interval. Use one of: ${INTERVALS.join(", ")}.`
+    );
+  }
+
+  return range;
+}
+
+// { field: { $gte, $lte } } for the bounds that are set
+function inRange(field, { from, to }) {
+  if (!from && !to) return {};
+
+  const bounds = {};
+  if (from) bounds.$gte = from;
+  if (to) bounds.$lte = to;
+  return { [field]: bounds };
+}
+
+// Start of the day, week (from Monday) or month `field` falls in, UTC
+function bucket(field, interval) {
+  const trunc = { date: field, unit: interval };
+  if (interval === "week") trunc.startOfWeek = "monday";
+  return { $dateTrunc: trunc };
+}
+
+// part / whole rounded to 3 places, or null when there is no whole
+function ratio(part, whole) {
+  return {
+    $cond: [
+      { $gt: [whole, 0] },
+      { $round: [{ $divide: [part, whole] }, 3] },
+      null,
+    ],
+  };
+}
+
+function countJoins(cond) {
+  return { $size: { $filter: { input: "$joins", cond } } };
+}
+
+// One row per event: sign-ups, waitlist, check-ins, fill rate and turnout.
+// `taken` (seats taken) stays on the row for the totals.
+const EVENT_STATS = [
+  {
+    $lookup: {
+      from: "joinedEvents",
+      localField: "_id",
+      foreignField: "eventId",
+      as: "joins",
+      pipeline: [
+        {
+          $project: {
+            _id: 0,
+            status: 1,
+            attended: { $gt: [{ $size: { $ifNull: ["$checkIns", []] } }, 0] },
+          },
+        },
+      ],
+    },
+  },
+  {
+    $project: {
+      title: 1,
+      eventType: 1,
+      location: 1,
+      eventDate: 1,
+      status: { $ifNull: ["$status", "published"] },
+      capacity: { $ifNull: ["$capacity", null] },
+      signups: countJoins({ $eq: ["$$this.status", "confirmed"] }),
+      waitlisted: countJoins({ $eq: ["$$this.status", "waitlisted"] }),
+      checkedIn: countJoins("$$this.attended"),
+      taken: takenExpr(null),
+    },
+  },
+  {
+    $addFields: {
+      fillRate: ratio("$taken", "$capacity"),
+      turnout: ratio("$checkedIn", "$signups"),
+    },
+  },
+];
+
+function groupRows(key, name) {
+  return [
+    {
+      $group: {
+        _id: key,
+        events: { $sum: 1 },
+        signups: { $sum: "$signups" },
+        checkedIn: { $sum: "$checkedIn" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        [name]: "$_id",
+        events: 1,
+        signups: 1,
+        checkedIn: 1,
+        turnout: ratio("$checkedIn", "$signups"),
+      },
+    },
+    { $sort: { signups: -1, [name]: 1 } },
+  ];
+}
+
+function createAnalyticsService(db, { events }) {
+  const eventsCollection = db.collection("events");
+  const joinedCollection = db.collection("joinedEvents");
+
+  // Joins per bucket of join date
+  function joinTimeline(eventFilter, range) {
+    return joinedCollection
+      .aggregate([
+        { $match: { ...eventFilter, ...inRange("joinedAt", range) } },
+        {
+          $group: {
+            _id: bucket("$joinedAt", range.interval),
+            joins: { $sum: 1 },
+            waitlisted: {
+              $sum: { $cond: [{ $eq: ["$status", "waitlisted"] }, 1, 0] },
+            },
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: "$_id", joins: 1, waitlisted: 1 } },
+      ])
+      .toArray();
+  }
+
+  return {
+    // One event: its stats and joins over time. Organizers and admins.
+    async forEvent(id, query, user) {
+      const event = await events.findById(id);
+
+      if (!isOrganizer(event, user.email) && !hasRole(user, "admin")) {
+        throw new ApiError(
+          403,
+          "Only organizers or an admin can see this event's analytics."
+        );
+      }
+
+      const range = parseRange(query);
+      const [stats] = await eventsCollection
+        .aggregate([
+          { $match: { _id: event._id } },
+          ...EVENT_STATS,
+          { $project: { taken: 0 } },
+        ])
+        .toArray();
+
+      return {
+        event: stats,
+        timeline: await joinTimeline({ eventId: event._id }, range),
+      };
+    },
+
+    /**
+     * Every event the user organizes with an event date in range: per-event
+     * rows, totals, a breakdown by eventType, the top locations and joins
+     * over time.
+     */
+    async forOrganizer(user, query) {
+      const range = parseRange(query);
+
+      const [result] = await eventsCollection
+        .aggregate([
+          {
+            $match: {
+              ...organizedBy(user.email),
+              ...inRange("eventDate", range),
+            },
+          },
+          ...EVENT_STATS,
+          {
+            $facet: {
+              events: [
+                { $sort: { eventDate: -1 } },
+                { $project: { taken: 0 } },
+              ],
+              totals: [
+                {
+                  $group: {
+                    _id: null,
+                    events: { $sum: 1 },
+                    signups: { $sum: "$signups" },
+                    waitlisted: { $sum: "$waitlisted" },
+                    checkedIn: { $sum: "$checkedIn" },
+                    capacity: { $sum: "$capacity" },
+                    taken: {
+                      $sum: {
+                        $cond: [{ $gt: ["$capacity", 0] }, "$taken", 0],
+                      },
+                    },
+                    ids: { $push: "$_id" },
+                  },
+                },
+                {
+                  $project: {
+                    _id: 0,
+                    events: 1,
+                    signups: 1,
+                    waitlisted: 1,
+                    checkedIn: 1,
+                    fillRate: ratio("$taken", "$capacity"),
+                    turnout: ratio("$checkedIn", "$signups"),
+                    ids: 1,
+                  },
+                },
+              ],
+              byEventType: groupRows("$eventType", "eventType"),
+              topLocations: [
+                ...groupRows("$location", "location"),
+                { $limit: TOP_LOCATIONS },
+              ],
+            },
+          },
+        ])
+        .toArray();
+
+      const { ids = [], ...totals } = result.totals[0] || EMPTY_TOTALS;
+
+      return {
+        totals,
+        events: result.events,
+        byEventType: result.byEventType,
+        topLocations: result.topLocations,
+        timeline: await joinTimeline({ eventId: { $in: ids } }, range),
+      };
+    },
+
+    /**
+     * Admins: new events, joins and active users (anyone who created or
+     * joined an event) per bucket and in total, and the most joined
+     * event types.
+     */
+    async platform(query) {
+      const now = new Date();
+      const range = parseRange(query, {
+        from: new Date(now.getTime() - PLATFORM_WINDOW_MS),
+        to: now,
+        interval: "week",
+      });
+
+      const [activity] = await eventsCollection
+        .aggregate([
+          { $match: inRange("createdAt", range) },
+          {
+            $project: {
+              _id: 0,
+              at: "$createdAt",
+              userEmail: "$creatorEmail",
+              created: { $literal: 1 },
+              joined: { $literal: 0 },
+            },
+          },
+          {
+            $unionWith: {
+              coll: "joinedEvents",
+              pipeline: [
+                { $match: inRange("joinedAt", range) },
+                {
+                  $project: {
+                    _id: 0,
+                    at: "$joinedAt",
+                    userEmail: 1,
+                    created: { $literal: 0 },
+                    joined: { $literal: 1 },
+                  },
+                },
+              ],
+            },
+          },
+          {
+            $facet: {
+              timeline: [
+                {
+                  $group: {
+                    _id: {
+                      period: bucket("$at", range.interval),
+                      userEmail: "$userEmail",
+                    },
+                    events: { $sum: "$created" },
+                    joins: { $sum: "$joined" },
+                  },
+                },
+                {
+                  $group: {
+                    _id: "$_id.period",
+                    events: { $sum: "$events" },
+                    joins: { $sum: "$joins" },
+                    activeUsers: { $sum: 1 },
+                  },
+                },
+                { $sort: { _id: 1 } },
+                {
+                  $project: {
+                    _id: 0,
+                    period: "$_id",
+                    events: 1,
+                    joins: 1,
+                    activeUsers: 1,
+                  },
+                },
+              ],
+              totals: [
+                {
+                  $group: {
+                    _id: "$userEmail",
+                    events: { $sum: "$created" },
+                    joins: { $sum: "$joined" },
+                  },
+                },
+                {
+                  $group: {
+                    _id: null,
+                    events: { $sum: "$events" },
+                    joins: { $sum: "$joins" },
+                    activeUsers: { $sum: 1 },
+                  },
+                },
+                { $project: { _id: 0 } },
+              ],
+            },
+          },
+        ])
+        .toArray();
+
+      const popularCategories = await joinedCollection
+        .aggregate([
+          { $match: inRange("joinedAt", range) },
+          {
+            $group: {
+              _id: "$eventType",
+              joins: { $sum: 1 },
+              events: { $addToSet: "$eventId" },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              eventType: "$_id",
+              joins: 1,
+              events: { $size: "$events" },
+            },
+          },
+          { $sort: { joins: -1, eventType: 1 } },
+        ])
+        .toArray();
+
+      return {
+        from: range.from,
+        to: range.to,
+        interval: range.interval,
+        totals: activity.totals[0] || { events: 0, joins: 0, activeUsers: 0 },
+        timeline: activity.timeline,
+        popularCategories,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createAnalyticsService,
+};
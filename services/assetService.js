@@ -0,0 +1,131 @@
+// services/assetService.js
+// Uploaded images. Each upload becomes one `assets` document:
+//   { ownerEmail, originalName, width, height, blurhash,
+//     variants: { small|medium|large: { key, url, width, height, size } },
+//     createdAt }
+// and one stored file per variant (see lib/storage.js).
+const { ObjectId } = require("mongodb");
+const { ApiError } = require("../lib/errors");
+const { processImage, VARIANTS } = require("../lib/images");
+
+function toAssetId(id) {
+  if (!ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid image id.");
+  }
+  return new ObjectId(id);
+}
+
+// The fields an event keeps about its image
+function imageSummary(asset) {
+  const variants = {};
+  for (const [name, variant] of Object.entries(asset.variants)) {
+    variants[name] = {
+      url: variant.url,
+      width: variant.width,
+      height: variant.height,
+    };
+  }
+
+  return { assetId: asset._id, blurhash: asset.blurhash, variants };
+}
+
+function createAssetService(db, { storage }) {
+  const assetsCollection = db.collection("assets");
+
+  async function findById(id) {
+    const asset = await assetsCollection.findOne({ _id: toAssetId(id) });
+
+    if (!asset) {
+      throw new ApiError(404, "Image not found.");
+    }
+
+    return asset;
+  }
+
+  return {
+    /**
+     * Store the variants and record the upload.
+     * @param {object} file    multer file ({ buffer, originalname })
+     * @param {object} user
+     * @param {Function} urlFor  (assetId, variantName) -> URL served by the API
+     * @returns {object} { assetId, blurhash, variants: { name: { url, ... } } }
+     */
+    async upload(file, user, urlFor) {
+      if (!file) {
+        throw new ApiError(400, "Attach an image in the `image` field.");
+      }
+
+      const processed = await processImage(file.buffer);
+      const _id = new ObjectId();
+
+      const variants = {};
+      for (const variant of processed.variants) {
+        const key = `images/${_id}/${variant.name}.webp`;
+        await storage.put(key, variant.buffer, variant.contentType);
+
+        variants[variant.name] = {
+          key,
+          url: storage.publicUrl
+            ? storage.publicUrl(key)
+            : urlFor(_id, variant.name),
+          width: variant.width,
+          height: variant.height,
+          size: variant.buffer.length,
+          contentType: variant.contentType,
+        };
+      }
+
+      const asset = {
+        _id,
+        ownerEmail: user.email,
+        originalName: file.originalname || null,
+        width: processed.width,
+        height: processed.height,
+        blurhash: processed.blurhash,
+        variants,
+        createdAt: new Date(),
+      };
+
+      await assetsCollection.insertOne(asset);
+      return imageSummary(asset);
+    },
+
+    async get(id) {
+      return imageSummary(await findById(id));
+    },
+
+    // An image the user uploaded, as stored on an event
+    async imageFor(id, user) {
+      const asset = await findById(id);
+
+      if (asset.ownerEmail !== user.email) {
+        throw new ApiError(403, "You can only use images you uploaded.");
+      }
+
+      return imageSummary(asset);
+    },
+
+    // File contents of one variant
+    async read(id, variantName) {
+      if (!VARIANTS[variantName]) {
+        throw new ApiError(
+          404,
+          `Unknown image size. Use one of: ${Object.keys(VARIANTS).join(", ")}.`
+        );
+      }
+
+      const asset = await findById(id);
+      const file = await storage.get(asset.variants[variantName].key);
+
+      if (!file) {
+        throw new ApiError(404, "Image not found.");
+      }
+
+      return file;
+    },
+  };
+}
+
+module.exports = {
+  createAssetService,
+};
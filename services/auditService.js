@@ -0,0 +1,70 @@
+// services/auditService.js
+// Append-only change history for events and their participants.
+// One document per action in `auditLog`:
+//   { eventId, action, actor, at, changes: { field: { from, to } }, details }
+// `actor` is the email of whoever made the change, null for the system
+// (e.g. waitlist promotions). Entries are never updated or deleted.
+const { parsePage, pageOf } = require("../lib/paging");
+
+function createAuditService(db) {
+  const auditCollection = db.collection("auditLog");
+
+  // The change itself is already saved, so a failed write is logged rather
+  // than failing the request.
+  async function record({ eventId, action, actor, changes, details }) {
+    try {
+      await auditCollection.insertOne({
+        eventId,
+        action,
+        actor: actor ?? null,
+        at: new Date(),
+        changes: changes ?? null,
+        details: details ?? null,
+      });
+    } catch (err) {
+      console.error(`Audit ${action} error:`, err);
+    }
+  }
+
+  return {
+    record,
+
+    // join.joined / join.left / join.promoted for a joined document
+    recordJoin(action, join, actor) {
+      return record({
+        eventId: join.eventId,
+        action,
+        actor,
+        details: {
+          userEmail: join.userEmail,
+          status: join.status,
+          occurrenceDate: join.occurrenceDate ?? null,
+        },
+      });
+    },
+
+    /**
+     * Newest first. query: { limit, cursor } (cursor = nextCursor)
+     * @returns {{ entries: object[], nextCursor: string|null }}
+     */
+    async listForEvent(eventId, query) {
+      const { limit, cursor } = parsePage(query);
+
+      const filter = { eventId };
+      if (cursor) filter._id = { $lt: cursor };
+
+      const found = await auditCollection
+        .find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+
+      const { items, nextCursor } = pageOf(found, limit);
+      return { entries: items, nextCursor };
+    },
+  };
+}
+
+module.exports = {
+  createAuditService,
+};
@@ -0,0 +1,108 @@
+// services/calendarService.js
+// iCalendar export of single events and the personal subscription feed.
+const { ApiError } = require("../lib/errors");
+const { eventToVevents, buildCalendar } = require("../lib/ics");
+const { hashToken, createToken } = require("../lib/feedTokens");
+
+// one VEVENT (or series) per join or left event
+function joinKey(doc) {
+  return `${doc.eventId}:${doc.occurrenceKey || ""}`;
+}
+
+function createCalendarService(db, { events }) {
+  const eventsCollection = db.collection("events");
+  const joinedCollection = db.collection("joinedEvents");
+  const leftCollection = db.collection("leftEvents");
+  const feedsCollection = db.collection("calendarFeeds");
+
+  return {
+    async exportEvent(id, viewer) {
+      const event = await events.findVisible(id, viewer);
+      return buildCalendar(eventToVevents(event), { name: event.title });
+    },
+
+    // Creates (or rotates) the user's feed token. The old one stops
+    // working immediately; the plain token is only returned here.
+    async createFeed(user) {
+      const { token, tokenHash } = createToken();
+
+      await feedsCollection.updateOne(
+        { userEmail: user.email },
+        { $set: { tokenHash, createdAt: new Date() } },
+        { upsert: true }
+      );
+
+      return token;
+    },
+
+    async revokeFeed(user) {
+      const result = await feedsCollection.deleteOne({
+        userEmail: user.email,
+      });
+
+      if (result.deletedCount === 0) {
+        throw new ApiError(404, "You have no calendar feed.");
+      }
+    },
+
+    // Built from live event documents, so edits and cancellations show up
+    // as updated (higher SEQUENCE) or CANCELLED VEVENTs on the next poll.
+    // Events the user left (see joinService.leave) or can no longer see
+    // (hidden by a moderator) go out as CANCELLED too: calendar apps keep
+    // entries that simply disappear from a feed.
+    async renderFeed(token) {
+      const feed = await feedsCollection.findOne({
+        tokenHash: hashToken(token),
+      });
+
+      if (!feed) {
+        throw new ApiError(404, "Calendar feed not found.");
+      }
+
+      const viewer = { email: feed.userEmail };
+      const joins = await joinedCollection
+        .find({ userEmail: feed.userEmail })
+        .toArray();
+      const joined = new Set(joins.map(joinKey));
+      const left = (
+        await leftCollection.find({ userEmail: feed.userEmail }).toArray()
+      )
+        .filter((l) => !joined.has(joinKey(l)))
+        .map((l) => ({ ...l, left: true }));
+
+      const found = await eventsCollection
+        .find({
+          _id: { $in: [...joins, ...left].map((j) => j.eventId) },
+        })
+        .toArray();
+      const byId = new Map(found.map((e) => [String(e._id), e]));
+
+      const vevents = [];
+      for (const join of [...joins, ...left]) {
+        const event = byId.get(String(join.eventId));
+        if (!event) continue;
+
+        const gone = join.left || !events.canSee(event, viewer);
+        vevents.push(
+          ...eventToVevents(event, {
+            tentative: join.status === "waitlisted",
+            occurrenceKeys: join.occurrenceKey
+              ? [join.occurrenceKey]
+              : undefined,
+            // leaving doesn't change the event, so bump SEQUENCE here
+            ...(gone && {
+              cancelled: true,
+              sequence: (event.version || 0) + (join.left ? 1 : 0),
+            }),
+          })
+        );
+      }
+
+      return buildCalendar(vevents, { name: "My Social Events" });
+    },
+  };
+}
+
+module.exports = {
+  createCalendarService,
+};
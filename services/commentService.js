@@ -0,0 +1,417 @@
+// services/commentService.js
+// Comments and Q&A on events. One `comments` document per comment:
+//   { eventId, parentId, authorEmail, authorName, body, pinned,
+//     status: "visible" | "hidden" | "deleted", replyCount,
+//     reports: [{ email, reason, at }], reportCount, createdAt, editedAt }
+// Threads are one level deep: replying to a reply answers its thread.
+// Events keep a `commentCount` of visible comments for the listings.
+const { ObjectId } = require("mongodb");
+const { ApiError } = require("../lib/errors");
+const { hasRole } = require("../lib/roles");
+const { parsePage, pageOf } = require("../lib/paging");
+const { isOrganizer } = require("../lib/organizers");
+
+// replies shown under each comment in the list; the rest are paged
+const PREVIEW_REPLIES = 3;
+// reports from this many people hide a comment until a moderator looks
+const AUTO_HIDE_REPORTS = 5;
+
+function toCommentId(id) {
+  if (!ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid comment id.");
+  }
+  return new ObjectId(id);
+}
+
+// What readers see: a name, never the author's email. `mine` is relative
+// to `viewer` (null for anonymous readers and broadcasts). Removed
+// comments that still head a thread stay as placeholders so the replies
+// keep their context.
+function present(comment, event, viewer) {
+  const removed = comment.status !== "visible";
+
+  return {
+    _id: comment._id,
+    eventId: comment.eventId,
+    parentId: comment.parentId,
+    authorName: removed ? null : comment.authorName,
+    body: removed ? null : comment.body,
+    removed,
+    mine: Boolean(viewer) && comment.authorEmail === viewer.email,
+    pinned: comment.pinned,
+    fromOrganizer: !removed && isOrganizer(event, comment.authorEmail),
+    replyCount: comment.replyCount,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt ?? null,
+  };
+}
+
+function createCommentService(db, { events, realtime }) {
+  const commentsCollection = db.collection("comments");
+  const eventsCollection = db.collection("events");
+
+  async function findComment(event, commentId) {
+    const comment = await commentsCollection.findOne({
+      _id: toCommentId(commentId),
+      eventId: event._id,
+    });
+
+    if (!comment) {
+      throw new ApiError(404, "Comment not found.");
+    }
+
+    return comment;
+  }
+
+  // Keep the event's and the thread's counts of visible comments in step
+  async function countVisible(comment, delta) {
+    await eventsCollection.updateOne(
+      { _id: comment.eventId },
+      { $inc: { commentCount: delta } }
+    );
+
+    if (comment.parentId) {
+      await commentsCollection.updateOne(
+        { _id: comment.parentId },
+        { $inc: { replyCount: delta } }
+      );
+    }
+  }
+
+  // Visible -> hidden/deleted (or back), adjusting the counts once.
+  // Setting the current status again only writes `extra`.
+  async function setStatus(comment, status, extra = {}) {
+    const result = await commentsCollection.updateOne(
+      { _id: comment._id, status: comment.status },
+      { $set: { status, ...extra } }
+    );
+
+    if (result.modifiedCount === 0) return;
+
+    if (comment.status === "visible") await countVisible(comment, -1);
+    if (status === "visible") await countVisible(comment, 1);
+  }
+
+  // Pinned replies first, then the oldest, for each parent in `parentIds`
+  async function previewReplies(parentIds) {
+    if (!parentIds.length) return new Map();
+
+    const groups = await commentsCollection
+      .aggregate([
+        { $match: { parentId: { $in: parentIds }, status: "visible" } },
+        { $sort: { pinned: -1, _id: 1 } },
+        {
+          $group: {
+            _id: "$parentId",
+            replies: { $firstN: { input: "$$ROOT", n: PREVIEW_REPLIES } },
+          },
+        },
+      ])
+      .toArray();
+
+    return new Map(groups.map((g) => [String(g._id), g.replies]));
+  }
+
+  return {
+    /**
+     * Top-level comments, pinned first (all of them, on the first page),
+     * then newest first. Each carries a preview of its replies.
+     * query: { limit, cursor }
+     */
+    async list(eventId, viewer, query) {
+      const event = await events.findVisible(eventId, viewer);
+      const { limit, cursor } = parsePage(query, {
+        defaultLimit: 20,
+        maxLimit: 100,
+      });
+
+      // removed comments only stay as placeholders for their replies
+      const shown = {
+        eventId: event._id,
+        parentId: null,
+        $or: [{ status: "visible" }, { replyCount: { $gt: 0 } }],
+      };
+
+      const pinned = cursor
+        ? []
+        : await commentsCollection
+            .find({ ...shown, pinned: true })
+            .sort({ _id: -1 })
+            .toArray();
+
+      const filter = { ...shown, pinned: false };
+      if (cursor) filter._id = { $lt: cursor };
+
+      const found = await commentsCollection
+        .find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+      const { items, nextCursor } = pageOf(found, limit);
+
+      const threads = [...pinned, ...items];
+      const replies = await previewReplies(threads.map((c) => c._id));
+
+      return {
+        comments: threads.map((comment) => ({
+          ...present(comment, event, viewer),
+          replies: (replies.get(String(comment._id)) || []).map((r) =>
+            present(r, event, viewer)
+          ),
+        })),
+        nextCursor,
+      };
+    },
+
+    // Every reply in a thread, oldest first
+    async listReplies(eventId, commentId, viewer, query) {
+      const event = await events.findVisible(eventId, viewer);
+      const parent = await findComment(event, commentId);
+      const { limit, cursor } = parsePage(query, {
+        defaultLimit: 50,
+        maxLimit: 100,
+      });
+
+      const filter = { parentId: parent._id, status: "visible" };
+      if (cursor) filter._id = { $gt: cursor };
+
+      const found = await commentsCollection
+        .find(filter)
+        .sort({ _id: 1 })
+        .limit(limit + 1)
+        .toArray();
+      const { items, nextCursor } = pageOf(found, limit);
+
+      return {
+        replies: items.map((r) => present(r, event, viewer)),
+        nextCursor,
+      };
+    },
+
+    async create(eventId, { body, parentId }, user) {
+      const event = await events.findVisible(eventId, user);
+
+      let parent = null;
+      if (parentId) {
+        parent = await findComment(event, parentId);
+        if (parent.status !== "visible") {
+          throw new ApiError(400, "This comment can no longer be replied to.");
+        }
+      }
+
+      const comment = {
+        eventId: event._id,
+        // replies to replies join the same thread
+        parentId: parent ? parent.parentId || parent._id : null,
+        authorEmail: user.email,
+        authorName: user.name ?? null,
+        body,
+        pinned: false,
+        status: "visible",
+        replyCount: 0,
+        reports: [],
+        reportCount: 0,
+        createdAt: new Date(),
+      };
+
+      const result = await commentsCollection.insertOne(comment);
+      comment._id = result.insertedId;
+      await countVisible(comment, 1);
+
+      // everyone watching the event gets it, so nothing viewer-relative
+      await realtime.eventChanged(event._id, "comment.created", {
+        comment: present(comment, event, null),
+      });
+
+      return present(comment, event, user);
+    },
+
+    async edit(eventId, commentId, { body }, user) {
+      const event = await events.findVisible(eventId, user);
+      const comment = await findComment(event, commentId);
+
+      if (comment.authorEmail !== user.email) {
+        throw new ApiError(403, "You can only edit your own comments.");
+      }
+
+      if (comment.status !== "visible") {
+        throw new ApiError(400, "This comment can no longer be edited.");
+      }
+
+      const editedAt = new Date();
+      await commentsCollection.updateOne(
+        { _id: comment._id },
+        { $set: { body, editedAt } }
+      );
+
+      return present({ ...comment, body, editedAt }, event, user);
+    },
+
+    // Authors delete their own comments; organizers and moderators any
+    async remove(eventId, commentId, user) {
+      const event = await events.findVisible(eventId, user);
+      const comment = await findComment(event, commentId);
+
+      const allowed =
+        comment.authorEmail === user.email ||
+        isOrganizer(event, user.email) ||
+        hasRole(user, "moderator");
+
+      if (!allowed) {
+        throw new ApiError(403, "You cannot delete this comment.");
+      }
+
+      if (comment.status === "deleted") {
+        throw new ApiError(400, "Comment is already deleted.");
+      }
+
+      await setStatus(comment, "deleted", {
+        deletedAt: new Date(),
+        deletedBy: user.email,
+        pinned: false,
+      });
+    },
+
+    // Organizer highlights an answer (or question) at the top
+    async pin(eventId, commentId, pinned, user) {
+      const event = await events.findVisible(eventId, user);
+
+      if (!isOrganizer(event, user.email)) {
+        throw new ApiError(403, "Only organizers can pin comments.");
+      }
+
+      const comment = await findComment(event, commentId);
+
+      if (pinned && comment.status !== "visible") {
+        throw new ApiError(400, "Removed comments cannot be pinned.");
+      }
+
+      await commentsCollection.updateOne(
+        { _id: comment._id },
+        {
+          $set: pinned
+            ? { pinned: true, pinnedAt: new Date(), pinnedBy: user.email }
+            : { pinned: false },
+        }
+      );
+    },
+
+    // One report per person; enough of them hide the comment for review
+    async report(eventId, commentId, reason, user) {
+      const event = await events.findVisible(eventId, user);
+      const comment = await findComment(event, commentId);
+
+      if (comment.authorEmail === user.email) {
+        throw new ApiError(400, "You cannot report your own comment.");
+      }
+
+      const updated = await commentsCollection.findOneAndUpdate(
+        { _id: comment._id, "reports.email": { $ne: user.email } },
+        {
+          $push: {
+            reports: {
+              email: user.email,
+              reason: reason ?? null,
+              at: new Date(),
+            },
+          },
+          $inc: { reportCount: 1 },
+          $unset: { reviewedAt: "", reviewedBy: "" },
+        },
+        { returnDocument: "after" }
+      );
+
+      if (!updated) {
+        throw new ApiError(400, "You already reported this comment.");
+      }
+
+      if (
+        updated.status === "visible" &&
+        updated.reportCount >= AUTO_HIDE_REPORTS
+      ) {
+        await setStatus(updated, "hidden", {
+          hiddenAt: new Date(),
+          hiddenBy: null,
+          hiddenReason: `Hidden after ${AUTO_HIDE_REPORTS} reports.`,
+        });
+      }
+    },
+
+    // --- Moderation ---
+
+    // Reported comments not yet reviewed, most reported first. Raw
+    // documents with author and reporter emails: moderators only.
+    async listReported(query) {
+      const { limit, cursor } = parsePage(query, {
+        defaultLimit: 50,
+        maxLimit: 100,
+      });
+
+      const filter = {
+        reportCount: { $gt: 0 },
+        reviewedAt: { $exists: false },
+        status: { $ne: "deleted" },
+      };
+      if (cursor) filter._id = { $lt: cursor };
+
+      const found = await commentsCollection
+        .find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+      const { items, nextCursor } = pageOf(found, limit);
+
+      return { comments: items, nextCursor };
+    },
+
+    async hide(commentId, reason, actor) {
+      const comment = await commentsCollection.findOne({
+        _id: toCommentId(commentId),
+      });
+
+      if (!comment) {
+        throw new ApiError(404, "Comment not found.");
+      }
+
+      if (comment.status === "deleted") {
+        throw new ApiError(400, "Comment is already deleted.");
+      }
+
+      const now = new Date();
+      await setStatus(comment, "hidden", {
+        hiddenAt: now,
+        hiddenBy: actor.email,
+        hiddenReason: reason ?? null,
+        reviewedAt: now,
+        reviewedBy: actor.email,
+        pinned: false,
+      });
+    },
+
+    // Un-hide a comment, or dismiss the reports on a visible one
+    async restore(commentId, actor) {
+      const comment = await commentsCollection.findOne({
+        _id: toCommentId(commentId),
+      });
+
+      if (!comment) {
+        throw new ApiError(404, "Comment not found.");
+      }
+
+      if (comment.status === "deleted") {
+        throw new ApiError(400, "Deleted comments cannot be restored.");
+      }
+
+      const now = new Date();
+      await setStatus(comment, "visible", {
+        ...(comment.status === "hidden" && { restoredAt: now }),
+        reviewedAt: now,
+        reviewedBy: actor.email,
+      });
+    },
+  };
+}
+
+module.exports = {
+  createCommentService,
+};
@@ -0,0 +1,1126 @@
+// services/eventService.js
+// Event business logic shared by the routers. Throws ApiError for expected
+// failures; routers decide how to present results.
+const { ObjectId } = require("mongodb");
+const { ApiError } = require("../lib/errors");
+const {
+  seatsLeft,
+  promoteFromWaitlist,
+  recountSeats,
+  syncSeatCounters,
+  takenExpr,
+} = require("../lib/capacity");
+const { syncJoinedCopies, syncOccurrenceCopies } = require("../lib/joined");
+const { buildListQuery, runListQuery } = require("../lib/eventQuery");
+const { parsePage } = require("../lib/paging");
+const { createCheckInCode } = require("../lib/checkIn");
+const { hasRole } = require("../lib/roles");
+const { diffFields } = require("../lib/diff");
+const { contentFingerprint } = require("../lib/fingerprint");
+const { isOrganizer, organizedBy } = require("../lib/organizers");
+const { parseNear } = require("../lib/geo");
+const { buildProfile, rankEvents } = require("../lib/recommend");
+const {
+  STATUSES,
+  EDITABLE_STATUSES,
+  statusOf,
+  canTransition,
+  statusFilter,
+  isOver,
+  parseStatuses,
+} = require("../lib/lifecycle");
+const {
+  computeSeriesEnd,
+  findOccurrence,
+  splitRecurrence,
+  occurrenceKey,
+  occurrenceView,
+  withOccurrences,
+} = require("../lib/recurrence");
+
+// Fields an organizer can change, tracked in the audit log
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "eventType",
+  "thumbnail",
+  "image",
+  "location",
+  "eventDate",
+  "geo",
+  "capacity",
+  "recurrence",
+];
+
+// A creator re-submitting the same content within this window is rejected
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const DUPLICATE_MESSAGE =
+  "You already created an event with the same details. Edit that one instead.";
+
+// Recommendations rank this many of the soonest upcoming events
+const RECOMMENDATION_POOL = 200;
+
+// drafts never show up in public listings
+const PUBLIC_STATUSES = STATUSES.filter((s) => s !== "draft");
+
+const CONFLICT_MESSAGE =
+  "This event was changed by someone else. Reload and try again.";
+
+function toObjectId(id, message = "Invalid event id.") {
+  if (!ObjectId.isValid(id)) {
+    throw new ApiError(400, message);
+  }
+  return new ObjectId(id);
+}
+
+// Upcoming occurrences for recurring events in a listing.
+// ?expand=occurrences lists every occurrence as its own item, in place of
+// its series: pages (limit, cursor) still count events, not occurrences.
+function expandListing(query, events) {
+  return withOccurrences(events, {
+    from: query.from ? new Date(query.from) : new Date(),
+    to: query.to ? new Date(query.to) : null,
+    expand: query.expand === "occurrences",
+  });
+}
+
+// Fill in the fields older events were stored without.
+// Pending organizer invites and organization admins are not public.
+function withDefaults({ organizerInvites, organizationAdmins, ...event }) {
+  return {
+    ...event,
+    status: statusOf(event),
+    coOrganizers: event.coOrganizers ?? [],
+    organization: event.organization ?? null,
+    commentCount: event.commentCount ?? 0,
+    rating: event.rating ?? { average: null, count: 0 },
+  };
+}
+
+// Public listings skip hidden events; ?featured=true narrows to featured ones
+function publicFilter(query, filter = {}) {
+  const visible = { ...filter, hidden: { $ne: true } };
+  if (query.featured === "true") visible.featured = true;
+  return visible;
+}
+
+// ?status= narrows a listing to some lifecycle states, `fallback` when absent
+function statusQuery(query, filter, { allowed, fallback }) {
+  const parsed = parseStatuses(query.status, { allowed, fallback });
+  if (parsed.error) {
+    throw new ApiError(400, parsed.error);
+  }
+  return { ...filter, ...statusFilter(parsed.statuses) };
+}
+
+// Drafts are only visible to their organizers. Hidden events stay visible
+// to their organizers and to moderators.
+function canSee(event, viewer) {
+  const organizer = Boolean(viewer) && isOrganizer(event, viewer.email);
+
+  if (statusOf(event) === "draft") return organizer;
+
+  return !event.hidden || organizer || hasRole(viewer, "moderator");
+}
+
+// Published one-off events still ahead, or series with occurrences still ahead
+function upcomingFilter(now) {
+  return {
+    ...statusFilter(["published"]),
+    $or: [
+      { eventDate: { $gt: now } },
+      {
+        recurrence: { $type: "object" },
+        $or: [{ seriesEnd: null }, { seriesEnd: { $gt: now } }],
+      },
+    ],
+  };
+}
+
+function createEventService(
+  db,
+  { notifications, users, audit, assets, organizations, realtime }
+) {
+  const eventsCollection = db.collection("events");
+  const joinedCollection = db.collection("joinedEvents");
+
+  async function onPromoted(join) {
+    await notifications.promoted(join);
+    await audit.recordJoin("join.promoted", join, null);
+    await realtime.userChanged(join.userEmail, "promoted", join.eventId);
+  }
+
+  async function list(query, options) {
+    const built = buildListQuery(query, options);
+    if (built.error) {
+      throw new ApiError(400, built.error);
+    }
+
+    const { items, nextCursor } = await runListQuery(eventsCollection, built);
+    return {
+      events: expandListing(query, items.map(withDefaults)),
+      nextCursor,
+    };
+  }
+
+  async function findById(id) {
+    const event = await eventsCollection.findOne({ _id: toObjectId(id) });
+
+    if (!event) {
+      throw new ApiError(404, "Event not found.");
+    }
+
+    return event;
+  }
+
+  // Like findById, but hidden events are a 404 unless `viewer` may see them
+  async function findVisible(id, viewer) {
+    const event = await findById(id);
+
+    if (!canSee(event, viewer)) {
+      throw new ApiError(404, "Event not found.");
+    }
+
+    return event;
+  }
+
+  // imageId -> the uploaded image, with its URL copied into `thumbnail` so
+  // listings, joined copies and calendar exports keep working unchanged.
+  // `thumbnail` is never taken from the client: it only ever points at an
+  // image we store. imageId: null removes the image.
+  async function withImage(fields, user) {
+    const { imageId, ...rest } = fields;
+
+    if (imageId === null) return { ...rest, image: null, thumbnail: null };
+
+    if (imageId) {
+      const image = await assets.imageFor(imageId, user);
+      return { ...rest, image, thumbnail: image.variants.medium.url };
+    }
+
+    return rest;
+  }
+
+  // Load the event and check the caller may edit it.
+  // `expected` is the client's version (If-Match), null when not sent.
+  async function findEditable(id, user, expected) {
+    const existing = await findById(id);
+
+    if (!isOrganizer(existing, user.email)) {
+      throw new ApiError(403, "You are not allowed to update this event.");
+    }
+
+    const status = statusOf(existing);
+    if (!EDITABLE_STATUSES.includes(status)) {
+      throw new ApiError(400, `This event is ${status} and cannot be updated.`);
+    }
+
+    if (Number.isNaN(expected)) {
+      throw new ApiError(400, "Invalid If-Match header or version.");
+    }
+
+    if (expected !== null && expected !== (existing.version || 0)) {
+      throw new ApiError(409, CONFLICT_MESSAGE, {
+        currentVersion: existing.version || 0,
+      });
+    }
+
+    return existing;
+  }
+
+  // Apply `changes` to `existing`, guarded by its version
+  async function applyUpdate(existing, changes, user) {
+    const capacity =
+      changes.capacity !== undefined ? changes.capacity : existing.capacity;
+
+    // events created before seat counters get them from their joins; after
+    // that only reserveSeat/releaseSeat change the counters
+    const legacy = existing.participantCount === undefined;
+    const seats = legacy
+      ? await recountSeats(joinedCollection, existing._id)
+      : null;
+    const counted = seats || existing;
+    const taken =
+      (counted.participantCount || 0) +
+      Math.max(0, ...Object.values(counted.occurrenceCounts || {}));
+
+    if (capacity != null && capacity < taken) {
+      throw new ApiError(
+        400,
+        `Capacity cannot be lower than the current number of participants (${taken}).`
+      );
+    }
+
+    const recurrence =
+      changes.recurrence !== undefined
+        ? changes.recurrence
+        : existing.recurrence;
+    const eventDate = changes.eventDate || existing.eventDate;
+    const version = (existing.version || 0) + 1;
+
+    const set = {
+      ...changes,
+      contentHash: contentFingerprint({ ...existing, ...changes }),
+      capacity: capacity ?? null,
+      ...seats,
+      recurrence: recurrence ?? null,
+      seriesEnd: recurrence ? computeSeriesEnd(eventDate, recurrence) : null,
+      version,
+      updatedAt: new Date(),
+      updatedBy: user.email,
+    };
+
+    // matches only if nobody else saved in between, no join landed on a
+    // legacy event while it was counted and the new capacity still holds
+    // everyone who took a seat meanwhile
+    const filter = {
+      _id: existing._id,
+      version: existing.version ?? null,
+      ...statusFilter(EDITABLE_STATUSES),
+    };
+    if (legacy) filter.participantCount = { $exists: false };
+    if (capacity != null) {
+      filter.$expr = { $lte: [takenExpr(null), capacity] };
+    }
+
+    // edited content no longer counts as a fresh submission (see create)
+    const result = await eventsCollection.updateOne(filter, {
+      $set: set,
+      $unset: { dedupeBucket: "" },
+    });
+
+    if (result.matchedCount === 0) {
+      throw new ApiError(409, CONFLICT_MESSAGE);
+    }
+
+    // keep every participant's dashboard in step with the event page
+    await syncJoinedCopies(joinedCollection, { ...existing, ...set });
+
+    // a raised or removed limit frees seats for the waitlist
+    const promoted = await promoteFromWaitlist(
+      eventsCollection,
+      joinedCollection,
+      existing._id,
+      onPromoted
+    );
+
+    const changed = diffFields(
+      existing,
+      { ...existing, ...set },
+      EDITABLE_FIELDS
+    );
+
+    await audit.record({
+      eventId: existing._id,
+      action: "event.updated",
+      actor: user.email,
+      changes: changed,
+      details: { version },
+    });
+
+    await notifications.eventUpdated({ ...existing, ...set });
+
+    await realtime.eventChanged(existing._id, "event.updated", {
+      version,
+      fields: Object.keys(changed || {}),
+    });
+    if (promoted || changes.capacity !== undefined) {
+      await realtime.participantsChanged(await findById(existing._id));
+    }
+
+    return {
+      modifiedCount: result.modifiedCount,
+      version,
+      promotedFromWaitlist: promoted,
+    };
+  }
+
+  // Split a series at `occurrence`: the original ends just before it and a
+  // new series (with `changes` applied) takes over from there, together with
+  // its single-occurrence joins and a copy of every whole-series join.
+  async function splitSeries(existing, occurrence, changes, user) {
+    const shift = changes.eventDate
+      ? changes.eventDate.getTime() - occurrence.originalDate.getTime()
+      : 0;
+    const { head, tail } = splitRecurrence(existing, occurrence, shift);
+    const now = new Date();
+
+    const result = await eventsCollection.updateOne(
+      { _id: existing._id, version: existing.version ?? null },
+      {
+        $set: {
+          ...head,
+          version: (existing.version || 0) + 1,
+          updatedAt: now,
+          updatedBy: user.email,
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new ApiError(409, CONFLICT_MESSAGE);
+    }
+
+    const { _id, ...fields } = existing;
+    const newEvent = {
+      ...fields,
+      ...changes,
+      ...tail,
+      contentHash: contentFingerprint({ ...fields, ...changes }),
+      dedupeBucket: null,
+      participantCount: 0,
+      occurrenceCounts: {},
+      commentCount: 0,
+      rating: { average: null, count: 0 },
+      seriesParentId: existing._id,
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+      updatedBy: user.email,
+    };
+
+    const inserted = await eventsCollection.insertOne(newEvent);
+    newEvent._id = inserted.insertedId;
+
+    // later single-occurrence joins move (and shift) with the new series
+    await joinedCollection.updateMany(
+      {
+        eventId: existing._id,
+        occurrenceDate: { $gte: occurrence.originalDate },
+      },
+      [
+        {
+          $set: {
+            eventId: newEvent._id,
+            occurrenceDate: { $add: ["$occurrenceDate", shift] },
+            occurrenceKey: {
+              $toString: { $toLong: { $add: ["$occurrenceDate", shift] } },
+            },
+          },
+        },
+      ]
+    );
+
+    // whole-series participants stay signed up for the new series too
+    const seriesJoins = await joinedCollection
+      .find({ eventId: existing._id, occurrenceKey: null })
+      .toArray();
+
+    if (seriesJoins.length) {
+      await joinedCollection.insertMany(
+        seriesJoins.map(({ _id: joinId, checkIns, ...join }) => ({
+          ...join,
+          eventId: newEvent._id,
+          checkInCode: createCheckInCode(),
+        }))
+      );
+    }
+
+    for (const eventId of [existing._id, newEvent._id]) {
+      await syncSeatCounters(eventsCollection, joinedCollection, eventId);
+    }
+
+    await syncJoinedCopies(joinedCollection, newEvent);
+
+    await audit.record({
+      eventId: existing._id,
+      action: "event.seriesSplit",
+      actor: user.email,
+      changes: diffFields(existing, head, ["recurrence"]),
+      details: {
+        occurrenceDate: occurrence.originalDate,
+        newEventId: newEvent._id,
+      },
+    });
+    await audit.record({
+      eventId: newEvent._id,
+      action: "event.created",
+      actor: user.email,
+      changes: diffFields(
+        occurrenceView(existing, occurrence),
+        newEvent,
+        EDITABLE_FIELDS
+      ),
+      details: { seriesParentId: existing._id },
+    });
+
+    return { split: true, eventId: newEvent._id };
+  }
+
+  // Soft delete: marks the event and every joined copy as cancelled
+  async function cancel(id, reason, user) {
+    const existing = await findById(id);
+
+    if (!isOrganizer(existing, user.email)) {
+      throw new ApiError(403, "You are not allowed to cancel this event.");
+    }
+
+    const from = statusOf(existing);
+    if (from === "cancelled") {
+      throw new ApiError(400, "Event is already cancelled.");
+    }
+
+    if (!canTransition(from, "cancelled")) {
+      throw new ApiError(400, `Events that are ${from} cannot be cancelled.`);
+    }
+
+    const cancelledAt = new Date();
+
+    const result = await eventsCollection.updateOne(
+      { _id: existing._id, ...statusFilter([from]) },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt,
+          cancelledBy: user.email,
+          cancelReason: reason ?? null,
+          updatedAt: cancelledAt,
+          updatedBy: user.email,
+        },
+        // the same event can be posted again
+        $unset: { dedupeBucket: "" },
+        // calendar clients only apply changes with a higher SEQUENCE
+        $inc: { version: 1 },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new ApiError(409, CONFLICT_MESSAGE);
+    }
+
+    const joined = await joinedCollection.updateMany(
+      { eventId: existing._id },
+      {
+        $set: {
+          eventStatus: "cancelled",
+          cancelledAt,
+        },
+      }
+    );
+
+    await audit.record({
+      eventId: existing._id,
+      action: "event.cancelled",
+      actor: user.email,
+      changes: {
+        status: { from, to: "cancelled" },
+      },
+      details: { reason: reason ?? null },
+    });
+
+    await notifications.eventCancelled(existing, reason);
+
+    await realtime.eventChanged(existing._id, "event.status", {
+      status: "cancelled",
+      reason: reason ?? null,
+    });
+
+    return { affectedParticipants: joined.modifiedCount };
+  }
+
+  // Any other status change, guarded against a concurrent one.
+  // `actor` is null for automatic changes. Returns false if it lost the race.
+  async function setStatus(existing, status, actor) {
+    const from = statusOf(existing);
+    const now = new Date();
+
+    const result = await eventsCollection.updateOne(
+      { _id: existing._id, ...statusFilter([from]) },
+      {
+        $set: {
+          status,
+          [`${status}At`]: now,
+          updatedAt: now,
+          updatedBy: actor,
+        },
+        $inc: { version: 1 },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      if (actor) throw new ApiError(409, CONFLICT_MESSAGE);
+      return false;
+    }
+
+    // participants' dashboards show finished events as such
+    if (status === "completed") {
+      await joinedCollection.updateMany(
+        { eventId: existing._id, eventStatus: { $ne: "cancelled" } },
+        { $set: { eventStatus: "completed" } }
+      );
+    }
+
+    await audit.record({
+      eventId: existing._id,
+      action: `event.${status}`,
+      actor,
+      changes: { status: { from, to: status } },
+    });
+
+    await realtime.eventChanged(existing._id, "event.status", { status });
+
+    return true;
+  }
+
+  return {
+    async create(input, user) {
+      const recurrence = input.recurrence ?? null;
+      const contentHash = contentFingerprint(input);
+
+      // scripts and double submits: same creator, same content, recently
+      const duplicate = await eventsCollection.findOne({
+        creatorEmail: user.email,
+        contentHash,
+        status: { $ne: "cancelled" },
+        createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) },
+      });
+
+      if (duplicate) {
+        throw new ApiError(409, DUPLICATE_MESSAGE, {
+          duplicateOf: duplicate._id,
+        });
+      }
+
+      const { thumbnail, image } = await withImage(input, user);
+
+      const host = input.organizationId
+        ? await organizations.forHost(input.organizationId, user)
+        : null;
+
+      const now = new Date();
+      const status = input.status || "published";
+      const doc = {
+        title: input.title,
+        description: input.description,
+        eventType: input.eventType,
+        thumbnail: thumbnail ?? null,
+        image: image ?? null,
+        location: input.location,
+        geo: input.geo ?? null,
+        eventDate: input.eventDate,
+        capacity: input.capacity ?? null,
+        participantCount: 0,
+        commentCount: 0,
+        rating: { average: null, count: 0 },
+        recurrence,
+        seriesEnd: recurrence
+          ? computeSeriesEnd(input.eventDate, recurrence)
+          : null,
+        overrides: [],
+        creatorEmail: user.email,
+        organizationId: host ? host.organization._id : null,
+        organization: host ? host.organization : null,
+        organizationAdmins: host ? host.admins : [],
+        coOrganizers: [],
+        organizerInvites: [],
+        contentHash,
+        // unique per creator and content (lib/db.js), so two submits that
+        // both passed the check above can't both be inserted
+        dedupeBucket: Math.floor(now.getTime() / DUPLICATE_WINDOW_MS),
+        status,
+        publishedAt: status === "published" ? now : null,
+        version: 1,
+        createdAt: now,
+      };
+
+      let result;
+      try {
+        result = await eventsCollection.insertOne(doc);
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        const winner = await eventsCollection.findOne({
+          creatorEmail: user.email,
+          contentHash,
+          dedupeBucket: doc.dedupeBucket,
+        });
+        throw new ApiError(409, DUPLICATE_MESSAGE, {
+          duplicateOf: winner ? winner._id : null,
+        });
+      }
+      await users.promoteToOrganizer(user.email);
+
+      await audit.record({
+        eventId: result.insertedId,
+        action: "event.created",
+        actor: user.email,
+        changes: diffFields({}, doc, [...EDITABLE_FIELDS, "status"]),
+      });
+
+      return result.insertedId;
+    },
+
+    // Published events unless ?status= asks for others (never drafts)
+    listAll(query) {
+      return list(query, {
+        baseFilter: statusQuery(query, publicFilter(query), {
+          allowed: PUBLIC_STATUSES,
+          fallback: ["published"],
+        }),
+        allowNear: true,
+      });
+    },
+
+    listUpcoming(query) {
+      const now = new Date();
+
+      return list(query, {
+        baseFilter: publicFilter(query, upcomingFilter(now)),
+        allowNear: true,
+      });
+    },
+
+    // Events `email` organizes (see lib/organizers.js), in every status
+    // (drafts included) unless ?status= narrows it
+    listByCreator(email, query) {
+      return list(query, {
+        baseFilter: statusQuery(query, organizedBy(email), {
+          allowed: STATUSES,
+          fallback: STATUSES,
+        }),
+      });
+    },
+
+    /**
+     * An organization's public page: "upcoming" events still ahead, soonest
+     * first, or "past" ones, most recent first.
+     */
+    listByOrganization(organizationId, when, query) {
+      const now = new Date();
+      const filter =
+        when === "past"
+          ? {
+              organizationId,
+              $or: [
+                { status: { $in: ["completed", "archived"] } },
+                {
+                  ...statusFilter(["published"]),
+                  recurrence: null,
+                  eventDate: { $lte: now },
+                },
+              ],
+            }
+          : { organizationId, ...upcomingFilter(now) };
+
+      return list(when === "past" ? { sort: "-date", ...query } : query, {
+        baseFilter: publicFilter(query, filter),
+      });
+    },
+
+    /**
+     * Upcoming events from the organizations `email` follows, newest
+     * first. Takes the usual listing parameters.
+     */
+    async listFeed(email, query) {
+      const followed = await organizations.followedIds(email);
+
+      return list(
+        { sort: "newest", ...query },
+        {
+          baseFilter: publicFilter(query, {
+            organizationId: { $in: followed },
+            ...upcomingFilter(new Date()),
+          }),
+          allowNear: true,
+        }
+      );
+    },
+
+    /**
+     * Upcoming events ranked for `user` by lib/recommend.js, leaving out
+     * events they joined or organize.
+     * query: { limit, lat, lng, radius } (lat/lng replace past venues as
+     * the reference for nearby events)
+     */
+    async listRecommended(user, query) {
+      const { limit } = parsePage(query, { defaultLimit: 10, maxLimit: 50 });
+      const near = parseNear(query);
+      if (near && near.error) {
+        throw new ApiError(400, near.error);
+      }
+
+      const joins = await joinedCollection
+        .find(
+          { userEmail: user.email },
+          { projection: { eventId: 1, eventType: 1, creatorEmail: 1 } }
+        )
+        .toArray();
+      const joinedIds = joins.map((j) => j.eventId);
+
+      const venues = await eventsCollection
+        .find({ _id: { $in: joinedIds } }, { projection: { geo: 1 } })
+        .toArray();
+      const geoById = new Map(venues.map((v) => [String(v._id), v.geo]));
+      const history = joins.map((j) => ({
+        ...j,
+        geo: geoById.get(String(j.eventId)) || null,
+      }));
+
+      const candidates = await eventsCollection
+        .find(
+          publicFilter(
+            {},
+            {
+              ...upcomingFilter(new Date()),
+              _id: { $nin: joinedIds },
+              $nor: [organizedBy(user.email)],
+            }
+          )
+        )
+        .sort({ eventDate: 1, _id: 1 })
+        .limit(RECOMMENDATION_POOL)
+        .toArray();
+
+      const profile = buildProfile(history, {
+        near: near && near.point,
+        radiusKm: near && near.maxDistance / 1000,
+      });
+      const ranked = rankEvents(candidates, profile, { limit });
+
+      return {
+        events: expandListing({}, ranked.map(withDefaults)),
+        nextCursor: null,
+      };
+    },
+
+    listHidden(query) {
+      return list(query, { baseFilter: { hidden: true } });
+    },
+
+    findById,
+    findVisible,
+    canSee,
+
+    // Event details with upcoming occurrences and seats left
+    async getDetails(id, viewer) {
+      const event = await findVisible(id, viewer);
+      const [withUpcoming] = withOccurrences([event]);
+      return {
+        ...withDefaults(withUpcoming),
+        seatsLeft: seatsLeft(event),
+      };
+    },
+
+    // Audit log, newest first: organizer and moderators only
+    async history(id, user, query) {
+      const event = await findById(id);
+
+      if (!isOrganizer(event, user.email) && !hasRole(user, "moderator")) {
+        throw new ApiError(
+          403,
+          "Only the organizer or a moderator can view this history."
+        );
+      }
+
+      return audit.listForEvent(event._id, query);
+    },
+
+    // PUT: full replacement of the editable fields
+    async replace(id, input, user, expected) {
+      const existing = await findEditable(id, user, expected);
+      const { thumbnail, image } = await withImage(input, user);
+
+      return applyUpdate(
+        existing,
+        {
+          title: input.title,
+          description: input.description,
+          eventType: input.eventType,
+          thumbnail: thumbnail ?? null,
+          image: image ?? null,
+          location: input.location,
+          eventDate: input.eventDate,
+          geo: input.geo ?? null,
+          capacity: input.capacity ?? null,
+          recurrence: input.recurrence ?? null,
+        },
+        user
+      );
+    },
+
+    // PATCH: any subset of fields
+    async patch(id, input, user, expected) {
+      const { version, ...changes } = input;
+
+      if (Object.keys(changes).length === 0) {
+        throw new ApiError(400, "No fields to update.");
+      }
+
+      const existing = await findEditable(id, user, expected);
+      return applyUpdate(existing, await withImage(changes, user), user);
+    },
+
+    /**
+     * Edit or cancel occurrences of a recurring event.
+     * scope "this" touches one occurrence; "following" splits the series
+     * (or, with cancelled, ends it early).
+     * @returns {{ version } | { split: true, eventId }}
+     */
+    async editOccurrence(id, date, input, user, expected) {
+      const { scope = "this", cancelled, version, ...fields } = input;
+
+      if (!cancelled && Object.keys(fields).length === 0) {
+        throw new ApiError(400, "No fields to update.");
+      }
+
+      const existing = await findEditable(id, user, expected);
+      const changes = await withImage(fields, user);
+
+      if (!existing.recurrence) {
+        throw new ApiError(400, "This event does not repeat.");
+      }
+
+      const occurrence = findOccurrence(
+        existing,
+        /^\d+$/.test(date) ? Number(date) : date
+      );
+
+      if (!occurrence) {
+        throw new ApiError(404, "Occurrence not found.");
+      }
+
+      if (
+        scope === "following" &&
+        occurrence.key === occurrenceKey(existing.eventDate)
+      ) {
+        throw new ApiError(
+          400,
+          "This is the first occurrence. Edit or cancel the event itself to change the whole series."
+        );
+      }
+
+      if (scope === "following" && !cancelled) {
+        return splitSeries(existing, occurrence, changes, user);
+      }
+
+      const now = new Date();
+      const set = {
+        version: (existing.version || 0) + 1,
+        updatedAt: now,
+        updatedBy: user.email,
+      };
+      let joinedFilter;
+
+      if (scope === "following") {
+        // cancel this and every later occurrence: end the series early
+        Object.assign(set, splitRecurrence(existing, occurrence).head);
+        joinedFilter = {
+          eventId: existing._id,
+          occurrenceDate: { $gte: occurrence.originalDate },
+        };
+      } else if (cancelled) {
+        set["recurrence.exdates"] = [
+          ...(existing.recurrence.exdates || []),
+          occurrence.originalDate,
+        ];
+        set.overrides = (existing.overrides || []).filter(
+          (o) => occurrenceKey(o.occurrenceDate) !== occurrence.key
+        );
+        joinedFilter = {
+          eventId: existing._id,
+          occurrenceKey: occurrence.key,
+        };
+      } else {
+        const override = {
+          occurrenceDate: occurrence.originalDate,
+          changes: { ...occurrence.changes, ...changes },
+        };
+        set.overrides = [
+          ...(existing.overrides || []).filter(
+            (o) => occurrenceKey(o.occurrenceDate) !== occurrence.key
+          ),
+          override,
+        ];
+      }
+
+      const result = await eventsCollection.updateOne(
+        { _id: existing._id, version: existing.version ?? null },
+        { $set: set }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new ApiError(409, CONFLICT_MESSAGE);
+      }
+
+      if (joinedFilter) {
+        await joinedCollection.updateMany(joinedFilter, {
+          $set: { eventStatus: "cancelled", cancelledAt: now },
+        });
+      } else {
+        await syncOccurrenceCopies(
+          joinedCollection,
+          existing,
+          set.overrides[set.overrides.length - 1]
+        );
+      }
+
+      await audit.record({
+        eventId: existing._id,
+        action: joinedFilter ? "occurrence.cancelled" : "occurrence.updated",
+        actor: user.email,
+        changes: joinedFilter
+          ? null
+          : diffFields(
+              occurrenceView(existing, occurrence),
+              { ...occurrenceView(existing, occurrence), ...changes },
+              Object.keys(changes)
+            ),
+        details: {
+          occurrenceDate: occurrence.originalDate,
+          scope,
+          version: set.version,
+        },
+      });
+
+      await realtime.eventChanged(existing._id, "event.updated", {
+        version: set.version,
+        occurrenceDate: occurrence.originalDate,
+        cancelled: Boolean(joinedFilter),
+      });
+
+      return { version: set.version };
+    },
+
+    cancel,
+
+    /**
+     * Move an event along its lifecycle (see lib/lifecycle.js).
+     * input: { status, reason }; reason only applies to cancellations.
+     */
+    async changeStatus(id, { status, reason }, user) {
+      if (status === "cancelled") {
+        return cancel(id, reason, user);
+      }
+
+      const existing = await findById(id);
+
+      if (!isOrganizer(existing, user.email)) {
+        throw new ApiError(
+          403,
+          "You are not allowed to change the status of this event."
+        );
+      }
+
+      const from = statusOf(existing);
+      if (!canTransition(from, status)) {
+        throw new ApiError(400, `Events that are ${from} cannot be ${status}.`);
+      }
+
+      if (status === "published" && isOver(existing)) {
+        throw new ApiError(
+          400,
+          "This event is already over. Move it to a future date before publishing."
+        );
+      }
+
+      if (status === "completed" && !isOver(existing)) {
+        throw new ApiError(
+          400,
+          "This event has not taken place yet. Cancel it instead."
+        );
+      }
+
+      await setStatus(existing, status, user.email);
+      return { status };
+    },
+
+    /**
+     * Mark published events as completed once they are over.
+     * Run by the lifecycle cron.
+     * @returns {number} events completed
+     */
+    async completePast(now = new Date()) {
+      const due = await eventsCollection
+        .find({
+          ...statusFilter(["published"]),
+          $or: [
+            { recurrence: null, eventDate: { $lte: now } },
+            { recurrence: { $type: "object" }, seriesEnd: { $lte: now } },
+          ],
+        })
+        .toArray();
+
+      let completed = 0;
+      for (const event of due) {
+        if (await setStatus(event, "completed", null)) completed += 1;
+      }
+      return completed;
+    },
+
+    async seedDemo() {
+      const now = new Date();
+      const addDays = (d) => {
+        const date = new Date(now);
+        date.setDate(date.getDate() + d);
+        return date;
+      };
+
+      const demoEvents = [
+        {
+          title: "City Park Cleanup Drive",
+          description:
+            "Join us to clean up the city park and make it a cleaner space for everyone.",
+          eventType: "Cleanup",
+          thumbnail: "https://placehold.co/600x400?text=Park+Cleanup",
+          location: "City Park, Main Gate",
+          eventDate: addDays(3),
+          creatorEmail: "demo1@example.com",
+          createdAt: now,
+        },
+        {
+          title: "Tree Plantation Day",
+          description:
+            "Plant trees in the community area and help us make the city greener.",
+          eventType: "Plantation",
+          thumbnail: "https://placehold.co/600x400?text=Tree+Plantation",
+          location: "Community Ground, Sector 5",
+          eventDate: addDays(7),
+          creatorEmail: "demo2@example.com",
+          createdAt: now,
+        },
+        {
+          title: "Food Donation for Street Children",
+          description:
+            "Distribute food packs and clothes to underprivileged children.",
+          eventType: "Donation",
+          thumbnail: "https://placehold.co/600x400?text=Food+Donation",
+          location: "Central Bus Stand Area",
+          eventDate: addDays(10),
+          creatorEmail: "demo3@example.com",
+          createdAt: now,
+        },
+        {
+          title: "Road Safety Awareness Campaign",
+          description:
+            "Raise awareness about road safety rules among drivers and pedestrians.",
+          eventType: "Awareness",
+          thumbnail: "https://placehold.co/600x400?text=Road+Safety",
+          location: "City Square, Near Traffic Signal",
+          eventDate: addDays(5),
+          creatorEmail: "demo4@example.com",
+          createdAt: now,
+        },
+        {
+          title: "Free Health Checkup Camp",
+          description:
+            "Free basic health checkup and consultation for low-income families.",
+          eventType: "Health Camp",
+          thumbnail: "https://placehold.co/600x400?text=Health+Camp",
+          location: "Community Clinic, Block C",
+          eventDate: addDays(14),
+          creatorEmail: "demo5@example.com",
+          createdAt: now,
+        },
+      ];
+
+      const result = await eventsCollection.insertMany(demoEvents);
+      return result.insertedCount;
+    },
+  };
+}
+
+module.exports = {
+  toObjectId,
+  createEventService,
+};
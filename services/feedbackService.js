@@ -0,0 +1,249 @@
+// services/feedbackService.js
+// Post-event feedback and organizer reputation. One `feedback` document
+// per participant and event:
+//   { eventId, userEmail, userName, rating: 1-5, review, createdAt, updatedAt }
+// Events keep a `rating: { average, count }` summary for the listings.
+const { ApiError } = require("../lib/errors");
+const { parsePage, pageOf } = require("../lib/paging");
+const { statusFilter } = require("../lib/lifecycle");
+const { isOrganizer, organizedBy } = require("../lib/organizers");
+const { expandOccurrences } = require("../lib/recurrence");
+
+const NO_RATINGS = { average: null, count: 0 };
+
+function round(value) {
+  return value == null ? null : Math.round(value * 10) / 10;
+}
+
+// Checked in, or joined before an occurrence that has since taken place.
+// Joining after the fact doesn't count.
+function attended(event, join, now) {
+  if (join.checkIns && join.checkIns.length) return true;
+
+  if (join.occurrenceKey) {
+    return join.joinedAt < join.eventDate && join.eventDate <= now;
+  }
+
+  const held = expandOccurrences(event, {
+    from: join.joinedAt,
+    to: now,
+    limit: 1,
+  });
+  return held.length > 0;
+}
+
+// Reviews show the reviewer's name; their email stays private
+function present(feedback, viewer) {
+  return {
+    _id: feedback._id,
+    eventId: feedback.eventId,
+    userName: feedback.userName,
+    rating: feedback.rating,
+    review: feedback.review,
+    mine: Boolean(viewer) && feedback.userEmail === viewer.email,
+    createdAt: feedback.createdAt,
+    updatedAt: feedback.updatedAt,
+  };
+}
+
+function createFeedbackService(db, { events }) {
+  const feedbackCollection = db.collection("feedback");
+  const eventsCollection = db.collection("events");
+  const joinedCollection = db.collection("joinedEvents");
+
+  // Recompute the event's summary from its feedback
+  async function refreshRating(eventId) {
+    const [summary] = await feedbackCollection
+      .aggregate([
+        { $match: { eventId } },
+        {
+          $group: {
+            _id: null,
+            average: { $avg: "$rating" },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray();
+
+    const rating = summary
+      ? { average: round(summary.average), count: summary.count }
+      : NO_RATINGS;
+
+    await eventsCollection.updateOne({ _id: eventId }, { $set: { rating } });
+    return rating;
+  }
+
+  // Star counts, 1 to 5
+  async function distribution(eventId) {
+    const groups = await feedbackCollection
+      .aggregate([
+        { $match: { eventId } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+      ])
+      .toArray();
+
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const g of groups) counts[g._id] = g.count;
+    return counts;
+  }
+
+  return {
+    /**
+     * Rate an event the user took part in, once it is over. Sending it
+     * again replaces the earlier rating and review.
+     * @returns {{ feedback, created: boolean, rating }}
+     */
+    async submit(eventId, { rating, review }, user) {
+      const event = await events.findVisible(eventId, user);
+
+      if (event.status === "cancelled") {
+        throw new ApiError(400, "Cancelled events cannot be rated.");
+      }
+
+      if (isOrganizer(event, user.email)) {
+        throw new ApiError(400, "You cannot rate an event you organize.");
+      }
+
+      // a confirmed seat for the event (or an occurrence) that has taken place
+      const now = new Date();
+      const joins = await joinedCollection
+        .find({
+          eventId: event._id,
+          userEmail: user.email,
+          status: "confirmed",
+          eventStatus: { $ne: "cancelled" },
+          eventDate: { $lte: now },
+        })
+        .toArray();
+
+      if (!joins.some((join) => attended(event, join, now))) {
+        throw new ApiError(
+          403,
+          "Only participants can rate an event, once it has taken place."
+        );
+      }
+
+      const result = await feedbackCollection.findOneAndUpdate(
+        { eventId: event._id, userEmail: user.email },
+        {
+          $set: {
+            userName: user.name ?? null,
+            rating,
+            review: review ?? null,
+            updatedAt: now,
+          },
+          $setOnInsert: { createdAt: now },
+        },
+        { upsert: true, returnDocument: "after", includeResultMetadata: true }
+      );
+
+      return {
+        feedback: present(result.value, user),
+        created: !result.lastErrorObject.updatedExisting,
+        rating: await refreshRating(event._id),
+      };
+    },
+
+    async remove(eventId, user) {
+      const event = await events.findVisible(eventId, user);
+
+      const removed = await feedbackCollection.findOneAndDelete({
+        eventId: event._id,
+        userEmail: user.email,
+      });
+
+      if (!removed) {
+        throw new ApiError(404, "You have not rated this event.");
+      }
+
+      return { rating: await refreshRating(event._id) };
+    },
+
+    // Summary with star counts, and the reviews, newest first
+    async list(eventId, viewer, query) {
+      const event = await events.findVisible(eventId, viewer);
+      const { limit, cursor } = parsePage(query, {
+        defaultLimit: 20,
+        maxLimit: 100,
+      });
+
+      const filter = { eventId: event._id };
+      if (cursor) filter._id = { $lt: cursor };
+
+      const found = await feedbackCollection
+        .find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+      const { items, nextCursor } = pageOf(found, limit);
+
+      return {
+        summary: {
+          ...(event.rating || NO_RATINGS),
+          distribution: await distribution(event._id),
+        },
+        feedback: items.map((item) => present(item, viewer)),
+        nextCursor,
+      };
+    },
+
+    /**
+     * Track record of an organizer over the events they own or
+     * co-organize: events held and cancelled, confirmed participants at
+     * events already held, and the average rating over every review.
+     */
+    async reputation(email) {
+      const now = new Date();
+      const held = {
+        ...organizedBy(email),
+        hidden: { $ne: true },
+        ...statusFilter(["published", "completed", "archived"]),
+        eventDate: { $lte: now },
+      };
+
+      const heldIds = await eventsCollection
+        .find(held, { projection: { _id: 1 } })
+        .map((e) => e._id)
+        .toArray();
+
+      const eventsCancelled = await eventsCollection.countDocuments({
+        ...organizedBy(email),
+        status: "cancelled",
+      });
+
+      const totalParticipants = await joinedCollection.countDocuments({
+        eventId: { $in: heldIds },
+        status: "confirmed",
+        eventStatus: { $ne: "cancelled" },
+        eventDate: { $lte: now },
+      });
+
+      const [ratings] = await feedbackCollection
+        .aggregate([
+          { $match: { eventId: { $in: heldIds } } },
+          {
+            $group: {
+              _id: null,
+              average: { $avg: "$rating" },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+
+      return {
+        email,
+        eventsHosted: heldIds.length,
+        eventsCancelled,
+        totalParticipants,
+        averageRating: ratings ? round(ratings.average) : null,
+        ratingCount: ratings ? ratings.count : 0,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createFeedbackService,
+};
@@ -0,0 +1,87 @@
+// services/index.js
+// Build every service against one database handle.
+const { createEventService } = require("./eventService");
+const { createJoinService } = require("./joinService");
+const { createCalendarService } = require("./calendarService");
+const { createRosterService } = require("./rosterService");
+const { createNotificationService } = require("./notificationService");
+const { createUserService } = require("./userService");
+const { createModerationService } = require("./moderationService");
+const { createAuditService } = require("./auditService");
+const { createAssetService } = require("./assetService");
+const { createCommentService } = require("./commentService");
+const { createFeedbackService } = require("./feedbackService");
+const { createOrganizerService } = require("./organizerService");
+const { createOrganizationService } = require("./organizationService");
+const { createAnalyticsService } = require("./analyticsService");
+const { createRealtimeService } = require("./realtimeService");
+const { createAccessControl } = require("../middleware/auth");
+const { createTransport } = require("../lib/transports");
+const { createRateLimitStore } = require("../lib/rateLimitStores");
+const { createStorage } = require("../lib/storage");
+const { createPubSub } = require("../lib/pubsub");
+const { createRateLimiter } = require("../middleware/rateLimit");
+
+// `transport` overrides the NOTIFY_TRANSPORT one (see lib/transports.js),
+// `rateLimitStore` the RATE_LIMIT_STORE one (see lib/rateLimitStores.js),
+// `storage` the STORAGE_DRIVER one (see lib/storage.js) and `pubsub` the
+// PUBSUB_DRIVER one (see lib/pubsub.js);
+// `rateLimits` overrides route budgets (see middleware/rateLimit.js)
+function createServices(
+  db,
+  { transport, rateLimitStore, rateLimits, storage, pubsub } = {}
+) {
+  const notifications = createNotificationService(db, {
+    transport: transport || createTransport(),
+  });
+  const users = createUserService(db);
+  const audit = createAuditService(db);
+  const assets = createAssetService(db, {
+    storage: storage || createStorage(db),
+  });
+  const organizations = createOrganizationService(db, { notifications });
+  const realtime = createRealtimeService(db, {
+    pubsub: pubsub || createPubSub(db),
+  });
+  const events = createEventService(db, {
+    notifications,
+    users,
+    audit,
+    assets,
+    organizations,
+    realtime,
+  });
+
+  return {
+    db,
+    notifications,
+    users,
+    audit,
+    assets,
+    organizations,
+    realtime,
+    access: createAccessControl(users),
+    rateLimit: createRateLimiter(
+      rateLimitStore || createRateLimitStore(db),
+      rateLimits
+    ),
+    events,
+    moderation: createModerationService(db, { events, audit, realtime }),
+    joins: createJoinService(db, { notifications, audit, realtime }),
+    calendar: createCalendarService(db, { events }),
+    roster: createRosterService(db, { events }),
+    comments: createCommentService(db, { events, realtime }),
+    feedback: createFeedbackService(db, { events }),
+    organizers: createOrganizerService(db, {
+      events,
+      users,
+      audit,
+      notifications,
+    }),
+    analytics: createAnalyticsService(db, { events }),
+  };
+}
+
+module.exports = {
+  createServices,
+};
@@ -0,0 +1,244 @@
+// services/joinService.js
+// Joining and leaving events (with capacity and waitlists) and the
+// participant's own list of joined events.
+const { ObjectId } = require("mongodb");
+const { ApiError } = require("../lib/errors");
+const {
+  seatsLeft,
+  reserveSeat,
+  releaseSeat,
+  promoteFromWaitlist,
+  getWaitlistPosition,
+} = require("../lib/capacity");
+const { eventSnapshot } = require("../lib/joined");
+const { statusOf, isOver } = require("../lib/lifecycle");
+const { createCheckInCode } = require("../lib/checkIn");
+const {
+  JOINED_FIELDS,
+  buildListQuery,
+  runListQuery,
+} = require("../lib/eventQuery");
+const {
+  findOccurrence,
+  occurrenceKey,
+  occurrenceView,
+} = require("../lib/recurrence");
+
+const ALREADY_JOINED = "You have already joined this event.";
+
+// only published events take participants
+const NOT_JOINABLE = {
+  completed: "This event has already taken place.",
+  cancelled: "This event has been cancelled.",
+  archived: "This event has been archived.",
+};
+
+function createJoinService(db, { notifications, audit, realtime }) {
+  const eventsCollection = db.collection("events");
+  const joinedCollection = db.collection("joinedEvents");
+  const leftCollection = db.collection("leftEvents");
+
+  async function onPromoted(join) {
+    await notifications.promoted(join);
+    await audit.recordJoin("join.promoted", join, null);
+    await realtime.userChanged(join.userEmail, "promoted", join.eventId);
+  }
+
+  return {
+    /**
+     * Join an event, a whole series, or one occurrence (occurrenceDate).
+     * A full event puts the user on the waitlist instead.
+     */
+    async join({ eventId, occurrenceDate }, user) {
+      const userEmail = user.email;
+
+      const event = await eventsCollection.findOne({
+        _id: new ObjectId(eventId),
+      });
+
+      if (!event || event.hidden || statusOf(event) === "draft") {
+        throw new ApiError(404, "Event not found.");
+      }
+
+      if (NOT_JOINABLE[statusOf(event)]) {
+        throw new ApiError(400, NOT_JOINABLE[statusOf(event)]);
+      }
+
+      // the cron marks it completed later; don't take joins in between
+      if (isOver(event)) {
+        throw new ApiError(400, NOT_JOINABLE.completed);
+      }
+
+      // a single occurrence of a recurring event, or the whole event/series
+      let occurrence = null;
+      if (occurrenceDate) {
+        if (!event.recurrence) {
+          throw new ApiError(400, "This event does not repeat.");
+        }
+
+        occurrence = findOccurrence(event, occurrenceDate);
+
+        if (!occurrence) {
+          throw new ApiError(404, "Occurrence not found.");
+        }
+
+        if (occurrence.eventDate <= new Date()) {
+          throw new ApiError(400, "This occurrence has already taken place.");
+        }
+      }
+
+      const key = occurrence ? occurrence.key : null;
+
+      const existing = await joinedCollection
+        .find({ eventId: event._id, userEmail })
+        .toArray();
+
+      if (existing.some((j) => !j.occurrenceKey || j.occurrenceKey === key)) {
+        throw new ApiError(400, ALREADY_JOINED);
+      }
+
+      if (!key && existing.length) {
+        throw new ApiError(
+          400,
+          "You have joined single occurrences of this series. Leave them before joining the whole series."
+        );
+      }
+
+      // take a seat atomically; a full event puts the user on the waitlist
+      const reserved = await reserveSeat(eventsCollection, event._id, key);
+      const status = reserved ? "confirmed" : "waitlisted";
+
+      const joinDoc = {
+        eventId: event._id,
+        userEmail,
+        status,
+        occurrenceKey: key,
+        occurrenceDate: occurrence ? occurrence.originalDate : null,
+        joinedAt: new Date(),
+        // shown (or scanned as a QR code) at the venue to check in
+        checkInCode: createCheckInCode(),
+        ...eventSnapshot(
+          occurrence ? occurrenceView(event, occurrence) : event
+        ),
+      };
+
+      let result;
+      try {
+        result = await joinedCollection.insertOne(joinDoc);
+      } catch (err) {
+        if (reserved) await releaseSeat(eventsCollection, event._id, key);
+
+        if (err.code === 11000) {
+          throw new ApiError(400, ALREADY_JOINED);
+        }
+        throw err;
+      }
+
+      await audit.recordJoin("join.joined", joinDoc, userEmail);
+      await notifications.joined(joinDoc);
+
+      const current =
+        reserved || (await eventsCollection.findOne({ _id: event._id }));
+
+      await realtime.participantsChanged(current);
+      await realtime.userChanged(userEmail, "joined", event._id, { status });
+
+      return {
+        joinId: result.insertedId,
+        status,
+        scope: key ? "occurrence" : "series",
+        seatsLeft: seatsLeft(current, key),
+        waitlistPosition: await getWaitlistPosition(joinedCollection, joinDoc),
+        checkInCode: joinDoc.checkInCode,
+      };
+    },
+
+    async leave({ eventId, occurrenceDate }, user) {
+      const key = occurrenceDate ? occurrenceKey(occurrenceDate) : null;
+
+      const removed = await joinedCollection.findOneAndDelete({
+        eventId: new ObjectId(eventId),
+        userEmail: user.email,
+        occurrenceKey: key,
+      });
+
+      if (!removed) {
+        throw new ApiError(404, "You have not joined this event.");
+      }
+
+      await audit.recordJoin("join.left", removed, user.email);
+
+      // calendar feeds send it as CANCELLED for a while, so subscribed
+      // calendars drop their copy
+      await leftCollection.updateOne(
+        { userEmail: user.email, eventId: removed.eventId, occurrenceKey: key },
+        { $set: { leftAt: new Date() } },
+        { upsert: true }
+      );
+
+      // a freed seat goes to the next person on the waitlist
+      if (removed.status !== "waitlisted") {
+        await releaseSeat(eventsCollection, removed.eventId, key);
+        await promoteFromWaitlist(
+          eventsCollection,
+          joinedCollection,
+          removed.eventId,
+          onPromoted
+        );
+      }
+
+      const event = await eventsCollection.findOne({ _id: removed.eventId });
+
+      if (event) await realtime.participantsChanged(event);
+      const stillJoined = Boolean(
+        await joinedCollection.findOne({
+          eventId: removed.eventId,
+          userEmail: user.email,
+        })
+      );
+      await realtime.userChanged(user.email, "left", removed.eventId, {
+        stillJoined,
+      });
+
+      return { seatsLeft: event ? seatsLeft(event, key) : null };
+    },
+
+    async listJoined(query, user) {
+      const built = buildListQuery(query, {
+        baseFilter: { userEmail: user.email },
+        fields: JOINED_FIELDS,
+      });
+      if (built.error) {
+        throw new ApiError(400, built.error);
+      }
+
+      const { items: joinedEvents, nextCursor } = await runListQuery(
+        joinedCollection,
+        built
+      );
+
+      for (const joined of joinedEvents) {
+        // joins from before check-in codes existed get one on first view
+        if (!joined.checkInCode) {
+          await joinedCollection.updateOne(
+            { _id: joined._id, checkInCode: { $exists: false } },
+            { $set: { checkInCode: createCheckInCode() } }
+          );
+          const current = await joinedCollection.findOne({ _id: joined._id });
+          joined.checkInCode = current ? current.checkInCode : null;
+        }
+
+        joined.waitlistPosition = await getWaitlistPosition(
+          joinedCollection,
+          joined
+        );
+      }
+
+      return { joinedEvents, nextCursor };
+    },
+  };
+}
+
+module.exports = {
+  createJoinService,
+};
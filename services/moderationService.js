@@ -0,0 +1,106 @@
+// services/moderationService.js
+// Moderator actions on events. Hidden events drop out of public listings,
+// details and joins but stay visible to their creator and to staff.
+const { ApiError } = require("../lib/errors");
+
+function createModerationService(db, { events, audit, realtime }) {
+  const eventsCollection = db.collection("events");
+
+  return {
+    async hide(id, reason, actor) {
+      const event = await events.findById(id);
+
+      if (event.hidden) {
+        throw new ApiError(400, "Event is already hidden.");
+      }
+
+      await eventsCollection.updateOne(
+        { _id: event._id },
+        {
+          $set: {
+            hidden: true,
+            hiddenAt: new Date(),
+            hiddenBy: actor.email,
+            hiddenReason: reason ?? null,
+            featured: false,
+          },
+          // calendar feeds send it as CANCELLED; clients need a new SEQUENCE
+          $inc: { version: 1 },
+        }
+      );
+
+      await audit.record({
+        eventId: event._id,
+        action: "event.hidden",
+        actor: actor.email,
+        details: { reason: reason ?? null },
+      });
+
+      await realtime.eventChanged(event._id, "event.visibility", {
+        hidden: true,
+      });
+    },
+
+    async restore(id, actor) {
+      const event = await events.findById(id);
+
+      if (!event.hidden) {
+        throw new ApiError(400, "Event is not hidden.");
+      }
+
+      await eventsCollection.updateOne(
+        { _id: event._id },
+        {
+          $set: {
+            hidden: false,
+            restoredAt: new Date(),
+            restoredBy: actor.email,
+          },
+          $unset: { hiddenAt: "", hiddenBy: "", hiddenReason: "" },
+          $inc: { version: 1 },
+        }
+      );
+
+      await audit.record({
+        eventId: event._id,
+        action: "event.restored",
+        actor: actor.email,
+      });
+
+      await realtime.eventChanged(event._id, "event.visibility", {
+        hidden: false,
+      });
+    },
+
+    async feature(id, featured, actor) {
+      const event = await events.findById(id);
+
+      if (featured && event.hidden) {
+        throw new ApiError(400, "Hidden events cannot be featured.");
+      }
+
+      await eventsCollection.updateOne(
+        { _id: event._id },
+        {
+          $set: featured
+            ? {
+                featured: true,
+                featuredAt: new Date(),
+                featuredBy: actor.email,
+              }
+            : { featured: false },
+        }
+      );
+
+      await audit.record({
+        eventId: event._id,
+        action: featured ? "event.featured" : "event.unfeatured",
+        actor: actor.email,
+      });
+    },
+  };
+}
+
+module.exports = {
+  createModerationService,
+};
@@ -0,0 +1,303 @@
+// services/notificationService.js
+// Participant notifications through an outbox collection.
+// Messages are rendered and stored in `notifications` first, then sent
+// through the configured transport. Requests try to send their own
+// messages right away; anything left over (transport down, large events)
+// is picked up by the cron route, which also queues 24-hour reminders.
+const { renderTemplate } = require("../lib/notificationTemplates");
+const { expandOccurrences } = require("../lib/recurrence");
+const { statusFilter } = require("../lib/lifecycle");
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+// a claimed message is retried if the sender died before finishing
+const CLAIM_MS = 60 * 1000;
+// sent during the request; the rest waits for the cron run
+const INLINE_LIMIT = 20;
+const REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Event fields for a template, from a joined document's snapshot
+// (which already carries per-occurrence edits)
+function eventFromJoin(join) {
+  return {
+    _id: join.eventId,
+    title: join.eventTitle,
+    eventDate: join.eventDate,
+    location: join.location,
+  };
+}
+
+// One join per email, so nobody gets the same message twice
+function uniqueByEmail(joins) {
+  const seen = new Map();
+  for (const join of joins) {
+    if (!seen.has(join.userEmail)) seen.set(join.userEmail, join);
+  }
+  return [...seen.values()];
+}
+
+function createNotificationService(db, { transport }) {
+  const notificationsCollection = db.collection("notifications");
+  const eventsCollection = db.collection("events");
+  const joinedCollection = db.collection("joinedEvents");
+
+  // items: [{ type, to, data, dedupeKey }] -> inserted message ids.
+  // A message whose dedupeKey was queued before is skipped.
+  async function enqueue(items) {
+    const now = new Date();
+    const docs = items.map(({ type, to, data, dedupeKey }) => ({
+      type,
+      to,
+      ...renderTemplate(type, data),
+      eventId: data.event ? data.event._id : null,
+      dedupeKey: dedupeKey || null,
+      status: "pending",
+      attempts: 0,
+      createdAt: now,
+      sendAfter: now,
+    }));
+
+    if (!docs.length) return [];
+
+    try {
+      await notificationsCollection.insertMany(docs, { ordered: false });
+      return docs.map((doc) => doc._id);
+    } catch (err) {
+      const errors = err.writeErrors || [];
+      if (!errors.length || errors.some((e) => e.code !== 11000)) throw err;
+
+      const skipped = new Set(errors.map((e) => e.index));
+      return docs.filter((doc, i) => !skipped.has(i)).map((doc) => doc._id);
+    }
+  }
+
+  /**
+   * Send due messages, oldest first. Each message is claimed before it is
+   * sent, so overlapping runs never send it twice.
+   * @returns {{ sent: number, failed: number }}
+   */
+  async function deliver({ ids, limit = 100 } = {}) {
+    const stats = { sent: 0, failed: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      const now = new Date();
+      const filter = {
+        status: { $in: ["pending", "sending"] },
+        sendAfter: { $lte: now },
+      };
+      if (ids) filter._id = { $in: ids };
+
+      const message = await notificationsCollection.findOneAndUpdate(
+        filter,
+        {
+          $set: {
+            status: "sending",
+            sendAfter: new Date(now.getTime() + CLAIM_MS),
+          },
+          $inc: { attempts: 1 },
+        },
+        { sort: { sendAfter: 1 }, returnDocument: "after" }
+      );
+
+      if (!message) break;
+
+      try {
+        await transport.send({
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+          type: message.type,
+          eventId: message.eventId,
+        });
+
+        await notificationsCollection.updateOne(
+          { _id: message._id },
+          { $set: { status: "sent", sentAt: new Date() } }
+        );
+        stats.sent += 1;
+      } catch (err) {
+        const giveUp = message.attempts >= MAX_ATTEMPTS;
+
+        await notificationsCollection.updateOne(
+          { _id: message._id },
+          {
+            $set: {
+              status: giveUp ? "failed" : "pending",
+              lastError: err.message,
+              sendAfter: new Date(
+                Date.now() + RETRY_DELAY_MS * message.attempts
+              ),
+            },
+          }
+        );
+        stats.failed += 1;
+      }
+    }
+
+    return stats;
+  }
+
+  // Queue the messages from build() and try to send them now. Never
+  // throws: a notification problem must not fail the request behind it.
+  async function dispatch(build) {
+    try {
+      const ids = await enqueue(await build());
+      if (ids.length) {
+        await deliver({ ids, limit: Math.min(ids.length, INLINE_LIMIT) });
+      }
+    } catch (err) {
+      console.error("Notification error:", err);
+    }
+  }
+
+  async function participants(eventId) {
+    const joins = await joinedCollection
+      .find({ eventId })
+      .sort({ joinedAt: 1 })
+      .toArray();
+    return uniqueByEmail(joins);
+  }
+
+  // Reminders for published, visible events starting within the next 24
+  // hours. Safe to run as often as you like: each reminder is queued once.
+  async function queueReminders(now = new Date()) {
+    const windowEnd = new Date(now.getTime() + REMINDER_WINDOW_MS);
+    const items = [];
+
+    const events = await eventsCollection
+      .find({
+        ...statusFilter(["published"]),
+        hidden: { $ne: true },
+        eventDate: { $lte: windowEnd },
+        $or: [
+          { recurrence: null, eventDate: { $gt: now } },
+          {
+            recurrence: { $type: "object" },
+            $or: [{ seriesEnd: null }, { seriesEnd: { $gt: now } }],
+          },
+        ],
+      })
+      .toArray();
+
+    for (const event of events) {
+      const occurrences = event.recurrence
+        ? expandOccurrences(event, { from: now, to: windowEnd })
+        : [{ key: null }];
+
+      for (const occurrence of occurrences) {
+        const joins = await joinedCollection
+          .find({
+            eventId: event._id,
+            status: "confirmed",
+            occurrenceKey: occurrence.key
+              ? { $in: [null, occurrence.key] }
+              : null,
+          })
+          .toArray();
+
+        for (const join of joins) {
+          const data = {
+            ...eventFromJoin(join),
+            ...(occurrence.key
+              ? {
+                  ...occurrence.changes,
+                  eventDate: occurrence.eventDate,
+                }
+              : {}),
+          };
+
+          items.push({
+            type: "reminder",
+            to: join.userEmail,
+            data: { event: data },
+            dedupeKey: `reminder:${event._id}:${occurrence.key}:${join.userEmail}`,
+          });
+        }
+      }
+    }
+
+    const ids = await enqueue(items);
+    return ids.length;
+  }
+
+  return {
+    enqueue,
+    deliver,
+    queueReminders,
+
+    joined(join) {
+      return dispatch(() => [
+        {
+          type: "joined",
+          to: join.userEmail,
+          data: {
+            event: eventFromJoin(join),
+            status: join.status,
+            checkInCode: join.checkInCode,
+          },
+        },
+      ]);
+    },
+
+    promoted(join) {
+      return dispatch(() => [
+        {
+          type: "promoted",
+          to: join.userEmail,
+          data: { event: eventFromJoin(join), checkInCode: join.checkInCode },
+        },
+      ]);
+    },
+
+    eventUpdated(event) {
+      return dispatch(async () =>
+        (await participants(event._id)).map((join) => ({
+          type: "eventUpdated",
+          to: join.userEmail,
+          data: { event: eventFromJoin(join) },
+        }))
+      );
+    },
+
+    eventCancelled(event, reason) {
+      return dispatch(async () =>
+        (await participants(event._id)).map((join) => ({
+          type: "eventCancelled",
+          to: join.userEmail,
+          data: { event: eventFromJoin(join), reason },
+        }))
+      );
+    },
+
+    organizerInvited(event, email, invitedBy) {
+      return dispatch(() => [
+        {
+          type: "organizerInvite",
+          to: email,
+          data: { event, invitedBy },
+        },
+      ]);
+    },
+
+    organizationInvited(organization, email, role, invitedBy) {
+      return dispatch(() => [
+        {
+          type: "organizationInvite",
+          to: email,
+          data: { organization, role, invitedBy },
+        },
+      ]);
+    },
+
+    // Cron entry point: queue reminders, then send whatever is due
+    async runScheduled(now = new Date()) {
+      const reminders = await queueReminders(now);
+      const stats = await deliver({ limit: 500 });
+      return { reminders, ...stats };
+    },
+  };
+}
+
+module.exports = {
+  createNotificationService,
+};
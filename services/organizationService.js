@@ -0,0 +1,485 @@
+// services/organizationService.js
+// Organizations (NGOs, clubs) that host events, and the users following
+// them. One `organizations` document per organization:
+//   { name, slug, description, website, members: [{ email, role, addedAt }],
+//     invites: [{ email, role, invitedBy, invitedAt }],
+//     followerCount, createdBy, createdAt, updatedAt }
+// and one `follows` document per follower: { userEmail, organizationId }.
+// Admins manage the profile and members, and every event the organization
+// hosts (events keep a copy of the admin emails, see lib/organizers.js);
+// every member can create events on behalf of the organization. Admins
+// invite members; the invitee accepts or declines, as with co-organizers.
+const { ObjectId } = require("mongodb");
+const { ApiError } = require("../lib/errors");
+const { parsePage, pageOf } = require("../lib/paging");
+const { RESERVED_SLUGS, isOrgId, slugify } = require("../lib/organizations");
+
+function memberOf(org, email) {
+  return org.members.find((m) => m.email === email) || null;
+}
+
+// The copy kept on each event the organization hosts
+function orgSummary(org) {
+  return { _id: org._id, name: org.name, slug: org.slug };
+}
+
+// Update filter for taking `email` out of the admins: another admin must
+// still be there when the write lands, not just when the org was read
+function keepsAnAdmin(email) {
+  return { members: { $elemMatch: { role: "admin", email: { $ne: email } } } };
+}
+
+const MEMBERS_CHANGED =
+  "The organization's members changed in the meantime. Reload and try again.";
+
+function adminsOf(org) {
+  return org.members.filter((m) => m.role === "admin").map((m) => m.email);
+}
+
+// Public profile; member emails stay with the members
+function present(org) {
+  return {
+    _id: org._id,
+    name: org.name,
+    slug: org.slug,
+    description: org.description,
+    website: org.website,
+    memberCount: org.members.length,
+    followerCount: org.followerCount,
+    createdAt: org.createdAt,
+  };
+}
+
+function createOrganizationService(db, { notifications }) {
+  const orgsCollection = db.collection("organizations");
+  const followsCollection = db.collection("follows");
+  const eventsCollection = db.collection("events");
+
+  // By id or slug
+  async function find(idOrSlug) {
+    const org = await orgsCollection.findOne(
+      isOrgId(idOrSlug)
+        ? { _id: new ObjectId(idOrSlug) }
+        : { slug: String(idOrSlug).toLowerCase() }
+    );
+
+    if (!org) {
+      throw new ApiError(404, "Organization not found.");
+    }
+
+    return org;
+  }
+
+  async function findAdministered(idOrSlug, user) {
+    const org = await find(idOrSlug);
+    const member = memberOf(org, user.email);
+
+    if (!member || member.role !== "admin") {
+      throw new ApiError(
+        403,
+        "Only organization admins can manage the organization."
+      );
+    }
+
+    return org;
+  }
+
+  // Re-copy the admin list onto hosted events after a membership change
+  async function syncAdmins(orgId) {
+    const org = await orgsCollection.findOne({ _id: orgId });
+    if (!org) return;
+
+    await eventsCollection.updateMany(
+      { organizationId: org._id },
+      { $set: { organizationAdmins: adminsOf(org) } }
+    );
+  }
+
+  async function insertUnique(doc) {
+    try {
+      const result = await orgsCollection.insertOne(doc);
+      return result.insertedId;
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new ApiError(
+          409,
+          "That name or slug is already taken. Choose another slug."
+        );
+      }
+      throw err;
+    }
+  }
+
+  return {
+    find,
+    present,
+
+    async create(input, user) {
+      const slug = input.slug || slugify(input.name);
+      if (!slug || isOrgId(slug)) {
+        throw new ApiError(400, "Add a slug made of letters and numbers.");
+      }
+      if (RESERVED_SLUGS.includes(slug)) {
+        throw new ApiError(
+          409,
+          "That name or slug is already taken. Choose another slug."
+        );
+      }
+
+      const now = new Date();
+      const org = {
+        name: input.name,
+        slug,
+        description: input.description ?? null,
+        website: input.website ?? null,
+        members: [{ email: user.email, role: "admin", addedAt: now }],
+        invites: [],
+        followerCount: 0,
+        createdBy: user.email,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      org._id = await insertUnique(org);
+      return present(org);
+    },
+
+    /**
+     * Newest first.
+     * query: { q, limit, cursor } (q matches the name)
+     */
+    async list(query) {
+      const { limit, cursor } = parsePage(query, {
+        defaultLimit: 20,
+        maxLimit: 100,
+      });
+
+      const filter = {};
+      if (query.q) {
+        const pattern = String(query.q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        filter.name = { $regex: pattern, $options: "i" };
+      }
+      if (cursor) filter._id = { $lt: cursor };
+
+      const found = await orgsCollection
+        .find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+      const { items, nextCursor } = pageOf(found, limit);
+
+      return { organizations: items.map(present), nextCursor };
+    },
+
+    // Profile, plus whether the viewer follows it and their role in it
+    async get(idOrSlug, viewer) {
+      const org = await find(idOrSlug);
+
+      const following = viewer
+        ? Boolean(
+            await followsCollection.findOne({
+              userEmail: viewer.email,
+              organizationId: org._id,
+            })
+          )
+        : false;
+      const member = viewer ? memberOf(org, viewer.email) : null;
+
+      return {
+        ...present(org),
+        following,
+        myRole: member ? member.role : null,
+      };
+    },
+
+    async update(idOrSlug, changes, user) {
+      const org = await findAdministered(idOrSlug, user);
+
+      if (Object.keys(changes).length === 0) {
+        throw new ApiError(400, "No fields to update.");
+      }
+
+      const set = { ...changes, updatedAt: new Date() };
+      try {
+        await orgsCollection.updateOne({ _id: org._id }, { $set: set });
+      } catch (err) {
+        if (err.code === 11000) {
+          throw new ApiError(409, "That slug is already taken.");
+        }
+        throw err;
+      }
+
+      const updated = { ...org, ...set };
+
+      // hosted events carry the name and slug
+      if (changes.name || changes.slug) {
+        await eventsCollection.updateMany(
+          { organizationId: org._id },
+          { $set: { organization: orgSummary(updated) } }
+        );
+      }
+
+      return present(updated);
+    },
+
+    /**
+     * The organization `organizationId`, if `user` may host events for it.
+     * @returns {{ organization, admins: string[] }}
+     */
+    async forHost(organizationId, user) {
+      const org = await find(organizationId);
+
+      if (!memberOf(org, user.email)) {
+        throw new ApiError(
+          403,
+          "Only members can create events for this organization."
+        );
+      }
+
+      return { organization: orgSummary(org), admins: adminsOf(org) };
+    },
+
+    // --- Members ---
+
+    // Members and pending invites
+    async listMembers(idOrSlug, user) {
+      const org = await find(idOrSlug);
+
+      if (!memberOf(org, user.email)) {
+        throw new ApiError(403, "Only members can see the member list.");
+      }
+
+      return { members: org.members, invites: org.invites || [] };
+    },
+
+    async invite(idOrSlug, { email, role = "member" }, user) {
+      const org = await findAdministered(idOrSlug, user);
+
+      if (memberOf(org, email)) {
+        throw new ApiError(400, "They are already a member.");
+      }
+
+      const invite = {
+        email,
+        role,
+        invitedBy: user.email,
+        invitedAt: new Date(),
+      };
+      const result = await orgsCollection.updateOne(
+        {
+          _id: org._id,
+          "members.email": { $ne: email },
+          "invites.email": { $ne: email },
+        },
+        { $push: { invites: invite } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new ApiError(400, "They have already been invited.");
+      }
+
+      await notifications.organizationInvited(
+        orgSummary(org),
+        email,
+        role,
+        user.email
+      );
+
+      return invite;
+    },
+
+    // Join with the role the invite offered
+    async accept(idOrSlug, user) {
+      const org = await find(idOrSlug);
+      const invite = (org.invites || []).find((i) => i.email === user.email);
+
+      if (!invite) {
+        throw new ApiError(404, "You have no invitation to this organization.");
+      }
+
+      const member = {
+        email: user.email,
+        role: invite.role,
+        addedAt: new Date(),
+      };
+      const result = await orgsCollection.updateOne(
+        {
+          _id: org._id,
+          "invites.email": user.email,
+          "members.email": { $ne: user.email },
+        },
+        {
+          $pull: { invites: { email: user.email } },
+          $push: { members: member },
+          $set: { updatedAt: new Date() },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new ApiError(404, "You have no invitation to this organization.");
+      }
+
+      if (member.role === "admin") await syncAdmins(org._id);
+
+      return member;
+    },
+
+    async decline(idOrSlug, user) {
+      const org = await find(idOrSlug);
+
+      const result = await orgsCollection.updateOne(
+        { _id: org._id },
+        { $pull: { invites: { email: user.email } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new ApiError(404, "You have no invitation to this organization.");
+      }
+    },
+
+    // Organizations the user has been invited to join
+    async listInvites(user) {
+      const invited = await orgsCollection
+        .find({ "invites.email": user.email })
+        .sort({ name: 1 })
+        .toArray();
+
+      return invited.map((org) => {
+        const invite = org.invites.find((i) => i.email === user.email);
+
+        return {
+          organization: orgSummary(org),
+          role: invite.role,
+          invitedBy: invite.invitedBy,
+          invitedAt: invite.invitedAt,
+        };
+      });
+    },
+
+    async setMemberRole(idOrSlug, email, role, user) {
+      const org = await findAdministered(idOrSlug, user);
+      const member = memberOf(org, email);
+
+      if (!member) {
+        throw new ApiError(404, "They are not a member.");
+      }
+
+      if (
+        member.role === "admin" &&
+        role !== "admin" &&
+        adminsOf(org).length === 1
+      ) {
+        throw new ApiError(400, "An organization needs at least one admin.");
+      }
+
+      const result = await orgsCollection.updateOne(
+        {
+          _id: org._id,
+          "members.email": email,
+          // their role may have changed since the read
+          ...(role !== "admin" && keepsAnAdmin(email)),
+        },
+        { $set: { "members.$[m].role": role, updatedAt: new Date() } },
+        { arrayFilters: [{ "m.email": email }] }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new ApiError(409, MEMBERS_CHANGED);
+      }
+
+      await syncAdmins(org._id);
+    },
+
+    // Admins remove anyone (or withdraw an invite); members can leave
+    async removeMember(idOrSlug, email, user) {
+      const org = await find(idOrSlug);
+      const actor = memberOf(org, user.email);
+
+      if (email !== user.email && (!actor || actor.role !== "admin")) {
+        throw new ApiError(
+          403,
+          "Only organization admins can manage the organization."
+        );
+      }
+
+      const member = memberOf(org, email);
+      if (!member) {
+        const result = await orgsCollection.updateOne(
+          { _id: org._id },
+          { $pull: { invites: { email } } }
+        );
+        if (result.modifiedCount === 0) {
+          throw new ApiError(404, "They are not a member.");
+        }
+        return;
+      }
+
+      if (member.role === "admin" && adminsOf(org).length === 1) {
+        throw new ApiError(
+          400,
+          "An organization needs at least one admin. Make someone else admin first."
+        );
+      }
+
+      // an admin's role may have changed since the read, so every removal
+      // keeps another admin around
+      const result = await orgsCollection.updateOne(
+        { _id: org._id, "members.email": email, ...keepsAnAdmin(email) },
+        { $pull: { members: { email } }, $set: { updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new ApiError(409, MEMBERS_CHANGED);
+      }
+
+      await syncAdmins(org._id);
+    },
+
+    // --- Followers ---
+
+    async follow(idOrSlug, user) {
+      const org = await find(idOrSlug);
+
+      const result = await followsCollection.updateOne(
+        { userEmail: user.email, organizationId: org._id },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount) {
+        await orgsCollection.updateOne(
+          { _id: org._id },
+          { $inc: { followerCount: 1 } }
+        );
+      }
+    },
+
+    async unfollow(idOrSlug, user) {
+      const org = await find(idOrSlug);
+
+      const result = await followsCollection.deleteOne({
+        userEmail: user.email,
+        organizationId: org._id,
+      });
+
+      if (result.deletedCount) {
+        await orgsCollection.updateOne(
+          { _id: org._id },
+          { $inc: { followerCount: -1 } }
+        );
+      }
+    },
+
+    // Ids of the organizations `email` follows, for the feed
+    followedIds(email) {
+      return followsCollection
+        .find({ userEmail: email }, { projection: { organizationId: 1 } })
+        .map((f) => f.organizationId)
+        .toArray();
+    },
+  };
+}
+
+module.exports = {
+  createOrganizationService,
+};
@@ -0,0 +1,275 @@
+// services/organizerService.js
+// The team behind an event: co-organizer invites (accepted or declined by
+// the invitee), leaving or removing co-organizers, and ownership transfer.
+// See lib/organizers.js for what each member can do.
+const { ApiError } = require("../lib/errors");
+const { hasRole } = require("../lib/roles");
+const { isOwner, isOrganizer, organizedBy } = require("../lib/organizers");
+const { syncJoinedCopies } = require("../lib/joined");
+
+function createOrganizerService(db, { events, users, audit, notifications }) {
+  const eventsCollection = db.collection("events");
+  const joinedCollection = db.collection("joinedEvents");
+
+  async function findOwned(id, user) {
+    const event = await events.findById(id);
+
+    if (!isOwner(event, user.email)) {
+      throw new ApiError(403, "Only the event's owner can manage organizers.");
+    }
+
+    return event;
+  }
+
+  return {
+    // Owner, co-organizers and pending invites: organizers and moderators
+    async list(id, user) {
+      const event = await events.findById(id);
+
+      if (!isOrganizer(event, user.email) && !hasRole(user, "moderator")) {
+        throw new ApiError(
+          403,
+          "Only organizers or a moderator can see the organizer team."
+        );
+      }
+
+      return {
+        owner: event.creatorEmail,
+        coOrganizers: event.coOrganizers || [],
+        invites: event.organizerInvites || [],
+      };
+    },
+
+    async invite(id, email, user) {
+      const event = await findOwned(id, user);
+
+      if (isOrganizer(event, email)) {
+        throw new ApiError(400, "They are already an organizer of this event.");
+      }
+
+      const invite = { email, invitedBy: user.email, invitedAt: new Date() };
+      const result = await eventsCollection.updateOne(
+        {
+          _id: event._id,
+          coOrganizers: { $ne: email },
+          "organizerInvites.email": { $ne: email },
+        },
+        { $push: { organizerInvites: invite } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new ApiError(400, "They have already been invited.");
+      }
+
+      await audit.record({
+        eventId: event._id,
+        action: "organizer.invited",
+        actor: user.email,
+        details: { email },
+      });
+
+      await notifications.organizerInvited(event, email, user.email);
+
+      return invite;
+    },
+
+    async accept(id, user) {
+      const event = await events.findById(id);
+
+      const result = await eventsCollection.updateOne(
+        { _id: event._id, "organizerInvites.email": user.email },
+        {
+          $pull: { organizerInvites: { email: user.email } },
+          $addToSet: { coOrganizers: user.email },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new ApiError(404, "You have no invitation for this event.");
+      }
+
+      await users.promoteToOrganizer(user.email);
+
+      await audit.record({
+        eventId: event._id,
+        action: "organizer.added",
+        actor: user.email,
+        details: { email: user.email },
+      });
+    },
+
+    async decline(id, user) {
+      const event = await events.findById(id);
+
+      const result = await eventsCollection.updateOne(
+        { _id: event._id },
+        { $pull: { organizerInvites: { email: user.email } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new ApiError(404, "You have no invitation for this event.");
+      }
+    },
+
+    // The owner removes a co-organizer or withdraws an invite;
+    // co-organizers can remove themselves
+    async remove(id, email, user) {
+      const event = await events.findById(id);
+
+      if (!isOwner(event, user.email) && email !== user.email) {
+        throw new ApiError(
+          403,
+          "Only the event's owner can manage organizers."
+        );
+      }
+
+      if (isOwner(event, email)) {
+        throw new ApiError(
+          400,
+          "The owner cannot be removed. Transfer the event first."
+        );
+      }
+
+      const result = await eventsCollection.updateOne(
+        { _id: event._id },
+        {
+          $pull: {
+            coOrganizers: email,
+            organizerInvites: { email },
+          },
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new ApiError(404, "They are not an organizer of this event.");
+      }
+
+      await audit.record({
+        eventId: event._id,
+        action: "organizer.removed",
+        actor: user.email,
+        details: { email },
+      });
+    },
+
+    /**
+     * Hand the event to a co-organizer; the old owner stays on as a
+     * co-organizer. Admins can hand an orphaned event to anyone.
+     */
+    async transfer(id, email, user) {
+      const event = await events.findById(id);
+      const admin = hasRole(user, "admin");
+
+      if (!isOwner(event, user.email) && !admin) {
+        throw new ApiError(
+          403,
+          "Only the event's owner or an admin can transfer it."
+        );
+      }
+
+      if (isOwner(event, email)) {
+        throw new ApiError(400, "They already own this event.");
+      }
+
+      if (!admin && !isOrganizer(event, email)) {
+        throw new ApiError(
+          400,
+          "Events can only be handed to a co-organizer. Invite them first."
+        );
+      }
+
+      const now = new Date();
+      // the owner must not have changed, and the new one must still be on
+      // the team
+      const filter = {
+        _id: event._id,
+        creatorEmail: event.creatorEmail,
+        ...(!admin && organizedBy(email)),
+      };
+
+      // computed from the stored lists, so an invite accepted or a
+      // co-organizer removed meanwhile is kept
+      const updated = await eventsCollection.findOneAndUpdate(
+        filter,
+        [
+          {
+            $set: {
+              creatorEmail: email,
+              coOrganizers: {
+                $concatArrays: [
+                  {
+                    $filter: {
+                      input: { $ifNull: ["$coOrganizers", []] },
+                      cond: { $ne: ["$$this", email] },
+                    },
+                  },
+                  [event.creatorEmail],
+                ],
+              },
+              organizerInvites: {
+                $filter: {
+                  input: { $ifNull: ["$organizerInvites", []] },
+                  cond: { $ne: ["$$this.email", email] },
+                },
+              },
+              transferredAt: now,
+              updatedAt: now,
+              updatedBy: user.email,
+              // the ORGANIZER in calendar feeds changes
+              version: { $add: [{ $ifNull: ["$version", 0] }, 1] },
+            },
+          },
+        ],
+        { returnDocument: "after" }
+      );
+
+      if (!updated) {
+        throw new ApiError(
+          409,
+          "This event was changed by someone else. Reload and try again."
+        );
+      }
+
+      await users.promoteToOrganizer(email);
+
+      // participants' dashboards show the organizer
+      await syncJoinedCopies(joinedCollection, updated);
+
+      await audit.record({
+        eventId: event._id,
+        action: "event.transferred",
+        actor: user.email,
+        changes: { creatorEmail: { from: event.creatorEmail, to: email } },
+      });
+
+      return { owner: email, coOrganizers: updated.coOrganizers };
+    },
+
+    // Events the user has been invited to help organize
+    async listInvites(user) {
+      const invited = await eventsCollection
+        .find({ "organizerInvites.email": user.email })
+        .sort({ eventDate: 1 })
+        .toArray();
+
+      return invited.map((event) => {
+        const invite = event.organizerInvites.find(
+          (i) => i.email === user.email
+        );
+
+        return {
+          eventId: event._id,
+          title: event.title,
+          eventDate: event.eventDate,
+          owner: event.creatorEmail,
+          invitedBy: invite.invitedBy,
+          invitedAt: invite.invitedAt,
+        };
+      });
+    },
+  };
+}
+
+module.exports = {
+  createOrganizerService,
+};
@@ -0,0 +1,111 @@
+// services/realtimeService.js
+// Live updates over the pub/sub backend (lib/pubsub.js). Two channels:
+//   event:<id>     -> participants, event.updated, event.status,
+//                     event.visibility, comment.created
+//   user:<email>   -> joined, left, promoted for that user's own joins
+// A dashboard stream listens to the user's channel plus the channel of every
+// event they joined. Messages are { type, eventId, at, ... }.
+//
+// Publishing never fails the request that triggered it; a missed message
+// only means the client refreshes a little later.
+const { seatsLeft } = require("../lib/capacity");
+
+function eventChannel(eventId) {
+  return `event:${eventId}`;
+}
+
+function userChannel(email) {
+  return `user:${email}`;
+}
+
+function createRealtimeService(db, { pubsub }) {
+  const joinedCollection = db.collection("joinedEvents");
+
+  async function publish(channel, type, eventId, data = {}) {
+    try {
+      await pubsub.publish(channel, {
+        type,
+        eventId: String(eventId),
+        ...data,
+        at: new Date(),
+      });
+    } catch (err) {
+      console.error("Realtime publish error:", err);
+    }
+  }
+
+  return {
+    eventChanged(eventId, type, data) {
+      return publish(eventChannel(eventId), type, eventId, data);
+    },
+
+    userChanged(email, type, eventId, data) {
+      return publish(userChannel(email), type, eventId, data);
+    },
+
+    // After a join or leave: the event's current seat counters
+    participantsChanged(event) {
+      return publish(eventChannel(event._id), "participants", event._id, {
+        participantCount: event.participantCount || 0,
+        seatsLeft: seatsLeft(event),
+      });
+    },
+
+    /**
+     * Send every message about one event to `send`.
+     * @returns {() => void} unsubscribe
+     */
+    subscribeEvent(eventId, send) {
+      return pubsub.subscribe(eventChannel(eventId), send);
+    },
+
+    /**
+     * Send the user's own join changes and every message about the events
+     * they joined to `send`, following joins and leaves as they happen.
+     * @returns {Promise<() => void>} unsubscribe
+     */
+    async subscribeDashboard(user, send) {
+      const events = new Map();
+
+      function follow(eventId) {
+        if (!events.has(eventId)) {
+          events.set(eventId, pubsub.subscribe(eventChannel(eventId), send));
+        }
+      }
+
+      function unfollow(eventId) {
+        const stop = events.get(eventId);
+        if (stop) stop();
+        events.delete(eventId);
+      }
+
+      const stopUser = pubsub.subscribe(userChannel(user.email), (message) => {
+        if (message.type === "joined") follow(message.eventId);
+        if (message.type === "left" && !message.stillJoined) {
+          unfollow(message.eventId);
+        }
+        send(message);
+      });
+
+      let joined;
+      try {
+        joined = await joinedCollection.distinct("eventId", {
+          userEmail: user.email,
+        });
+      } catch (err) {
+        stopUser();
+        throw err;
+      }
+      joined.forEach((eventId) => follow(String(eventId)));
+
+      return () => {
+        stopUser();
+        [...events.keys()].forEach(unfollow);
+      };
+    },
+  };
+}
+
+module.exports = {
+  createRealtimeService,
+};
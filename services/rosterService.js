@@ -0,0 +1,249 @@
+// services/rosterService.js
+// Organizer tools: attendee roster, check-in and attendance export.
+// Check-ins are stored on the joined document, one per occurrence:
+//   checkIns: [{ occurrenceKey, checkedInAt, checkedInBy, method }]
+// occurrenceKey is null for one-off events.
+const { ApiError } = require("../lib/errors");
+const { findOccurrence } = require("../lib/recurrence");
+const { normalizeCode, findCheckIn } = require("../lib/checkIn");
+const { toCsv } = require("../lib/csv");
+const { isOrganizer } = require("../lib/organizers");
+
+const ROSTER_STATUSES = ["confirmed", "waitlisted"];
+
+const CSV_COLUMNS = [
+  { key: "userEmail", header: "Email" },
+  { key: "status", header: "Status" },
+  { key: "scope", header: "Scope" },
+  { key: "joinedAt", header: "Joined at" },
+  { key: "attended", header: "Checked in" },
+  { key: "checkedInAt", header: "Checked in at" },
+  { key: "checkedInBy", header: "Checked in by" },
+];
+
+function parseDateParam(value) {
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (isNaN(date.getTime())) {
+    throw new ApiError(400, "Invalid occurrenceDate.");
+  }
+  return date;
+}
+
+function createRosterService(db, { events }) {
+  const joinedCollection = db.collection("joinedEvents");
+
+  async function findOrganized(id, user) {
+    const event = await events.findById(id);
+
+    if (!isOrganizer(event, user.email)) {
+      throw new ApiError(403, "Only organizers can manage attendees.");
+    }
+
+    return event;
+  }
+
+  // The occurrence picked by occurrenceDate, or null when none was given
+  function resolveOccurrence(event, date) {
+    if (!date) return null;
+
+    if (!event.recurrence) {
+      throw new ApiError(400, "This event does not repeat.");
+    }
+
+    const occurrence = findOccurrence(event, parseDateParam(date));
+    if (!occurrence) {
+      throw new ApiError(404, "Occurrence not found.");
+    }
+
+    return occurrence;
+  }
+
+  // Which check-in counts for a join: the event itself, the join's own
+  // occurrence, or the selected occurrence of a series. Undefined when a
+  // whole-series join is listed without picking an occurrence.
+  function checkInKey(event, join, occurrence) {
+    if (!event.recurrence) return null;
+    if (join.occurrenceKey) return join.occurrenceKey;
+    return occurrence ? occurrence.key : undefined;
+  }
+
+  async function loadRoster(event, occurrence, status) {
+    const filter = { eventId: event._id };
+    if (occurrence) filter.occurrenceKey = { $in: [null, occurrence.key] };
+    if (status) filter.status = status;
+
+    const joins = await joinedCollection
+      .find(filter)
+      .sort({ joinedAt: 1 })
+      .toArray();
+
+    return joins.map((join) => {
+      const key = checkInKey(event, join, occurrence);
+      const checkIn = key === undefined ? null : findCheckIn(join, key);
+
+      return {
+        joinId: join._id,
+        userEmail: join.userEmail,
+        status: join.status,
+        scope: join.occurrenceKey ? "occurrence" : "series",
+        occurrenceDate: join.occurrenceDate ?? null,
+        joinedAt: join.joinedAt,
+        promotedAt: join.promotedAt ?? null,
+        checkedIn: Boolean(checkIn),
+        checkedInAt: checkIn ? checkIn.checkedInAt : null,
+        checkedInBy: checkIn ? checkIn.checkedInBy : null,
+        checkInCount: (join.checkIns || []).length,
+      };
+    });
+  }
+
+  return {
+    /**
+     * Everyone who joined, oldest first.
+     * query: { occurrenceDate, status }
+     */
+    async roster(id, user, query) {
+      const event = await findOrganized(id, user);
+
+      if (query.status && !ROSTER_STATUSES.includes(query.status)) {
+        throw new ApiError(
+          400,
+          `Invalid status. Use one of: ${ROSTER_STATUSES.join(", ")}.`
+        );
+      }
+
+      const occurrence = resolveOccurrence(event, query.occurrenceDate);
+      const attendees = await loadRoster(event, occurrence, query.status);
+
+      return {
+        eventId: event._id,
+        occurrenceDate: occurrence ? occurrence.originalDate : null,
+        summary: {
+          total: attendees.length,
+          confirmed: attendees.filter((a) => a.status === "confirmed").length,
+          waitlisted: attendees.filter((a) => a.status === "waitlisted").length,
+          checkedIn: attendees.filter((a) => a.checkedIn).length,
+        },
+        attendees,
+      };
+    },
+
+    /**
+     * Mark a participant present (or not, with present: false).
+     * input: { userEmail | code, occurrenceDate, present }
+     */
+    async checkIn(id, input, user) {
+      const event = await findOrganized(id, user);
+
+      if (event.status === "cancelled") {
+        throw new ApiError(400, "Cancelled events cannot be checked in.");
+      }
+
+      if (!input.userEmail && !input.code) {
+        throw new ApiError(400, "Send userEmail or code.");
+      }
+
+      const occurrence = resolveOccurrence(event, input.occurrenceDate);
+
+      const filter = { eventId: event._id };
+      if (input.code) filter.checkInCode = normalizeCode(input.code);
+      else filter.userEmail = input.userEmail;
+      if (occurrence) filter.occurrenceKey = { $in: [null, occurrence.key] };
+
+      const join = await joinedCollection.findOne(filter);
+
+      if (!join) {
+        throw new ApiError(
+          404,
+          input.code
+            ? "This check-in code is not valid for this event."
+            : "This person has not joined this event."
+        );
+      }
+
+      if (join.status === "waitlisted") {
+        throw new ApiError(400, "Waitlisted participants cannot check in.");
+      }
+
+      const key = checkInKey(event, join, occurrence);
+      if (key === undefined) {
+        throw new ApiError(
+          400,
+          "occurrenceDate is required to check in to a recurring series."
+        );
+      }
+
+      const present = input.present !== false;
+      let changed;
+
+      if (present) {
+        const checkedIn = {
+          occurrenceKey: key,
+          checkedInAt: new Date(),
+          checkedInBy: user.email,
+          method: input.code ? "code" : "manual",
+        };
+
+        // no second check-in for the same occurrence
+        const result = await joinedCollection.updateOne(
+          {
+            _id: join._id,
+            checkIns: { $not: { $elemMatch: { occurrenceKey: key } } },
+          },
+          { $push: { checkIns: checkedIn } }
+        );
+        changed = result.modifiedCount > 0;
+      } else {
+        const result = await joinedCollection.updateOne(
+          { _id: join._id },
+          { $pull: { checkIns: { occurrenceKey: key } } }
+        );
+        changed = result.modifiedCount > 0;
+      }
+
+      const current = await joinedCollection.findOne({ _id: join._id });
+      const checkIn = current ? findCheckIn(current, key) : null;
+
+      return {
+        userEmail: join.userEmail,
+        occurrenceDate: key ? new Date(Number(key)) : null,
+        checkedIn: Boolean(checkIn),
+        checkedInAt: checkIn ? checkIn.checkedInAt : null,
+        changed,
+      };
+    },
+
+    // CSV of the roster for one event or one occurrence of a series
+    async attendanceCsv(id, user, query) {
+      const event = await findOrganized(id, user);
+
+      if (event.recurrence && !query.occurrenceDate) {
+        throw new ApiError(
+          400,
+          "occurrenceDate is required to export a recurring event."
+        );
+      }
+
+      const occurrence = resolveOccurrence(event, query.occurrenceDate);
+      const attendees = await loadRoster(event, occurrence);
+
+      const rows = attendees.map((a) => ({
+        ...a,
+        attended: a.checkedIn ? "yes" : "no",
+      }));
+
+      const day = occurrence
+        ? `-${occurrence.originalDate.toISOString().slice(0, 10)}`
+        : "";
+
+      return {
+        filename: `attendance-${event._id}${day}.csv`,
+        csv: toCsv(CSV_COLUMNS, rows),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createRosterService,
+};
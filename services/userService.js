@@ -0,0 +1,181 @@
+// services/userService.js
+// Accounts and roles. A user document is created the first time someone
+// calls an authenticated route:
+//   { email, name, role, status: "active" | "suspended", createdAt, ... }
+// Roles (lib/roles.js): user < organizer < moderator < admin.
+// ADMIN_EMAILS (comma-separated) are made admins when their account is
+// created; every other role change goes through an admin.
+const { ApiError } = require("../lib/errors");
+const { ROLES, roleRank } = require("../lib/roles");
+
+function adminEmails() {
+  return (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function createUserService(db) {
+  const usersCollection = db.collection("users");
+
+  async function findByEmail(email) {
+    const account = await usersCollection.findOne({ email });
+
+    if (!account) {
+      throw new ApiError(404, "User not found.");
+    }
+
+    return account;
+  }
+
+  // Staff can only act on accounts ranked below their own
+  function checkOutranks(actor, target, message) {
+    if (roleRank(actor.role) <= roleRank(target.role)) {
+      throw new ApiError(403, message);
+    }
+  }
+
+  return {
+    // The caller's account, created on first use
+    async resolve(identity) {
+      const existing = await usersCollection.findOne({ email: identity.email });
+      if (existing) return existing;
+
+      const role = adminEmails().includes(identity.email.toLowerCase())
+        ? "admin"
+        : "user";
+
+      await usersCollection.updateOne(
+        { email: identity.email },
+        {
+          $setOnInsert: {
+            email: identity.email,
+            name: identity.name ?? null,
+            role,
+            status: "active",
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+
+      return usersCollection.findOne({ email: identity.email });
+    },
+
+    // Creating an event makes a plain user an organizer
+    async promoteToOrganizer(email) {
+      await usersCollection.updateOne(
+        { email, role: "user" },
+        { $set: { role: "organizer" } }
+      );
+    },
+
+    /**
+     * query: { role, status, q } (q matches email or name)
+     */
+    async list(query) {
+      const filter = {};
+
+      if (query.role) {
+        if (!ROLES.includes(query.role)) {
+          throw new ApiError(
+            400,
+            `Invalid role. Use one of: ${ROLES.join(", ")}.`
+          );
+        }
+        filter.role = query.role;
+      }
+
+      if (query.status) filter.status = String(query.status);
+
+      if (query.q) {
+        const pattern = String(query.q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        filter.$or = [
+          { email: { $regex: pattern, $options: "i" } },
+          { name: { $regex: pattern, $options: "i" } },
+        ];
+      }
+
+      return usersCollection.find(filter).sort({ email: 1 }).toArray();
+    },
+
+    async setRole(email, role, actor) {
+      if (email === actor.email) {
+        throw new ApiError(400, "You cannot change your own role.");
+      }
+
+      const target = await findByEmail(email);
+      // admins don't outrank each other, so no admin (the last one
+      // included) can be demoted here
+      checkOutranks(actor, target, "You cannot change this account's role.");
+
+      // the role read above is in the filter, so a concurrent change to
+      // this account fails instead of being overwritten
+      const result = await usersCollection.updateOne(
+        { email, role: target.role },
+        {
+          $set: { role, roleChangedAt: new Date(), roleChangedBy: actor.email },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new ApiError(
+          409,
+          "This account's role just changed. Reload and try again."
+        );
+      }
+
+      return findByEmail(email);
+    },
+
+    async suspend(email, reason, actor) {
+      const target = await findByEmail(email);
+      checkOutranks(actor, target, "You cannot suspend this account.");
+
+      if (target.status === "suspended") {
+        throw new ApiError(400, "This account is already suspended.");
+      }
+
+      await usersCollection.updateOne(
+        { email },
+        {
+          $set: {
+            status: "suspended",
+            suspendedAt: new Date(),
+            suspendedBy: actor.email,
+            suspendReason: reason ?? null,
+          },
+        }
+      );
+
+      return findByEmail(email);
+    },
+
+    async reinstate(email, actor) {
+      const target = await findByEmail(email);
+      checkOutranks(actor, target, "You cannot reinstate this account.");
+
+      if (target.status !== "suspended") {
+        throw new ApiError(400, "This account is not suspended.");
+      }
+
+      await usersCollection.updateOne(
+        { email },
+        {
+          $set: {
+            status: "active",
+            reinstatedAt: new Date(),
+            reinstatedBy: actor.email,
+          },
+          $unset: { suspendedAt: "", suspendedBy: "", suspendReason: "" },
+        }
+      );
+
+      return findByEmail(email);
+    },
+  };
+}
+
+module.exports = {
+  createUserService,
+};
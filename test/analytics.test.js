@@ -0,0 +1,123 @@
+// test/analytics.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startApp, bearer, grantRole, eventBody } = require("./helpers");
+
+const ORGANIZER = "organizer@example.com";
+const ADMIN = "admin@example.com";
+
+describe("analytics", () => {
+  let ctx;
+  let cleanupId;
+
+  before(async () => {
+    ctx = await startApp();
+    await grantRole(ctx.db, ADMIN, "admin");
+
+    const cleanup = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(ORGANIZER))
+      .send(eventBody({ capacity: 4, location: "North Beach" }))
+      .expect(201);
+    cleanupId = cleanup.body.eventId;
+
+    await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(ORGANIZER))
+      .send(eventBody({ eventType: "Donation", location: "Town Hall" }))
+      .expect(201);
+
+    const codes = [];
+    for (const email of ["a@example.com", "b@example.com"]) {
+      const joined = await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(email))
+        .send({ eventId: cleanupId })
+        .expect(201);
+      codes.push(joined.body.checkInCode);
+    }
+
+    await request(ctx.app)
+      .post(`/events/${cleanupId}/check-in`)
+      .set("Authorization", bearer(ORGANIZER))
+      .send({ code: codes[0] })
+      .expect(200);
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it("reports fill rate, turnout and joins over time for one event", async () => {
+    const res = await request(ctx.app)
+      .get(`/analytics/events/${cleanupId}`)
+      .set("Authorization", bearer(ORGANIZER))
+      .expect(200);
+
+    assert.equal(res.body.event.signups, 2);
+    assert.equal(res.body.event.checkedIn, 1);
+    assert.equal(res.body.event.fillRate, 0.5);
+    assert.equal(res.body.event.turnout, 0.5);
+    assert.equal(res.body.timeline.length, 1);
+    assert.equal(res.body.timeline[0].joins, 2);
+
+    await request(ctx.app)
+      .get(`/analytics/events/${cleanupId}`)
+      .set("Authorization", bearer("a@example.com"))
+      .expect(403);
+  });
+
+  it("breaks an organizer's events down by type and location", async () => {
+    const res = await request(ctx.app)
+      .get("/analytics/organizer")
+      .set("Authorization", bearer(ORGANIZER))
+      .expect(200);
+
+    assert.equal(res.body.totals.events, 2);
+    assert.equal(res.body.totals.signups, 2);
+    assert.equal(res.body.totals.fillRate, 0.5);
+    assert.deepEqual(
+      res.body.byEventType.map((t) => [t.eventType, t.signups]),
+      [
+        ["Cleanup", 2],
+        ["Donation", 0],
+      ]
+    );
+    assert.equal(res.body.topLocations[0].location, "North Beach");
+
+    // a range before any event leaves nothing
+    const empty = await request(ctx.app)
+      .get("/analytics/organizer?to=2020-01-01")
+      .set("Authorization", bearer(ORGANIZER))
+      .expect(200);
+    assert.equal(empty.body.totals.events, 0);
+
+    await request(ctx.app)
+      .get("/analytics/organizer?interval=hour")
+      .set("Authorization", bearer(ORGANIZER))
+      .expect(400);
+  });
+
+  it("gives admins platform-wide stats", async () => {
+    await request(ctx.app)
+      .get("/analytics/platform")
+      .set("Authorization", bearer(ORGANIZER))
+      .expect(403);
+
+    const res = await request(ctx.app)
+      .get("/analytics/platform")
+      .set("Authorization", bearer(ADMIN))
+      .expect(200);
+
+    assert.equal(res.body.interval, "week");
+    assert.deepEqual(res.body.totals, {
+      events: 2,
+      joins: 2,
+      activeUsers: 3,
+    });
+    assert.deepEqual(res.body.popularCategories, [
+      { joins: 2, eventType: "Cleanup", events: 1 },
+    ]);
+  });
+});
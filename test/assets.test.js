@@ -0,0 +1,188 @@
+// test/assets.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const sharp = require("sharp");
+const { startApp, bearer, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+
+// A JPEG with EXIF data (camera make and a rotation)
+function photo() {
+  return sharp({
+    create: { width: 1200, height: 900, channels: 3, background: "#2a9d8f" },
+  })
+    .withMetadata({ orientation: 6, exif: { IFD0: { Make: "TestCam" } } })
+    .jpeg()
+    .toBuffer();
+}
+
+describe("image uploads", () => {
+  let ctx;
+  let image;
+
+  before(async () => {
+    ctx = await startApp();
+
+    const res = await request(ctx.app)
+      .post("/assets")
+      .set("Authorization", bearer(OWNER))
+      .attach("image", await photo(), {
+        filename: "cleanup.jpg",
+        contentType: "image/jpeg",
+      })
+      .expect(201);
+    image = res.body.image;
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it("stores resized variants and a blurhash", async () => {
+    assert.ok(image.blurhash);
+    assert.deepEqual(Object.keys(image.variants), ["small", "medium", "large"]);
+
+    // rotated by the EXIF orientation, never enlarged
+    assert.equal(image.variants.small.width, 240);
+    assert.equal(image.variants.small.height, 320);
+    assert.equal(image.variants.large.height, 1200);
+    assert.match(image.variants.medium.url, /\/api\/assets\/.+\/medium$/);
+  });
+
+  it("serves variants without EXIF data", async () => {
+    const res = await request(ctx.app)
+      .get(`/assets/${image.assetId}/small`)
+      .buffer(true)
+      .parse((r, cb) => {
+        const chunks = [];
+        r.on("data", (c) => chunks.push(c));
+        r.on("end", () => cb(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    assert.equal(res.headers["content-type"], "image/webp");
+    assert.match(res.headers["cache-control"], /immutable/);
+
+    const meta = await sharp(res.body).metadata();
+    assert.equal(meta.format, "webp");
+    assert.equal(meta.exif, undefined);
+
+    await request(ctx.app).get(`/assets/${image.assetId}/huge`).expect(404);
+  });
+
+  it("rejects files that are not images", async () => {
+    const res = await request(ctx.app)
+      .post("/assets")
+      .set("Authorization", bearer(OWNER))
+      .attach("image", Buffer.from("not an image"), {
+        filename: "fake.png",
+        contentType: "image/png",
+      })
+      .expect(400);
+    assert.equal(res.body.message, "The file is not a readable image.");
+
+    await request(ctx.app)
+      .post("/assets")
+      .set("Authorization", bearer(OWNER))
+      .attach("image", Buffer.from("<svg/>"), {
+        filename: "x.svg",
+        contentType: "image/svg+xml",
+      })
+      .expect(415);
+  });
+
+  it("rejects images whose pixel data is cut off", async () => {
+    const png = await sharp({
+      create: {
+        width: 400,
+        height: 400,
+        channels: 3,
+        noise: { type: "gaussian", mean: 128, sigma: 30 },
+      },
+    })
+      .png()
+      .toBuffer();
+
+    // the header still parses; decoding fails
+    const res = await request(ctx.app)
+      .post("/assets")
+      .set("Authorization", bearer(OWNER))
+      .attach("image", png.subarray(0, png.length / 2), {
+        filename: "cut.png",
+        contentType: "image/png",
+      })
+      .expect(400);
+    assert.equal(res.body.message, "The file is not a readable image.");
+  });
+
+  it("rejects files over the size limit", async () => {
+    const res = await request(ctx.app)
+      .post("/assets")
+      .set("Authorization", bearer(OWNER))
+      .attach("image", Buffer.alloc(6 * 1024 * 1024), {
+        filename: "big.jpg",
+        contentType: "image/jpeg",
+      })
+      .expect(413);
+    assert.equal(res.body.message, "Images can be at most 5 MB.");
+  });
+
+  it("uses an uploaded image as the event thumbnail", async () => {
+    const body = eventBody();
+
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send({ ...body, imageId: image.assetId })
+      .expect(201);
+
+    const res = await request(ctx.app)
+      .get(`/events/${created.body.eventId}`)
+      .expect(200);
+    assert.equal(res.body.event.thumbnail, image.variants.medium.url);
+    assert.equal(res.body.event.image.blurhash, image.blurhash);
+  });
+
+  it("only lets the uploader use an image", async () => {
+    await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer("other@example.com"))
+      .send({ ...eventBody(), imageId: image.assetId })
+      .expect(403);
+  });
+
+  it("ignores thumbnail URLs sent by clients", async () => {
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send({ ...eventBody(), thumbnail: "https://tracker.example/pixel.gif" })
+      .expect(201);
+
+    const res = await request(ctx.app)
+      .get(`/events/${created.body.eventId}`)
+      .expect(200);
+    assert.equal(res.body.event.thumbnail, null);
+    assert.equal(res.body.event.image, null);
+  });
+
+  it("removes the image with imageId: null", async () => {
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send({ ...eventBody(), imageId: image.assetId })
+      .expect(201);
+
+    await request(ctx.app)
+      .patch(`/events/${created.body.eventId}`)
+      .set("Authorization", bearer(OWNER))
+      .send({ imageId: null })
+      .expect(200);
+
+    const res = await request(ctx.app)
+      .get(`/events/${created.body.eventId}`)
+      .expect(200);
+    assert.equal(res.body.event.thumbnail, null);
+    assert.equal(res.body.event.image, null);
+  });
+});
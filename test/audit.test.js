@@ -0,0 +1,120 @@
+// test/audit.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startApp,
+  bearer,
+  grantRole,
+  daysFromNow,
+  eventBody,
+} = require("./helpers");
+
+const OWNER = "owner@example.com";
+const MOD = "mod@example.com";
+
+describe("audit log", () => {
+  let ctx;
+  let eventId;
+  const originalDate = daysFromNow(3).toISOString();
+  const movedDate = daysFromNow(4).toISOString();
+
+  before(async () => {
+    ctx = await startApp();
+    await grantRole(ctx.db, MOD, "moderator");
+
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody({ eventDate: originalDate, capacity: 1 }))
+      .expect(201);
+    eventId = created.body.eventId;
+
+    for (const email of ["a@example.com", "b@example.com"]) {
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(email))
+        .send({ eventId })
+        .expect(201);
+    }
+
+    // a leaves, b moves off the waitlist
+    await request(ctx.app)
+      .post("/leave-event")
+      .set("Authorization", bearer("a@example.com"))
+      .send({ eventId })
+      .expect(200);
+
+    await request(ctx.app)
+      .patch(`/events/${eventId}`)
+      .set("Authorization", bearer(OWNER))
+      .send({ eventDate: movedDate })
+      .expect(200);
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  function history(email, query = "") {
+    return request(ctx.app)
+      .get(`/events/${eventId}/history${query}`)
+      .set("Authorization", bearer(email));
+  }
+
+  it("records every change, newest first", async () => {
+    const res = await history(OWNER).expect(200);
+
+    assert.deepEqual(
+      res.body.history.map((e) => e.action),
+      [
+        "event.updated",
+        "join.promoted",
+        "join.left",
+        "join.joined",
+        "join.joined",
+        "event.created",
+      ]
+    );
+
+    const [update] = res.body.history;
+    assert.equal(update.actor, OWNER);
+    assert.deepEqual(Object.keys(update.changes), ["eventDate"]);
+    assert.equal(update.changes.eventDate.from, originalDate);
+    assert.equal(update.changes.eventDate.to, movedDate);
+
+    const promoted = res.body.history[1];
+    assert.equal(promoted.actor, null);
+    assert.equal(promoted.details.userEmail, "b@example.com");
+  });
+
+  it("records cancellations with the reason", async () => {
+    await request(ctx.app)
+      .delete(`/events/${eventId}`)
+      .set("Authorization", bearer(OWNER))
+      .send({ reason: "Storm warning" })
+      .expect(200);
+
+    const res = await history(MOD, "?limit=1").expect(200);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.history[0].action, "event.cancelled");
+    assert.equal(res.body.history[0].details.reason, "Storm warning");
+    assert.ok(res.body.nextCursor);
+
+    const next = await history(
+      MOD,
+      `?limit=1&cursor=${res.body.nextCursor}`
+    ).expect(200);
+    assert.equal(next.body.history[0].action, "event.updated");
+  });
+
+  it("is limited to the organizer and moderators", async () => {
+    await request(ctx.app).get(`/events/${eventId}/history`).expect(401);
+
+    const res = await history("b@example.com").expect(403);
+    assert.equal(
+      res.body.message,
+      "Only the organizer or a moderator can view this history."
+    );
+  });
+});
@@ -0,0 +1,130 @@
+// test/calendar.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startApp, bearer, grantRole, eventBody } = require("./helpers");
+
+const USER = "member@example.com";
+const MOD = "mod@example.com";
+
+// The VEVENT with this SUMMARY in a calendar document
+function veventOf(text, title) {
+  return text
+    .split("BEGIN:VEVENT")
+    .find((block) => block.includes(`SUMMARY:${title}`));
+}
+
+describe("calendar feed", () => {
+  let ctx;
+  let feedPath;
+  let eventId;
+
+  before(async () => {
+    ctx = await startApp();
+    await grantRole(ctx.db, MOD, "moderator");
+
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer("owner@example.com"))
+      .send(eventBody({ title: "Feed Event" }))
+      .expect(201);
+    eventId = created.body.eventId;
+    await request(ctx.app)
+      .post("/join-event")
+      .set("Authorization", bearer(USER))
+      .send({ eventId: created.body.eventId })
+      .expect(201);
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it("POST /calendar/feed returns a secret URL", async () => {
+    const res = await request(ctx.app)
+      .post("/calendar/feed")
+      .set("Authorization", bearer(USER))
+      .expect(201);
+
+    assert.match(res.body.url, /\/api\/calendar\/[\w-]+\.ics$/);
+    feedPath = new URL(res.body.url).pathname.replace(/^\/api/, "");
+
+    await request(ctx.app).post("/calendar/feed").expect(401);
+  });
+
+  it("GET /calendar/:token.ics lists the user's joined events", async () => {
+    const res = await request(ctx.app).get(feedPath).expect(200);
+
+    assert.match(res.headers["content-type"], /^text\/calendar/);
+    assert.match(res.text, /SUMMARY:Feed Event/);
+  });
+
+  it("bumps SEQUENCE when the event is cancelled", async () => {
+    const before = await request(ctx.app)
+      .get(`/events/${eventId}.ics`)
+      .expect(200);
+    assert.match(before.text, /SEQUENCE:1/);
+
+    await request(ctx.app)
+      .post(`/events/${eventId}/status`)
+      .set("Authorization", bearer("owner@example.com"))
+      .send({ status: "cancelled" })
+      .expect(200);
+
+    const res = await request(ctx.app).get(feedPath).expect(200);
+    assert.match(res.text, /STATUS:CANCELLED/);
+    assert.match(res.text, /SEQUENCE:2/);
+  });
+
+  it("sends left and hidden events as cancelled", async () => {
+    const ids = {};
+    for (const title of ["Left Event", "Hidden Event"]) {
+      const created = await request(ctx.app)
+        .post("/events")
+        .set("Authorization", bearer("owner@example.com"))
+        .send(eventBody({ title }))
+        .expect(201);
+      ids[title] = created.body.eventId;
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(USER))
+        .send({ eventId: ids[title] })
+        .expect(201);
+    }
+
+    const before = await request(ctx.app).get(feedPath).expect(200);
+    assert.match(veventOf(before.text, "Left Event"), /STATUS:CONFIRMED/);
+
+    await request(ctx.app)
+      .post("/leave-event")
+      .set("Authorization", bearer(USER))
+      .send({ eventId: ids["Left Event"] })
+      .expect(200);
+    await request(ctx.app)
+      .post(`/moderation/events/${ids["Hidden Event"]}/hide`)
+      .set("Authorization", bearer(MOD))
+      .send({ reason: "Spam" })
+      .expect(200);
+
+    const res = await request(ctx.app).get(feedPath).expect(200);
+    const left = veventOf(res.text, "Left Event");
+    assert.match(left, /STATUS:CANCELLED/);
+    assert.match(left, /SEQUENCE:2/);
+    const hidden = veventOf(res.text, "Hidden Event");
+    assert.match(hidden, /STATUS:CANCELLED/);
+    assert.match(hidden, /SEQUENCE:2/);
+  });
+
+  it("DELETE /calendar/feed revokes the URL", async () => {
+    await request(ctx.app)
+      .delete("/calendar/feed")
+      .set("Authorization", bearer(USER))
+      .expect(200);
+
+    await request(ctx.app).get(feedPath).expect(404);
+    await request(ctx.app)
+      .delete("/calendar/feed")
+      .set("Authorization", bearer(USER))
+      .expect(404);
+  });
+});
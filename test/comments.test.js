@@ -0,0 +1,198 @@
+// test/comments.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startApp, bearer, grantRole, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+const GUEST = "guest@example.com";
+const MOD = "mod@example.com";
+
+describe("comments", () => {
+  let ctx;
+  let eventId;
+
+  before(async () => {
+    ctx = await startApp();
+    await grantRole(ctx.db, MOD, "moderator");
+
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody())
+      .expect(201);
+    eventId = created.body.eventId;
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  async function post(email, body, parentId) {
+    const res = await request(ctx.app)
+      .post(`/events/${eventId}/comments`)
+      .set("Authorization", bearer(email))
+      .send(parentId ? { body, parentId } : { body })
+      .expect(201);
+    return res.body.comment;
+  }
+
+  function list(query = "") {
+    return request(ctx.app)
+      .get(`/events/${eventId}/comments${query}`)
+      .expect(200);
+  }
+
+  it("threads questions and marks the organizer's answers", async () => {
+    const question = await post(GUEST, "What should I bring?");
+    const answer = await post(OWNER, "Gloves and water.", question._id);
+    // replying to a reply stays in the same thread
+    const followUp = await post(GUEST, "Thanks!", answer._id);
+
+    assert.equal(answer.fromOrganizer, true);
+    assert.equal(question.fromOrganizer, false);
+    assert.equal(followUp.parentId, question._id);
+
+    const res = await list();
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.comments[0].replyCount, 2);
+    assert.deepEqual(
+      res.body.comments[0].replies.map((r) => r.body),
+      ["Gloves and water.", "Thanks!"]
+    );
+
+    const listed = await request(ctx.app).get("/events").expect(200);
+    const event = listed.body.events.find((e) => e._id === eventId);
+    assert.equal(event.commentCount, 3);
+  });
+
+  it("doesn't show author emails and marks the viewer's own comments", async () => {
+    const mine = await post(GUEST, "Can I bring my dog?");
+    assert.equal(mine.mine, true);
+    assert.equal(mine.authorEmail, undefined);
+    await post(OWNER, "Yes, on a leash.", mine._id);
+
+    const anonymous = await list();
+    const thread = anonymous.body.comments.find((c) => c._id === mine._id);
+    assert.equal(thread.authorEmail, undefined);
+    assert.equal(thread.mine, false);
+    assert.equal(thread.replies[0].authorEmail, undefined);
+
+    const res = await request(ctx.app)
+      .get(`/events/${eventId}/comments`)
+      .set("Authorization", bearer(GUEST))
+      .expect(200);
+    const own = res.body.comments.find((c) => c._id === mine._id);
+    assert.equal(own.mine, true);
+    assert.equal(own.replies[0].mine, false);
+  });
+
+  it("lets only the author edit a comment", async () => {
+    const comment = await post(GUEST, "Is parking available?");
+
+    await request(ctx.app)
+      .patch(`/events/${eventId}/comments/${comment._id}`)
+      .set("Authorization", bearer(OWNER))
+      .send({ body: "Changed" })
+      .expect(403);
+
+    const res = await request(ctx.app)
+      .patch(`/events/${eventId}/comments/${comment._id}`)
+      .set("Authorization", bearer(GUEST))
+      .send({ body: "Is there parking nearby?" })
+      .expect(200);
+    assert.equal(res.body.comment.body, "Is there parking nearby?");
+    assert.ok(res.body.comment.editedAt);
+  });
+
+  it("puts pinned comments first and pages the rest", async () => {
+    await post(GUEST, "Is there an age limit?");
+    const first = (await list()).body.comments;
+    const oldest = first[first.length - 1];
+
+    await request(ctx.app)
+      .post(`/events/${eventId}/comments/${oldest._id}/pin`)
+      .set("Authorization", bearer(GUEST))
+      .send({ pinned: true })
+      .expect(403);
+    await request(ctx.app)
+      .post(`/events/${eventId}/comments/${oldest._id}/pin`)
+      .set("Authorization", bearer(OWNER))
+      .send({ pinned: true })
+      .expect(200);
+
+    const page = await list("?limit=1");
+    assert.equal(page.body.comments[0]._id, oldest._id);
+    assert.equal(page.body.comments[0].pinned, true);
+    assert.equal(page.body.count, 2);
+    assert.ok(page.body.nextCursor);
+
+    const next = await list(`?limit=1&cursor=${page.body.nextCursor}`);
+    assert.equal(next.body.nextCursor, null);
+  });
+
+  it("keeps deleted questions as placeholders for their answers", async () => {
+    const question = (await list()).body.comments.find((c) => c.replyCount);
+
+    await request(ctx.app)
+      .delete(`/events/${eventId}/comments/${question._id}`)
+      .set("Authorization", bearer("stranger@example.com"))
+      .expect(403);
+    await request(ctx.app)
+      .delete(`/events/${eventId}/comments/${question._id}`)
+      .set("Authorization", bearer(GUEST))
+      .expect(200);
+
+    const res = await list();
+    const placeholder = res.body.comments.find((c) => c._id === question._id);
+    assert.equal(placeholder.removed, true);
+    assert.equal(placeholder.body, null);
+    assert.equal(placeholder.replies.length, 2);
+  });
+
+  it("hides comments after enough reports and queues them for review", async () => {
+    const spam = await post("spammer@example.com", "Buy cheap followers!!!");
+
+    for (let i = 1; i <= 5; i++) {
+      await request(ctx.app)
+        .post(`/events/${eventId}/comments/${spam._id}/report`)
+        .set("Authorization", bearer(`reporter${i}@example.com`))
+        .send({ reason: "Spam" })
+        .expect(200);
+    }
+
+    await request(ctx.app)
+      .post(`/events/${eventId}/comments/${spam._id}/report`)
+      .set("Authorization", bearer("reporter1@example.com"))
+      .send({})
+      .expect(400);
+
+    const res = await list();
+    assert.ok(!res.body.comments.some((c) => c._id === spam._id));
+
+    const queue = await request(ctx.app)
+      .get("/moderation/comments/reported")
+      .set("Authorization", bearer(MOD))
+      .expect(200);
+    assert.equal(queue.body.comments[0]._id, spam._id);
+    assert.equal(queue.body.comments[0].reportCount, 5);
+
+    // a moderator confirms the hide; the queue is now empty
+    await request(ctx.app)
+      .post(`/moderation/comments/${spam._id}/hide`)
+      .set("Authorization", bearer(MOD))
+      .send({ reason: "Spam" })
+      .expect(200);
+
+    const reviewed = await request(ctx.app)
+      .get("/moderation/comments/reported")
+      .set("Authorization", bearer(MOD))
+      .expect(200);
+    assert.equal(reviewed.body.count, 0);
+
+    await request(ctx.app)
+      .post(`/moderation/comments/${spam._id}/restore`)
+      .set("Authorization", bearer(GUEST))
+      .expect(403);
+  });
+});
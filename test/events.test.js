@@ -0,0 +1,445 @@
+// test/events.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { DAY, startApp, bearer, daysFromNow, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+const OTHER = "other@example.com";
+
+describe("events", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startApp();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  async function createEvent(overrides, email = OWNER) {
+    const res = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(email))
+      .send(eventBody(overrides))
+      .expect(201);
+    return res.body.eventId;
+  }
+
+  describe("POST /events", () => {
+    it("creates an event owned by the caller", async () => {
+      const id = await createEvent({ capacity: 10 });
+      const event = await ctx.db
+        .collection("events")
+        .findOne({ creatorEmail: OWNER, capacity: 10 });
+
+      assert.equal(String(event._id), id);
+      assert.equal(event.version, 1);
+      assert.equal(event.participantCount, 0);
+    });
+
+    it("requires authentication", async () => {
+      const res = await request(ctx.app)
+        .post("/events")
+        .send(eventBody())
+        .expect(401);
+      assert.equal(res.body.message, "Authentication required.");
+    });
+
+    it("reports every invalid field", async () => {
+      const res = await request(ctx.app)
+        .post("/events")
+        .set("Authorization", bearer(OWNER))
+        .send({ title: "x", eventDate: "2001-01-01" })
+        .expect(400);
+
+      const fields = res.body.errors.map((e) => e.field);
+      assert.ok(fields.includes("title"));
+      assert.ok(fields.includes("eventDate"));
+      assert.ok(fields.includes("location"));
+    });
+  });
+
+  describe("listings", () => {
+    before(async () => {
+      await createEvent({
+        title: "Tree Planting Morning",
+        eventType: "Plantation",
+        eventDate: daysFromNow(5).toISOString(),
+        geo: { lat: 23.81, lng: 90.41 },
+      });
+      await createEvent({ title: "Mine Only" }, OTHER);
+    });
+
+    it("GET /events lists events with filters and a cursor", async () => {
+      const all = await request(ctx.app).get("/events").expect(200);
+      assert.ok(all.body.count >= 3);
+
+      const typed = await request(ctx.app)
+        .get("/events?eventType=Plantation")
+        .expect(200);
+      assert.deepEqual(
+        typed.body.events.map((e) => e.title),
+        ["Tree Planting Morning"]
+      );
+
+      const first = await request(ctx.app)
+        .get("/events?sort=date&limit=1")
+        .expect(200);
+      assert.equal(first.body.count, 1);
+      assert.ok(first.body.nextCursor);
+
+      const next = await request(ctx.app)
+        .get(`/events?sort=date&limit=1&cursor=${first.body.nextCursor}`)
+        .expect(200);
+      assert.notEqual(next.body.events[0]._id, first.body.events[0]._id);
+    });
+
+    it("GET /events supports text search and near-me queries", async () => {
+      const found = await request(ctx.app)
+        .get("/events?q=planting")
+        .expect(200);
+      assert.equal(found.body.events[0].title, "Tree Planting Morning");
+
+      const near = await request(ctx.app)
+        .get("/events?lat=23.8&lng=90.4&radius=10")
+        .expect(200);
+      assert.equal(near.body.count, 1);
+      assert.ok(near.body.events[0].distanceMeters >= 0);
+    });
+
+    it("GET /events?from= keeps series with occurrences in range", async () => {
+      await createEvent({
+        title: "Weekly Litter Walk",
+        eventDate: daysFromNow(1).toISOString(),
+        recurrence: { freq: "WEEKLY", count: 4 },
+      });
+
+      const res = await request(ctx.app)
+        .get(`/events?from=${daysFromNow(10).toISOString()}&expand=occurrences`)
+        .expect(200);
+      const walks = res.body.events.filter(
+        (e) => e.title === "Weekly Litter Walk"
+      );
+      assert.equal(walks.length, 2);
+    });
+
+    it("GET /events rejects bad query parameters", async () => {
+      const res = await request(ctx.app).get("/events?sort=bogus").expect(400);
+      assert.equal(res.body.ok, false);
+    });
+
+    it("GET /events/upcoming skips past events", async () => {
+      await ctx.db.collection("events").insertOne({
+        title: "Long Gone",
+        eventDate: new Date(Date.now() - DAY),
+        creatorEmail: OWNER,
+      });
+
+      const res = await request(ctx.app).get("/events/upcoming").expect(200);
+      const titles = res.body.events.map((e) => e.title);
+      assert.ok(!titles.includes("Long Gone"));
+      assert.ok(titles.includes("Tree Planting Morning"));
+    });
+
+    it("GET /events/user lists the caller's events", async () => {
+      const res = await request(ctx.app)
+        .get("/events/user")
+        .set("Authorization", bearer(OTHER))
+        .expect(200);
+      assert.deepEqual(
+        res.body.events.map((e) => e.title),
+        ["Mine Only"]
+      );
+
+      await request(ctx.app).get("/events/user").expect(401);
+    });
+
+    it("GET /events pages 20 at a time by default", async () => {
+      await ctx.db.collection("events").insertMany(
+        Array.from({ length: 21 }, (_, i) => ({
+          title: `Awareness Walk ${i}`,
+          eventType: "Awareness",
+          eventDate: daysFromNow(60 + i),
+          creatorEmail: OTHER,
+        }))
+      );
+
+      const first = await request(ctx.app)
+        .get("/events?eventType=Awareness")
+        .expect(200);
+      assert.equal(first.body.count, 20);
+      assert.ok(first.body.nextCursor);
+
+      const rest = await request(ctx.app)
+        .get(`/events?eventType=Awareness&cursor=${first.body.nextCursor}`)
+        .expect(200);
+      assert.equal(rest.body.count, 1);
+      assert.equal(rest.body.nextCursor, null);
+    });
+  });
+
+  describe("GET /events/:id", () => {
+    it("returns the event with an ETag and seats left", async () => {
+      const id = await createEvent({ capacity: 5 });
+
+      const res = await request(ctx.app).get(`/events/${id}`).expect(200);
+      assert.equal(res.headers.etag, '"1"');
+      assert.equal(res.body.event.seatsLeft, 5);
+    });
+
+    it("rejects invalid and unknown ids", async () => {
+      await request(ctx.app).get("/events/nope").expect(400);
+      await request(ctx.app)
+        .get("/events/64b7f0c2a1b2c3d4e5f60718")
+        .expect(404);
+    });
+  });
+
+  describe("GET /events/:id.ics", () => {
+    it("exports an iCalendar file", async () => {
+      const id = await createEvent();
+
+      const res = await request(ctx.app).get(`/events/${id}.ics`).expect(200);
+      assert.match(res.headers["content-type"], /^text\/calendar/);
+      assert.match(res.text, /BEGIN:VEVENT/);
+      assert.match(res.text, new RegExp(`UID:${id}@social-events`));
+    });
+
+    it("returns 404 for unknown events", async () => {
+      await request(ctx.app)
+        .get("/events/64b7f0c2a1b2c3d4e5f60718.ics")
+        .expect(404);
+    });
+  });
+
+  describe("PUT /events/:id", () => {
+    it("replaces the event and bumps the version", async () => {
+      const id = await createEvent();
+
+      const res = await request(ctx.app)
+        .put(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .set("If-Match", '"1"')
+        .send(eventBody({ title: "Renamed Cleanup" }))
+        .expect(200);
+      assert.equal(res.body.version, 2);
+      assert.equal(res.headers.etag, '"2"');
+    });
+
+    it("only lets the creator update", async () => {
+      const id = await createEvent();
+
+      await request(ctx.app)
+        .put(`/events/${id}`)
+        .set("Authorization", bearer(OTHER))
+        .send(eventBody())
+        .expect(403);
+    });
+
+    it("rejects a stale If-Match", async () => {
+      const id = await createEvent();
+
+      const res = await request(ctx.app)
+        .put(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .set("If-Match", '"7"')
+        .send(eventBody())
+        .expect(409);
+      assert.equal(res.body.currentVersion, 1);
+    });
+  });
+
+  describe("PATCH /events/:id", () => {
+    it("updates only the given fields and syncs joined copies", async () => {
+      const id = await createEvent();
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(OTHER))
+        .send({ eventId: id })
+        .expect(201);
+
+      await request(ctx.app)
+        .patch(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ location: "South Pier" })
+        .expect(200);
+
+      const joined = await ctx.db
+        .collection("joinedEvents")
+        .findOne({ userEmail: OTHER, eventId: new ObjectId(id) });
+      assert.equal(joined.location, "South Pier");
+    });
+
+    it("rejects an empty patch and capacity below participants", async () => {
+      const id = await createEvent();
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(OTHER))
+        .send({ eventId: id })
+        .expect(201);
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer("third@example.com"))
+        .send({ eventId: id })
+        .expect(201);
+
+      await request(ctx.app)
+        .patch(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .send({})
+        .expect(400);
+
+      await request(ctx.app)
+        .patch(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ capacity: 1 })
+        .expect(400);
+    });
+
+    it("leaves seat counters to joins, recounting only legacy events", async () => {
+      const id = await createEvent({ capacity: 5 });
+      const events = ctx.db.collection("events");
+      const _id = new ObjectId(id);
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(OTHER))
+        .send({ eventId: id })
+        .expect(201);
+
+      // a join that lands while the edit is in flight must not be lost
+      await events.updateOne({ _id }, { $inc: { participantCount: 1 } });
+      await request(ctx.app)
+        .patch(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ title: "Harbour Cleanup" })
+        .expect(200);
+      assert.equal((await events.findOne({ _id })).participantCount, 2);
+
+      await events.updateOne(
+        { _id },
+        { $unset: { participantCount: "", occurrenceCounts: "" } }
+      );
+      await request(ctx.app)
+        .patch(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ title: "Marina Cleanup" })
+        .expect(200);
+      assert.equal((await events.findOne({ _id })).participantCount, 1);
+    });
+  });
+
+  describe("PATCH /events/:id/occurrences/:date", () => {
+    const start = new Date(Date.now() + 2 * DAY);
+    start.setUTCHours(9, 0, 0, 0);
+    const second = new Date(start.getTime() + 7 * DAY);
+    const third = new Date(start.getTime() + 14 * DAY);
+
+    function createSeries() {
+      return createEvent({
+        eventDate: start.toISOString(),
+        recurrence: { freq: "WEEKLY", count: 4 },
+      });
+    }
+
+    it("edits a single occurrence", async () => {
+      const id = await createSeries();
+
+      const res = await request(ctx.app)
+        .patch(`/events/${id}/occurrences/${second.getTime()}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ location: "Harbour Steps" })
+        .expect(200);
+      assert.equal(res.body.version, 2);
+
+      const event = await ctx.db
+        .collection("events")
+        .findOne({ _id: new ObjectId(id) });
+      assert.equal(event.overrides[0].changes.location, "Harbour Steps");
+    });
+
+    it("cancels a single occurrence", async () => {
+      const id = await createSeries();
+
+      await request(ctx.app)
+        .patch(`/events/${id}/occurrences/${second.toISOString()}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ cancelled: true })
+        .expect(200);
+
+      const res = await request(ctx.app).get(`/events/${id}`).expect(200);
+      const dates = res.body.event.occurrences.map((o) => o.eventDate);
+      assert.ok(!dates.includes(second.toISOString()));
+    });
+
+    it("splits the series for scope=following", async () => {
+      const id = await createSeries();
+
+      const res = await request(ctx.app)
+        .patch(`/events/${id}/occurrences/${third.getTime()}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ scope: "following", title: "Later Cleanups" })
+        .expect(201);
+
+      const tail = await request(ctx.app)
+        .get(`/events/${res.body.eventId}`)
+        .expect(200);
+      assert.equal(tail.body.event.title, "Later Cleanups");
+      assert.equal(tail.body.event.eventDate, third.toISOString());
+    });
+
+    it("rejects unknown occurrences and one-off events", async () => {
+      const id = await createSeries();
+      await request(ctx.app)
+        .patch(`/events/${id}/occurrences/${start.getTime() + 1}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ title: "Nope Nope" })
+        .expect(404);
+
+      const single = await createEvent();
+      await request(ctx.app)
+        .patch(`/events/${single}/occurrences/${start.getTime()}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ title: "Nope Nope" })
+        .expect(400);
+    });
+  });
+
+  describe("DELETE /events/:id", () => {
+    it("cancels the event and every joined copy", async () => {
+      const id = await createEvent();
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(OTHER))
+        .send({ eventId: id })
+        .expect(201);
+
+      const res = await request(ctx.app)
+        .delete(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .send({ reason: "Storm warning" })
+        .expect(200);
+      assert.equal(res.body.affectedParticipants, 1);
+
+      const event = await request(ctx.app).get(`/events/${id}`).expect(200);
+      assert.equal(event.body.event.status, "cancelled");
+      assert.equal(event.body.event.cancelReason, "Storm warning");
+
+      await request(ctx.app)
+        .delete(`/events/${id}`)
+        .set("Authorization", bearer(OWNER))
+        .expect(400);
+    });
+
+    it("only lets the creator cancel", async () => {
+      const id = await createEvent();
+
+      await request(ctx.app)
+        .delete(`/events/${id}`)
+        .set("Authorization", bearer(OTHER))
+        .expect(403);
+    });
+  });
+});
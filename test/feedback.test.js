@@ -0,0 +1,167 @@
+// test/feedback.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { DAY, startApp, bearer, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+const GUEST = "guest@example.com";
+const FRIEND = "friend@example.com";
+
+describe("feedback and reputation", () => {
+  let ctx;
+  let pastId;
+  let upcomingId;
+
+  async function createAndJoin(emails) {
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody())
+      .expect(201);
+
+    for (const email of emails) {
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(email))
+        .send({ eventId: created.body.eventId })
+        .expect(201);
+    }
+
+    return created.body.eventId;
+  }
+
+  // events can only be created in the future; move one into the past,
+  // with its participants joining the day before
+  async function endEvent(id) {
+    const eventDate = new Date(Date.now() - DAY);
+    const joinedAt = new Date(Date.now() - 2 * DAY);
+    const eventId = new ObjectId(id);
+    await ctx.db
+      .collection("events")
+      .updateOne({ _id: eventId }, { $set: { eventDate } });
+    await ctx.db
+      .collection("joinedEvents")
+      .updateMany({ eventId }, { $set: { eventDate, joinedAt } });
+  }
+
+  function rate(id, email, body) {
+    return request(ctx.app)
+      .post(`/events/${id}/feedback`)
+      .set("Authorization", bearer(email))
+      .send(body);
+  }
+
+  before(async () => {
+    ctx = await startApp();
+
+    pastId = await createAndJoin([GUEST, FRIEND]);
+    await endEvent(pastId);
+    upcomingId = await createAndJoin([GUEST]);
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it("only accepts ratings from participants after the event", async () => {
+    await rate(upcomingId, GUEST, { rating: 5 }).expect(403);
+    await rate(pastId, "stranger@example.com", { rating: 1 }).expect(403);
+    await rate(pastId, OWNER, { rating: 5 }).expect(400);
+    await rate(pastId, GUEST, { rating: 6 }).expect(400);
+  });
+
+  it("does not count joins made after the event", async () => {
+    // another organizer, so the reputation below only covers pastId
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer("host@example.com"))
+      .send(eventBody())
+      .expect(201);
+    const id = created.body.eventId;
+    await endEvent(id);
+    await ctx.db.collection("joinedEvents").insertOne({
+      eventId: new ObjectId(id),
+      userEmail: "late@example.com",
+      status: "confirmed",
+      occurrenceKey: null,
+      joinedAt: new Date(),
+      eventDate: new Date(Date.now() - DAY),
+    });
+
+    await rate(id, "late@example.com", { rating: 5 }).expect(403);
+  });
+
+  it("summarizes ratings on the event", async () => {
+    const first = await rate(pastId, GUEST, {
+      rating: 5,
+      review: "Well organized, lots of volunteers.",
+    }).expect(201);
+    assert.deepEqual(first.body.rating, { average: 5, count: 1 });
+
+    await rate(pastId, FRIEND, { rating: 3 }).expect(201);
+
+    // rating again replaces the earlier one
+    const again = await rate(pastId, FRIEND, { rating: 4 }).expect(200);
+    assert.deepEqual(again.body.rating, { average: 4.5, count: 2 });
+
+    const res = await request(ctx.app)
+      .get(`/events/${pastId}/feedback`)
+      .expect(200);
+    assert.equal(res.body.count, 2);
+    assert.deepEqual(res.body.summary.distribution, {
+      1: 0,
+      2: 0,
+      3: 0,
+      4: 1,
+      5: 1,
+    });
+    assert.equal(
+      res.body.feedback[1].review,
+      "Well organized, lots of volunteers."
+    );
+    // reviewers' emails are not shown
+    assert.equal(res.body.feedback[1].userEmail, undefined);
+
+    const mine = await request(ctx.app)
+      .get(`/events/${pastId}/feedback`)
+      .set("Authorization", bearer(GUEST))
+      .expect(200);
+    assert.deepEqual(
+      mine.body.feedback.map((f) => f.mine),
+      [false, true]
+    );
+
+    const details = await request(ctx.app).get(`/events/${pastId}`).expect(200);
+    assert.deepEqual(details.body.event.rating, { average: 4.5, count: 2 });
+  });
+
+  it("builds the organizer's reputation", async () => {
+    const res = await request(ctx.app)
+      .get(`/organizers/${OWNER}/reputation`)
+      .expect(200);
+
+    assert.deepEqual(res.body.reputation, {
+      email: OWNER,
+      eventsHosted: 1,
+      eventsCancelled: 0,
+      totalParticipants: 2,
+      averageRating: 4.5,
+      ratingCount: 2,
+    });
+  });
+
+  it("lets participants withdraw their feedback", async () => {
+    const res = await request(ctx.app)
+      .delete(`/events/${pastId}/feedback`)
+      .set("Authorization", bearer(FRIEND))
+      .expect(200);
+    assert.deepEqual(res.body.rating, { average: 5, count: 1 });
+
+    await request(ctx.app)
+      .delete(`/events/${pastId}/feedback`)
+      .set("Authorization", bearer(FRIEND))
+      .expect(404);
+  });
+});
@@ -0,0 +1,102 @@
+// test/helpers.js
+// Shared setup for the integration tests: an in-memory MongoDB, the app
+// built on top of it, and API tokens for test users.
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { MongoClient } = require("mongodb");
+const jwt = require("jsonwebtoken");
+const { ensureIndexes } = require("../lib/db");
+const { memoryStore } = require("../lib/rateLimitStores");
+const { memoryPubSub } = require("../lib/pubsub");
+const { createApp } = require("../app");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Keeps notifications in memory instead of delivering them
+function memoryTransport() {
+  const sent = [];
+  return {
+    name: "memory",
+    sent,
+    async send(message) {
+      sent.push(message);
+    },
+  };
+}
+
+// `rateLimits` overrides route budgets (see middleware/rateLimit.js)
+async function startApp({ transport = memoryTransport(), rateLimits } = {}) {
+  const mongod = await MongoMemoryServer.create();
+  const client = await MongoClient.connect(mongod.getUri());
+  const db = client.db("social_events_test");
+  await ensureIndexes(db);
+
+  return {
+    app: createApp({
+      db,
+      transport,
+      rateLimitStore: memoryStore(),
+      rateLimits,
+      pubsub: memoryPubSub(),
+    }),
+    db,
+    sent: transport.sent,
+    async stop() {
+      await client.close();
+      await mongod.stop();
+    },
+  };
+}
+
+// Authorization header for an API token (HS256), as issued by /auth/token
+function bearer(email) {
+  const token = jwt.sign({ email }, process.env.JWT_SECRET, {
+    algorithm: "HS256",
+    subject: email,
+    expiresIn: "1h",
+  });
+  return `Bearer ${token}`;
+}
+
+// Give a test user a role directly, skipping the admin endpoints
+async function grantRole(db, email, role) {
+  await db.collection("users").updateOne(
+    { email },
+    {
+      $set: { role },
+      $setOnInsert: { status: "active", createdAt: new Date() },
+    },
+    { upsert: true }
+  );
+}
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY);
+}
+
+let bodyCount = 0;
+
+// A valid POST /events body. Each one has a different description so the
+// duplicate-content check doesn't reject repeated test events.
+function eventBody(overrides = {}) {
+  bodyCount += 1;
+  return {
+    title: "Beach Cleanup",
+    description: `Pick up plastic along the shore with neighbours (#${bodyCount}).`,
+    eventType: "Cleanup",
+    location: "North Beach",
+    eventDate: daysFromNow(3).toISOString(),
+    ...overrides,
+  };
+}
+
+module.exports = {
+  DAY,
+  memoryTransport,
+  startApp,
+  bearer,
+  grantRole,
+  daysFromNow,
+  eventBody,
+};
@@ -0,0 +1,158 @@
+// test/joins.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { DAY, startApp, bearer, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+
+describe("joining events", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startApp();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  async function createEvent(overrides) {
+    const res = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody(overrides))
+      .expect(201);
+    return res.body.eventId;
+  }
+
+  function join(email, body) {
+    return request(ctx.app)
+      .post("/join-event")
+      .set("Authorization", bearer(email))
+      .send(body);
+  }
+
+  function leave(email, body) {
+    return request(ctx.app)
+      .post("/leave-event")
+      .set("Authorization", bearer(email))
+      .send(body);
+  }
+
+  describe("POST /join-event", () => {
+    it("joins once and rejects duplicates", async () => {
+      const eventId = await createEvent();
+
+      const res = await join("a@example.com", { eventId }).expect(201);
+      assert.equal(res.body.status, "confirmed");
+      assert.equal(res.body.scope, "series");
+
+      const again = await join("a@example.com", { eventId }).expect(400);
+      assert.equal(again.body.message, "You have already joined this event.");
+    });
+
+    it("waitlists once the event is full", async () => {
+      const eventId = await createEvent({ capacity: 1 });
+
+      const first = await join("a@example.com", { eventId }).expect(201);
+      assert.equal(first.body.seatsLeft, 0);
+
+      const second = await join("b@example.com", { eventId }).expect(201);
+      assert.equal(second.body.status, "waitlisted");
+      assert.equal(second.body.waitlistPosition, 1);
+    });
+
+    it("joins a single occurrence of a series", async () => {
+      const start = new Date(Date.now() + 2 * DAY);
+      const eventId = await createEvent({
+        eventDate: start.toISOString(),
+        recurrence: { freq: "DAILY", count: 3 },
+      });
+      const occurrenceDate = new Date(start.getTime() + DAY).toISOString();
+
+      const res = await join("a@example.com", {
+        eventId,
+        occurrenceDate,
+      }).expect(201);
+      assert.equal(res.body.scope, "occurrence");
+
+      // the whole series is blocked while single occurrences are joined
+      await join("a@example.com", { eventId }).expect(400);
+    });
+
+    it("validates the body and rejects cancelled or unknown events", async () => {
+      await join("a@example.com", { eventId: "nope" }).expect(400);
+      await join("a@example.com", {
+        eventId: "64b7f0c2a1b2c3d4e5f60718",
+      }).expect(404);
+
+      const eventId = await createEvent();
+      await request(ctx.app)
+        .delete(`/events/${eventId}`)
+        .set("Authorization", bearer(OWNER))
+        .expect(200);
+      await join("a@example.com", { eventId }).expect(400);
+
+      await request(ctx.app).post("/join-event").send({ eventId }).expect(401);
+    });
+
+    it("rejects events that are over but not yet completed", async () => {
+      const eventId = await createEvent();
+      // events can only be created in the future; move this one into the past
+      await ctx.db
+        .collection("events")
+        .updateOne(
+          { _id: new ObjectId(eventId) },
+          { $set: { eventDate: new Date(Date.now() - DAY) } }
+        );
+
+      const res = await join("a@example.com", { eventId }).expect(400);
+      assert.equal(res.body.message, "This event has already taken place.");
+    });
+  });
+
+  describe("POST /leave-event", () => {
+    it("frees the seat for the next person on the waitlist", async () => {
+      const eventId = await createEvent({ capacity: 1 });
+      await join("a@example.com", { eventId }).expect(201);
+      await join("b@example.com", { eventId }).expect(201);
+
+      const res = await leave("a@example.com", { eventId }).expect(200);
+      assert.equal(res.body.seatsLeft, 0);
+
+      const promoted = await ctx.db
+        .collection("joinedEvents")
+        .findOne({ userEmail: "b@example.com", status: "confirmed" });
+      assert.ok(promoted);
+      assert.ok(promoted.promotedAt);
+    });
+
+    it("returns 404 when the user has not joined", async () => {
+      const eventId = await createEvent();
+      await leave("nobody@example.com", { eventId }).expect(404);
+    });
+  });
+
+  describe("GET /joined", () => {
+    it("lists the caller's joins with waitlist positions", async () => {
+      const eventId = await createEvent({
+        title: "Joined Listing",
+        capacity: 1,
+      });
+      await join("c@example.com", { eventId }).expect(201);
+      await join("d@example.com", { eventId }).expect(201);
+
+      const res = await request(ctx.app)
+        .get("/joined?q=listing")
+        .set("Authorization", bearer("d@example.com"))
+        .expect(200);
+      assert.equal(res.body.count, 1);
+      assert.equal(res.body.joinedEvents[0].eventTitle, "Joined Listing");
+      assert.equal(res.body.joinedEvents[0].waitlistPosition, 1);
+
+      await request(ctx.app).get("/joined").expect(401);
+    });
+  });
+});
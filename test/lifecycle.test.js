@@ -0,0 +1,137 @@
+// test/lifecycle.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { DAY, startApp, bearer, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+const GUEST = "guest@example.com";
+const CRON = "Bearer test-cron-secret";
+
+describe("event lifecycle", () => {
+  let ctx;
+
+  before(async () => {
+    process.env.CRON_SECRET = "test-cron-secret";
+    ctx = await startApp();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  async function createEvent(overrides) {
+    const res = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody(overrides))
+      .expect(201);
+    return res.body.eventId;
+  }
+
+  function setStatus(id, body, email = OWNER) {
+    return request(ctx.app)
+      .post(`/events/${id}/status`)
+      .set("Authorization", bearer(email))
+      .send(body);
+  }
+
+  function join(id) {
+    return request(ctx.app)
+      .post("/join-event")
+      .set("Authorization", bearer(GUEST))
+      .send({ eventId: id });
+  }
+
+  async function listed(path, email) {
+    const req = request(ctx.app).get(path);
+    if (email) req.set("Authorization", bearer(email));
+    const res = await req.expect(200);
+    return res.body.events.map((e) => e._id);
+  }
+
+  it("keeps drafts private until they are published", async () => {
+    const id = await createEvent({ status: "draft" });
+
+    await request(ctx.app).get(`/events/${id}`).expect(404);
+    await request(ctx.app)
+      .get(`/events/${id}`)
+      .set("Authorization", bearer(GUEST))
+      .expect(404);
+    const own = await request(ctx.app)
+      .get(`/events/${id}`)
+      .set("Authorization", bearer(OWNER))
+      .expect(200);
+    assert.equal(own.body.event.status, "draft");
+
+    assert.ok(!(await listed("/events")).includes(id));
+    assert.ok((await listed("/events/user", OWNER)).includes(id));
+    await join(id).expect(404);
+
+    await setStatus(id, { status: "published" }, GUEST).expect(403);
+    await setStatus(id, { status: "published" }).expect(200);
+    await setStatus(id, { status: "published" }).expect(400);
+
+    assert.ok((await listed("/events")).includes(id));
+    await join(id).expect(201);
+  });
+
+  it("completes events once they are over", async () => {
+    const id = await createEvent();
+    await join(id).expect(201);
+
+    // not over yet: cancel instead
+    await setStatus(id, { status: "completed" }).expect(400);
+
+    const eventDate = new Date(Date.now() - DAY);
+    await ctx.db
+      .collection("events")
+      .updateOne({ _id: new ObjectId(id) }, { $set: { eventDate } });
+
+    await request(ctx.app).get("/cron/lifecycle").expect(401);
+    const cron = await request(ctx.app)
+      .get("/cron/lifecycle")
+      .set("Authorization", CRON)
+      .expect(200);
+    assert.ok(cron.body.completed >= 1);
+
+    assert.ok(!(await listed("/events")).includes(id));
+    assert.ok((await listed("/events?status=completed")).includes(id));
+
+    const res = await join(id).expect(400);
+    assert.equal(res.body.message, "This event has already taken place.");
+
+    const copy = await ctx.db
+      .collection("joinedEvents")
+      .findOne({ eventId: new ObjectId(id) });
+    assert.equal(copy.eventStatus, "completed");
+
+    await setStatus(id, { status: "cancelled" }).expect(400);
+    await request(ctx.app)
+      .patch(`/events/${id}`)
+      .set("Authorization", bearer(OWNER))
+      .send({ title: "Too late" })
+      .expect(400);
+
+    await setStatus(id, { status: "archived" }).expect(200);
+    assert.ok((await listed("/events?status=archived")).includes(id));
+  });
+
+  it("leaves cancelled events out of the upcoming list", async () => {
+    const id = await createEvent();
+    assert.ok((await listed("/events/upcoming")).includes(id));
+
+    await setStatus(id, { status: "cancelled", reason: "Flooding" }).expect(
+      200
+    );
+
+    assert.ok(!(await listed("/events/upcoming")).includes(id));
+    assert.ok((await listed("/events?status=cancelled")).includes(id));
+  });
+
+  it("rejects unknown statuses in listings", async () => {
+    await request(ctx.app).get("/events?status=draft").expect(400);
+    await request(ctx.app).get("/events?status=bogus").expect(400);
+  });
+});
@@ -0,0 +1,201 @@
+// test/moderation.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startApp, bearer, grantRole, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+const MOD = "mod@example.com";
+const ADMIN = "admin@example.com";
+
+describe("roles and moderation", () => {
+  let ctx;
+  let eventId;
+
+  before(async () => {
+    ctx = await startApp();
+    await grantRole(ctx.db, MOD, "moderator");
+    await grantRole(ctx.db, ADMIN, "admin");
+
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody())
+      .expect(201);
+    eventId = created.body.eventId;
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it("creates an account on first use and promotes event creators", async () => {
+    const res = await request(ctx.app)
+      .get("/auth/me")
+      .set("Authorization", bearer(OWNER))
+      .expect(200);
+    assert.equal(res.body.user.role, "organizer");
+    assert.equal(res.body.user.status, "active");
+
+    const fresh = await request(ctx.app)
+      .get("/auth/me")
+      .set("Authorization", bearer("new@example.com"))
+      .expect(200);
+    assert.equal(fresh.body.user.role, "user");
+  });
+
+  it("keeps moderation routes away from regular users", async () => {
+    await request(ctx.app)
+      .post(`/moderation/events/${eventId}/hide`)
+      .expect(401);
+
+    const res = await request(ctx.app)
+      .post(`/moderation/events/${eventId}/hide`)
+      .set("Authorization", bearer(OWNER))
+      .send({})
+      .expect(403);
+    assert.equal(res.body.message, "You do not have permission to do this.");
+  });
+
+  it("hides and restores an event", async () => {
+    await request(ctx.app)
+      .post(`/moderation/events/${eventId}/hide`)
+      .set("Authorization", bearer(MOD))
+      .send({ reason: "Spam" })
+      .expect(200);
+
+    const listed = await request(ctx.app).get("/events").expect(200);
+    assert.equal(listed.body.count, 0);
+
+    await request(ctx.app).get(`/events/${eventId}`).expect(404);
+    await request(ctx.app)
+      .post("/join-event")
+      .set("Authorization", bearer("a@example.com"))
+      .send({ eventId })
+      .expect(404);
+
+    // still visible to the creator and to staff
+    await request(ctx.app)
+      .get(`/events/${eventId}`)
+      .set("Authorization", bearer(OWNER))
+      .expect(200);
+    const hidden = await request(ctx.app)
+      .get("/moderation/events/hidden")
+      .set("Authorization", bearer(MOD))
+      .expect(200);
+    assert.equal(hidden.body.count, 1);
+    assert.equal(hidden.body.events[0].hiddenReason, "Spam");
+
+    await request(ctx.app)
+      .post(`/moderation/events/${eventId}/restore`)
+      .set("Authorization", bearer(MOD))
+      .expect(200);
+    await request(ctx.app).get(`/events/${eventId}`).expect(200);
+  });
+
+  it("features events and filters listings by them", async () => {
+    await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody({ title: "Tree Planting", eventType: "Plantation" }))
+      .expect(201);
+
+    await request(ctx.app)
+      .post(`/moderation/events/${eventId}/feature`)
+      .set("Authorization", bearer(MOD))
+      .send({ featured: true })
+      .expect(200);
+
+    const featured = await request(ctx.app)
+      .get("/events/upcoming?featured=true")
+      .expect(200);
+    assert.equal(featured.body.count, 1);
+    assert.equal(featured.body.events[0]._id, eventId);
+
+    const all = await request(ctx.app).get("/events/upcoming").expect(200);
+    assert.equal(all.body.count, 2);
+  });
+
+  it("suspends and reinstates accounts", async () => {
+    await request(ctx.app)
+      .post(`/moderation/users/${OWNER}/suspend`)
+      .set("Authorization", bearer(MOD))
+      .send({ reason: "Abusive messages" })
+      .expect(200);
+
+    const blocked = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody())
+      .expect(403);
+    assert.equal(blocked.body.message, "Your account is suspended.");
+
+    // moderators cannot act on staff at or above their own rank
+    await request(ctx.app)
+      .post(`/moderation/users/${ADMIN}/suspend`)
+      .set("Authorization", bearer(MOD))
+      .send({})
+      .expect(403);
+
+    await request(ctx.app)
+      .post(`/moderation/users/${OWNER}/reinstate`)
+      .set("Authorization", bearer(MOD))
+      .expect(200);
+    await request(ctx.app)
+      .get("/auth/me")
+      .set("Authorization", bearer(OWNER))
+      .expect(200);
+  });
+
+  it("lets only admins change roles", async () => {
+    await request(ctx.app)
+      .patch(`/moderation/users/${OWNER}/role`)
+      .set("Authorization", bearer(MOD))
+      .send({ role: "moderator" })
+      .expect(403);
+
+    await request(ctx.app)
+      .patch(`/moderation/users/${OWNER}/role`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ role: "superuser" })
+      .expect(400);
+
+    const res = await request(ctx.app)
+      .patch(`/moderation/users/${OWNER}/role`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ role: "moderator" })
+      .expect(200);
+    assert.equal(res.body.user.role, "moderator");
+
+    const staff = await request(ctx.app)
+      .get("/moderation/users?role=moderator")
+      .set("Authorization", bearer(MOD))
+      .expect(200);
+    assert.deepEqual(staff.body.users.map((u) => u.email).sort(), [MOD, OWNER]);
+  });
+
+  it("doesn't let admins change another admin's role or their own", async () => {
+    await grantRole(ctx.db, "admin2@example.com", "admin");
+
+    await request(ctx.app)
+      .patch("/moderation/users/admin2@example.com/role")
+      .set("Authorization", bearer(ADMIN))
+      .send({ role: "user" })
+      .expect(403);
+
+    await request(ctx.app)
+      .patch(`/moderation/users/${ADMIN}/role`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ role: "user" })
+      .expect(400);
+
+    const res = await request(ctx.app)
+      .get("/moderation/users?role=admin")
+      .set("Authorization", bearer(ADMIN))
+      .expect(200);
+    assert.deepEqual(res.body.users.map((u) => u.email).sort(), [
+      "admin2@example.com",
+      ADMIN,
+    ]);
+  });
+});
@@ -0,0 +1,222 @@
+// test/notifications.test.js
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  startApp,
+  bearer,
+  grantRole,
+  daysFromNow,
+  eventBody,
+} = require("./helpers");
+
+const OWNER = "owner@example.com";
+const MOD = "mod@example.com";
+const CRON = "Bearer test-cron-secret";
+
+describe("notifications", () => {
+  let ctx;
+
+  before(async () => {
+    process.env.CRON_SECRET = "test-cron-secret";
+    ctx = await startApp();
+    await grantRole(ctx.db, MOD, "moderator");
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(() => {
+    ctx.sent.length = 0;
+  });
+
+  async function createEvent(overrides) {
+    const res = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody(overrides))
+      .expect(201);
+    return res.body.eventId;
+  }
+
+  function join(email, eventId) {
+    return request(ctx.app)
+      .post("/join-event")
+      .set("Authorization", bearer(email))
+      .send({ eventId })
+      .expect(201);
+  }
+
+  function sentOf(type) {
+    return ctx.sent.filter((m) => m.type === type);
+  }
+
+  it("confirms joins, with the check-in code", async () => {
+    const eventId = await createEvent({ title: "Harbour Cleanup" });
+    const res = await join("a@example.com", eventId);
+
+    const [message] = sentOf("joined");
+    assert.equal(message.to, "a@example.com");
+    assert.match(message.subject, /Harbour Cleanup/);
+    assert.match(message.text, new RegExp(res.body.checkInCode));
+  });
+
+  it("tells participants about updates and cancellations", async () => {
+    const eventId = await createEvent();
+    await join("a@example.com", eventId);
+    await join("b@example.com", eventId);
+
+    await request(ctx.app)
+      .patch(`/events/${eventId}`)
+      .set("Authorization", bearer(OWNER))
+      .send({ location: "South Pier" })
+      .expect(200);
+
+    const updates = sentOf("eventUpdated");
+    assert.deepEqual(updates.map((m) => m.to).sort(), [
+      "a@example.com",
+      "b@example.com",
+    ]);
+    assert.match(updates[0].text, /South Pier/);
+
+    await request(ctx.app)
+      .delete(`/events/${eventId}`)
+      .set("Authorization", bearer(OWNER))
+      .send({ reason: "Storm warning" })
+      .expect(200);
+
+    const cancelled = sentOf("eventCancelled");
+    assert.equal(cancelled.length, 2);
+    assert.match(cancelled[0].text, /Storm warning/);
+  });
+
+  it("tells waitlisted users when they get a seat", async () => {
+    const eventId = await createEvent({ capacity: 1 });
+    await join("a@example.com", eventId);
+    await join("b@example.com", eventId);
+
+    await request(ctx.app)
+      .post("/leave-event")
+      .set("Authorization", bearer("a@example.com"))
+      .send({ eventId })
+      .expect(200);
+
+    const [promoted] = sentOf("promoted");
+    assert.equal(promoted.to, "b@example.com");
+  });
+
+  describe("GET /cron/notifications", () => {
+    it("requires the cron secret", async () => {
+      await request(ctx.app).get("/cron/notifications").expect(401);
+      await request(ctx.app)
+        .get("/cron/notifications")
+        .set("Authorization", "Bearer wrong")
+        .expect(401);
+    });
+
+    it("sends each 24-hour reminder once", async () => {
+      const soon = await createEvent({
+        title: "Sunrise Planting",
+        eventDate: daysFromNow(0.5).toISOString(),
+      });
+      await createEvent({ title: "Next Week Planting" });
+      await join("a@example.com", soon);
+
+      const first = await request(ctx.app)
+        .get("/cron/notifications")
+        .set("Authorization", CRON)
+        .expect(200);
+      assert.equal(first.body.reminders, 1);
+
+      const reminders = sentOf("reminder");
+      assert.equal(reminders.length, 1);
+      assert.equal(reminders[0].to, "a@example.com");
+      assert.match(reminders[0].subject, /Sunrise Planting/);
+
+      const second = await request(ctx.app)
+        .get("/cron/notifications")
+        .set("Authorization", CRON)
+        .expect(200);
+      assert.equal(second.body.reminders, 0);
+      assert.equal(sentOf("reminder").length, 1);
+    });
+
+    it("skips reminders for hidden events", async () => {
+      const hidden = await createEvent({
+        eventDate: daysFromNow(0.5).toISOString(),
+      });
+      await join("a@example.com", hidden);
+
+      await request(ctx.app)
+        .post(`/moderation/events/${hidden}/hide`)
+        .set("Authorization", bearer(MOD))
+        .send({ reason: "Spam" })
+        .expect(200);
+
+      const res = await request(ctx.app)
+        .get("/cron/notifications")
+        .set("Authorization", CRON)
+        .expect(200);
+      assert.equal(res.body.reminders, 0);
+    });
+  });
+});
+
+describe("notification retries", () => {
+  let ctx;
+  let failing;
+
+  before(async () => {
+    process.env.CRON_SECRET = "test-cron-secret";
+    failing = true;
+    const sent = [];
+    ctx = await startApp({
+      transport: {
+        name: "flaky",
+        sent,
+        async send(message) {
+          if (failing) throw new Error("mail server down");
+          sent.push(message);
+        },
+      },
+    });
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it("keeps failed messages and retries them later", async () => {
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody())
+      .expect(201);
+
+    // the join itself still succeeds
+    await request(ctx.app)
+      .post("/join-event")
+      .set("Authorization", bearer("a@example.com"))
+      .send({ eventId: created.body.eventId })
+      .expect(201);
+
+    const queued = await ctx.db
+      .collection("notifications")
+      .findOne({ to: "a@example.com" });
+    assert.equal(queued.status, "pending");
+    assert.equal(queued.lastError, "mail server down");
+
+    failing = false;
+    await ctx.db
+      .collection("notifications")
+      .updateOne({ _id: queued._id }, { $set: { sendAfter: new Date() } });
+
+    const res = await request(ctx.app)
+      .get("/cron/notifications")
+      .set("Authorization", CRON)
+      .expect(200);
+    assert.equal(res.body.sent, 1);
+    assert.equal(ctx.sent[0].to, "a@example.com");
+  });
+});
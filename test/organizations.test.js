@@ -0,0 +1,251 @@
+// test/organizations.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const request = require("supertest");
+const { startApp, bearer, eventBody, daysFromNow } = require("./helpers");
+
+const ADMIN = "lead@example.com";
+const MEMBER = "volunteer@example.com";
+const FAN = "fan@example.com";
+
+describe("organizations", () => {
+  let ctx;
+  let orgId;
+  let riverId;
+
+  before(async () => {
+    ctx = await startApp();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  function hostEvent(email, overrides = {}) {
+    return request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(email))
+      .send(eventBody({ organizationId: orgId, ...overrides }));
+  }
+
+  function editEvent(email, id) {
+    return request(ctx.app)
+      .patch(`/events/${id}`)
+      .set("Authorization", bearer(email))
+      .send({ location: "East Bank" });
+  }
+
+  it("creates an organization with a unique slug", async () => {
+    const res = await request(ctx.app)
+      .post("/organizations")
+      .set("Authorization", bearer(ADMIN))
+      .send({ name: "Green Streets Club", description: "Weekly cleanups" })
+      .expect(201);
+    assert.equal(res.body.organization.slug, "green-streets-club");
+    assert.equal(res.body.organization.memberCount, 1);
+    orgId = String(res.body.organization._id);
+
+    await request(ctx.app)
+      .post("/organizations")
+      .set("Authorization", bearer(MEMBER))
+      .send({ name: "Green Streets Club" })
+      .expect(409);
+
+    const page = await request(ctx.app)
+      .get("/organizations/green-streets-club")
+      .set("Authorization", bearer(ADMIN))
+      .expect(200);
+    assert.equal(page.body.organization.myRole, "admin");
+  });
+
+  it("lets only members host events", async () => {
+    await hostEvent(MEMBER).expect(403);
+
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/members`)
+      .set("Authorization", bearer(MEMBER))
+      .send({ email: MEMBER })
+      .expect(403);
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/members`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ email: MEMBER })
+      .expect(201);
+
+    // invited, not a member until they accept
+    await hostEvent(MEMBER).expect(403);
+    const [message] = ctx.sent.filter((m) => m.type === "organizationInvite");
+    assert.equal(message.to, MEMBER);
+
+    const invites = await request(ctx.app)
+      .get("/organizations/invites")
+      .set("Authorization", bearer(MEMBER))
+      .expect(200);
+    assert.equal(
+      invites.body.invites[0].organization.slug,
+      "green-streets-club"
+    );
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/members/accept`)
+      .set("Authorization", bearer(MEMBER))
+      .expect(200);
+
+    const res = await hostEvent(MEMBER, { title: "River Cleanup" }).expect(201);
+    riverId = res.body.eventId;
+    const event = await request(ctx.app).get(`/events/${riverId}`).expect(200);
+    assert.equal(event.body.event.organization.slug, "green-streets-club");
+    assert.equal(event.body.event.organizationAdmins, undefined);
+  });
+
+  it("lets invitees decline", async () => {
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/members`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ email: FAN })
+      .expect(201);
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/members`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ email: FAN })
+      .expect(400);
+
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/members/decline`)
+      .set("Authorization", bearer(FAN))
+      .expect(200);
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/members/accept`)
+      .set("Authorization", bearer(FAN))
+      .expect(404);
+
+    const res = await request(ctx.app)
+      .get(`/organizations/${orgId}/members`)
+      .set("Authorization", bearer(ADMIN))
+      .expect(200);
+    assert.deepEqual(
+      res.body.members.map((m) => m.email),
+      [ADMIN, MEMBER]
+    );
+    assert.equal(res.body.invites.length, 0);
+  });
+
+  it("lets organization admins manage hosted events", async () => {
+    await editEvent(FAN, riverId).expect(403);
+    await editEvent(ADMIN, riverId).expect(200);
+
+    const mine = await request(ctx.app)
+      .get("/events/user")
+      .set("Authorization", bearer(ADMIN))
+      .expect(200);
+    assert.ok(mine.body.events.some((e) => String(e._id) === riverId));
+  });
+
+  it("lists upcoming and past events on the organization page", async () => {
+    const past = await hostEvent(ADMIN, { title: "Spring Cleanup" }).expect(
+      201
+    );
+    await ctx.db
+      .collection("events")
+      .updateOne(
+        { _id: new ObjectId(past.body.eventId) },
+        { $set: { eventDate: daysFromNow(-3) } }
+      );
+
+    const upcoming = await request(ctx.app)
+      .get(`/organizations/${orgId}/events`)
+      .expect(200);
+    assert.deepEqual(
+      upcoming.body.events.map((e) => e.title),
+      ["River Cleanup"]
+    );
+
+    const before = await request(ctx.app)
+      .get("/organizations/green-streets-club/events?when=past")
+      .expect(200);
+    assert.deepEqual(
+      before.body.events.map((e) => e.title),
+      ["Spring Cleanup"]
+    );
+  });
+
+  it("builds a feed from followed organizations", async () => {
+    const empty = await request(ctx.app)
+      .get("/events/feed")
+      .set("Authorization", bearer(FAN))
+      .expect(200);
+    assert.equal(empty.body.count, 0);
+
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/follow`)
+      .set("Authorization", bearer(FAN))
+      .expect(200);
+    await request(ctx.app)
+      .post(`/organizations/${orgId}/follow`)
+      .set("Authorization", bearer(FAN))
+      .expect(200);
+
+    const page = await request(ctx.app)
+      .get(`/organizations/${orgId}`)
+      .set("Authorization", bearer(FAN))
+      .expect(200);
+    assert.equal(page.body.organization.followerCount, 1);
+    assert.equal(page.body.organization.following, true);
+
+    const feed = await request(ctx.app)
+      .get("/events/feed")
+      .set("Authorization", bearer(FAN))
+      .expect(200);
+    assert.deepEqual(
+      feed.body.events.map((e) => e.title),
+      ["River Cleanup"]
+    );
+
+    await request(ctx.app)
+      .delete(`/organizations/${orgId}/follow`)
+      .set("Authorization", bearer(FAN))
+      .expect(200);
+    const after = await request(ctx.app)
+      .get("/events/feed")
+      .set("Authorization", bearer(FAN))
+      .expect(200);
+    assert.equal(after.body.count, 0);
+  });
+
+  it("keeps at least one admin", async () => {
+    await request(ctx.app)
+      .delete(`/organizations/${orgId}/members/${ADMIN}`)
+      .set("Authorization", bearer(ADMIN))
+      .expect(400);
+
+    await request(ctx.app)
+      .patch(`/organizations/${orgId}/members/${MEMBER}`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ role: "admin" })
+      .expect(200);
+    await request(ctx.app)
+      .delete(`/organizations/${orgId}/members/${ADMIN}`)
+      .set("Authorization", bearer(ADMIN))
+      .expect(200);
+    await editEvent(ADMIN, riverId).expect(403);
+
+    await request(ctx.app)
+      .patch(`/organizations/${orgId}`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ description: "Gone" })
+      .expect(403);
+    await request(ctx.app)
+      .patch(`/organizations/${orgId}`)
+      .set("Authorization", bearer(MEMBER))
+      .send({ name: "Green Streets Collective" })
+      .expect(200);
+
+    const events = await request(ctx.app)
+      .get(`/organizations/${orgId}/events`)
+      .expect(200);
+    assert.equal(
+      events.body.events[0].organization.name,
+      "Green Streets Collective"
+    );
+  });
+});
@@ -0,0 +1,163 @@
+// test/organizers.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { startApp, bearer, grantRole, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+const HELPER = "helper@example.com";
+const ADMIN = "admin@example.com";
+
+describe("co-organizers", () => {
+  let ctx;
+  let eventId;
+
+  before(async () => {
+    ctx = await startApp();
+    await grantRole(ctx.db, ADMIN, "admin");
+
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody({ status: "draft" }))
+      .expect(201);
+    eventId = created.body.eventId;
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  function edit(email, title) {
+    return request(ctx.app)
+      .patch(`/events/${eventId}`)
+      .set("Authorization", bearer(email))
+      .send({ title });
+  }
+
+  it("invites a co-organizer who accepts", async () => {
+    await request(ctx.app)
+      .post(`/events/${eventId}/organizers`)
+      .set("Authorization", bearer(HELPER))
+      .send({ email: HELPER })
+      .expect(403);
+
+    await request(ctx.app)
+      .post(`/events/${eventId}/organizers`)
+      .set("Authorization", bearer(OWNER))
+      .send({ email: HELPER })
+      .expect(201);
+    await request(ctx.app)
+      .post(`/events/${eventId}/organizers`)
+      .set("Authorization", bearer(OWNER))
+      .send({ email: HELPER })
+      .expect(400);
+
+    const message = ctx.sent.find((m) => m.to === HELPER);
+    assert.match(message.subject, /^Help organize/);
+
+    const invites = await request(ctx.app)
+      .get("/organizer-invites")
+      .set("Authorization", bearer(HELPER))
+      .expect(200);
+    assert.equal(invites.body.invites[0].owner, OWNER);
+
+    // an invite alone grants nothing
+    await edit(HELPER, "Not Yet").expect(403);
+
+    await request(ctx.app)
+      .post(`/events/${eventId}/organizers/accept`)
+      .set("Authorization", bearer(HELPER))
+      .expect(200);
+    await request(ctx.app)
+      .post(`/events/${eventId}/organizers/accept`)
+      .set("Authorization", bearer(HELPER))
+      .expect(404);
+  });
+
+  it("gives co-organizers the organizer views", async () => {
+    // drafts are visible to the whole team
+    await request(ctx.app)
+      .get(`/events/${eventId}`)
+      .set("Authorization", bearer(HELPER))
+      .expect(200);
+
+    await edit(HELPER, "Team Cleanup").expect(200);
+
+    const mine = await request(ctx.app)
+      .get("/events/user")
+      .set("Authorization", bearer(HELPER))
+      .expect(200);
+    assert.deepEqual(
+      mine.body.events.map((e) => e.title),
+      ["Team Cleanup"]
+    );
+
+    await request(ctx.app)
+      .get(`/events/${eventId}/roster`)
+      .set("Authorization", bearer(HELPER))
+      .expect(200);
+
+    const team = await request(ctx.app)
+      .get(`/events/${eventId}/organizers`)
+      .set("Authorization", bearer(HELPER))
+      .expect(200);
+    assert.equal(team.body.owner, OWNER);
+    assert.deepEqual(team.body.coOrganizers, [HELPER]);
+  });
+
+  it("transfers ownership to a co-organizer", async () => {
+    await request(ctx.app)
+      .post(`/events/${eventId}/transfer`)
+      .set("Authorization", bearer(OWNER))
+      .send({ email: "stranger@example.com" })
+      .expect(400);
+
+    const stored = () =>
+      ctx.db.collection("events").findOne({ _id: new ObjectId(eventId) });
+    const original = await stored();
+
+    const res = await request(ctx.app)
+      .post(`/events/${eventId}/transfer`)
+      .set("Authorization", bearer(OWNER))
+      .send({ email: HELPER })
+      .expect(200);
+    assert.equal(res.body.owner, HELPER);
+    assert.deepEqual(res.body.coOrganizers, [OWNER]);
+    assert.equal((await stored()).version, original.version + 1);
+
+    // the old owner can leave the team now
+    await request(ctx.app)
+      .delete(`/events/${eventId}/organizers/${HELPER}`)
+      .set("Authorization", bearer(OWNER))
+      .expect(403);
+    await request(ctx.app)
+      .delete(`/events/${eventId}/organizers/${OWNER}`)
+      .set("Authorization", bearer(OWNER))
+      .expect(200);
+    await edit(OWNER, "Locked Out").expect(403);
+  });
+
+  it("lets an admin hand an orphaned event to anyone", async () => {
+    await request(ctx.app)
+      .post(`/events/${eventId}/transfer`)
+      .set("Authorization", bearer(ADMIN))
+      .send({ email: "newlead@example.com" })
+      .expect(200);
+
+    await edit("newlead@example.com", "New Lead Cleanup").expect(200);
+
+    const history = await request(ctx.app)
+      .get(`/events/${eventId}/history`)
+      .set("Authorization", bearer(ADMIN))
+      .expect(200);
+    const transfer = history.body.history.find(
+      (e) => e.action === "event.transferred"
+    );
+    assert.deepEqual(transfer.changes.creatorEmail, {
+      from: HELPER,
+      to: "newlead@example.com",
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// test/rateLimit.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { memoryStore } = require("../lib/rateLimitStores");
+const { startApp, bearer, eventBody } = require("./helpers");
+
+describe("rate limiting and duplicate detection", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startApp({
+      rateLimits: {
+        createEvent: { perUser: 2, perIp: 3 },
+      },
+    });
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  function create(email, body = eventBody()) {
+    return request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(email))
+      .send(body);
+  }
+
+  it("sends RateLimit headers and answers 429 over the user budget", async () => {
+    const first = await create("a@example.com").expect(201);
+    assert.equal(first.headers["ratelimit-limit"], "2");
+    assert.equal(first.headers["ratelimit-remaining"], "1");
+    assert.ok(Number(first.headers["ratelimit-reset"]) > 0);
+
+    await create("a@example.com").expect(201);
+
+    const limited = await create("a@example.com").expect(429);
+    assert.equal(limited.headers["ratelimit-remaining"], "0");
+    assert.ok(Number(limited.headers["retry-after"]) > 0);
+    assert.equal(
+      limited.body.retryAfter,
+      Number(limited.headers["retry-after"])
+    );
+  });
+
+  it("also limits per IP across users", async () => {
+    // a@ already used three requests from this IP
+    const res = await create("b@example.com").expect(429);
+    assert.match(res.body.message, /^Too many requests/);
+  });
+
+  it("rejects near-identical events from the same creator", async () => {
+    const fresh = await startApp();
+    try {
+      const body = eventBody({ title: "Park Cleanup" });
+      const first = await request(fresh.app)
+        .post("/events")
+        .set("Authorization", bearer("c@example.com"))
+        .send(body)
+        .expect(201);
+
+      const res = await request(fresh.app)
+        .post("/events")
+        .set("Authorization", bearer("c@example.com"))
+        .send({
+          ...body,
+          title: "  park CLEANUP!! ",
+          description: body.description.toUpperCase(),
+        })
+        .expect(409);
+      assert.ok(res.body.duplicateOf);
+
+      // other people can post the same thing
+      await request(fresh.app)
+        .post("/events")
+        .set("Authorization", bearer("d@example.com"))
+        .send(body)
+        .expect(201);
+
+      // ...and so can its creator once it is cancelled
+      await request(fresh.app)
+        .delete(`/events/${first.body.eventId}`)
+        .set("Authorization", bearer("c@example.com"))
+        .expect(200);
+      await request(fresh.app)
+        .post("/events")
+        .set("Authorization", bearer("c@example.com"))
+        .send(body)
+        .expect(201);
+
+      // a double submit: only one of two concurrent requests gets in
+      const twice = eventBody({ title: "Tree Planting" });
+      const both = await Promise.all(
+        [1, 2].map(() =>
+          request(fresh.app)
+            .post("/events")
+            .set("Authorization", bearer("e@example.com"))
+            .send(twice)
+        )
+      );
+      assert.deepEqual(both.map((r) => r.status).sort(), [201, 409]);
+    } finally {
+      await fresh.stop();
+    }
+  });
+
+  it("memory store counts per fixed window", async () => {
+    const store = memoryStore();
+    const a = await store.hit("k", 60000);
+    const b = await store.hit("k", 60000);
+    assert.equal(a.count, 1);
+    assert.equal(b.count, 2);
+    assert.equal(a.resetAt.getTime() % 60000, 0);
+    assert.equal((await store.hit("other", 60000)).count, 1);
+  });
+});
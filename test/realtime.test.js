@@ -0,0 +1,189 @@
+// test/realtime.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const request = require("supertest");
+const { startApp, bearer, grantRole, eventBody } = require("./helpers");
+
+const ORGANIZER = "organizer@example.com";
+const PARTICIPANT = "participant@example.com";
+const MOD = "mod@example.com";
+
+// Reads an SSE response; next(type) resolves with the next message of
+// that type, `ended` once the server closes the stream
+function readStream(res) {
+  const messages = [];
+  const waiting = [];
+  let buffer = "";
+
+  function check() {
+    for (const wait of [...waiting]) {
+      const index = messages.findIndex((m) => m.type === wait.type);
+      if (index !== -1) {
+        waiting.splice(waiting.indexOf(wait), 1);
+        wait.resolve(messages.splice(index, 1)[0]);
+      }
+    }
+  }
+
+  res.setEncoding("utf8");
+  res.on("data", (chunk) => {
+    buffer += chunk;
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const data = block.split("\n").find((line) => line.startsWith("data: "));
+      if (data) messages.push(JSON.parse(data.slice(6)));
+    }
+    check();
+  });
+
+  return {
+    ended: new Promise((resolve) => res.on("end", resolve)),
+    next(type) {
+      return new Promise((resolve) => {
+        waiting.push({ type, resolve });
+        check();
+      });
+    },
+  };
+}
+
+describe("real-time streams", () => {
+  let ctx;
+  let server;
+  let eventId;
+  const open = [];
+
+  before(async () => {
+    ctx = await startApp();
+    await grantRole(ctx.db, MOD, "moderator");
+    server = http.createServer(ctx.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(ORGANIZER))
+      .send(eventBody({ capacity: 10 }))
+      .expect(201);
+    eventId = created.body.eventId;
+  });
+
+  after(async () => {
+    open.forEach((req) => req.destroy());
+    await new Promise((resolve) => server.close(resolve));
+    await ctx.stop();
+  });
+
+  function subscribe(path, email) {
+    const token = email ? bearer(email).slice("Bearer ".length) : null;
+    const url = `http://localhost:${server.address().port}${path}${
+      token ? `?access_token=${token}` : ""
+    }`;
+
+    return new Promise((resolve, reject) => {
+      const req = http.get(
+        url,
+        { headers: { Accept: "text/event-stream" } },
+        (res) => {
+          resolve({ status: res.statusCode, ...readStream(res) });
+        }
+      );
+      req.on("error", reject);
+      open.push(req);
+    });
+  }
+
+  it("pushes joins, edits and comments to event subscribers", async () => {
+    const stream = await subscribe(`/events/${eventId}/stream`);
+    assert.equal(stream.status, 200);
+    await stream.next("ready");
+
+    await request(ctx.app)
+      .post("/join-event")
+      .set("Authorization", bearer(PARTICIPANT))
+      .send({ eventId })
+      .expect(201);
+    const joined = await stream.next("participants");
+    assert.equal(joined.participantCount, 1);
+    assert.equal(joined.seatsLeft, 9);
+
+    await request(ctx.app)
+      .patch(`/events/${eventId}`)
+      .set("Authorization", bearer(ORGANIZER))
+      .send({ title: "Evening Cleanup" })
+      .expect(200);
+    const updated = await stream.next("event.updated");
+    assert.deepEqual(updated.fields, ["title"]);
+
+    await request(ctx.app)
+      .post(`/events/${eventId}/comments`)
+      .set("Authorization", bearer(PARTICIPANT))
+      .send({ body: "Should we bring gloves?" })
+      .expect(201);
+    const comment = await stream.next("comment.created");
+    assert.equal(comment.comment.body, "Should we bring gloves?");
+    assert.equal(comment.comment.authorEmail, undefined);
+  });
+
+  it("ends event streams once the viewer can no longer see the event", async () => {
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(ORGANIZER))
+      .send(eventBody())
+      .expect(201);
+    const id = created.body.eventId;
+
+    const viewer = await subscribe(`/events/${id}/stream`);
+    const organizer = await subscribe(`/events/${id}/stream`, ORGANIZER);
+    await viewer.next("ready");
+    await organizer.next("ready");
+
+    await request(ctx.app)
+      .post(`/moderation/events/${id}/hide`)
+      .set("Authorization", bearer(MOD))
+      .send({ reason: "Spam" })
+      .expect(200);
+    const hidden = await viewer.next("event.visibility");
+    assert.equal(hidden.hidden, true);
+    await viewer.ended;
+
+    const again = await subscribe(`/events/${id}/stream`);
+    assert.equal(again.status, 404);
+
+    // the organizer can still see it
+    await organizer.next("event.visibility");
+    await request(ctx.app)
+      .post(`/moderation/events/${id}/restore`)
+      .set("Authorization", bearer(MOD))
+      .expect(200);
+    const restored = await organizer.next("event.visibility");
+    assert.equal(restored.hidden, false);
+  });
+
+  it("follows the user's joins on the dashboard stream", async () => {
+    const unauthorized = await subscribe("/joined/stream");
+    assert.equal(unauthorized.status, 401);
+
+    const dashboard = await subscribe("/joined/stream", PARTICIPANT);
+    await dashboard.next("ready");
+
+    await request(ctx.app)
+      .post(`/events/${eventId}/status`)
+      .set("Authorization", bearer(ORGANIZER))
+      .send({ status: "cancelled", reason: "Storm warning" })
+      .expect(200);
+    const cancelled = await dashboard.next("event.status");
+    assert.equal(cancelled.eventId, eventId);
+    assert.equal(cancelled.status, "cancelled");
+
+    await request(ctx.app)
+      .post("/leave-event")
+      .set("Authorization", bearer(PARTICIPANT))
+      .send({ eventId })
+      .expect(200);
+    const left = await dashboard.next("left");
+    assert.equal(left.stillJoined, false);
+  });
+});
@@ -0,0 +1,157 @@
+// test/recommendations.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { buildProfile, rankEvents } = require("../lib/recommend");
+const { startApp, bearer, eventBody } = require("./helpers");
+
+function point(lat, lng) {
+  return { type: "Point", coordinates: [lng, lat] };
+}
+
+describe("rankEvents", () => {
+  const candidates = [
+    {
+      _id: "a",
+      eventType: "Cleanup",
+      creatorEmail: "club@example.com",
+      geo: point(28.6, 77.2),
+      participantCount: 3,
+      eventDate: new Date("2027-01-05"),
+    },
+    {
+      _id: "b",
+      eventType: "Donation",
+      creatorEmail: "other@example.com",
+      geo: point(19.07, 72.87),
+      participantCount: 40,
+      eventDate: new Date("2027-01-02"),
+    },
+    {
+      _id: "c",
+      eventType: "Cleanup",
+      creatorEmail: "other@example.com",
+      participantCount: 0,
+      eventDate: new Date("2027-01-01"),
+    },
+  ];
+
+  it("prefers familiar types, organizers and places", () => {
+    const profile = buildProfile([
+      {
+        eventType: "Cleanup",
+        creatorEmail: "club@example.com",
+        geo: point(28.61, 77.21),
+      },
+      { eventType: "Cleanup", creatorEmail: "club@example.com", geo: null },
+    ]);
+
+    const ranked = rankEvents(candidates, profile, { limit: 10 });
+    assert.deepEqual(
+      ranked.map((e) => e._id),
+      ["a", "c", "b"]
+    );
+    assert.deepEqual(ranked[0].recommendation.reasons, [
+      "type",
+      "organizer",
+      "nearby",
+      "popular",
+    ]);
+    assert.equal(ranked[1].recommendation.score, 3);
+  });
+
+  it("falls back to popularity, then date, without history", () => {
+    const ranked = rankEvents(candidates, buildProfile([]), { limit: 2 });
+    assert.deepEqual(
+      ranked.map((e) => e._id),
+      ["b", "a"]
+    );
+    assert.deepEqual(ranked[0].recommendation, {
+      score: 1,
+      reasons: ["popular"],
+    });
+  });
+
+  it("uses the user's location instead of past venues when given", () => {
+    const profile = buildProfile([], { near: point(19.08, 72.88) });
+    const ranked = rankEvents(candidates, profile, { limit: 1 });
+    assert.deepEqual(ranked[0].recommendation.reasons, ["nearby", "popular"]);
+  });
+});
+
+describe("GET /events/recommended", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startApp();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  async function createEvent(email, overrides) {
+    const res = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(email))
+      .send(eventBody(overrides))
+      .expect(201);
+    return res.body.eventId;
+  }
+
+  function join(email, eventId) {
+    return request(ctx.app)
+      .post("/join-event")
+      .set("Authorization", bearer(email))
+      .send({ eventId })
+      .expect(201);
+  }
+
+  it("ranks unjoined events by the user's history", async () => {
+    const joined = await createEvent("club@example.com", {
+      title: "Park Cleanup",
+    });
+    await createEvent("club@example.com", { title: "River Cleanup" });
+    const popular = await createEvent("other@example.com", {
+      title: "Food Drive",
+      eventType: "Donation",
+    });
+
+    await join("volunteer@example.com", joined);
+    await join("someone@example.com", popular);
+    await join("another@example.com", popular);
+
+    const res = await request(ctx.app)
+      .get("/events/recommended")
+      .set("Authorization", bearer("volunteer@example.com"))
+      .expect(200);
+    assert.deepEqual(
+      res.body.events.map((e) => e.title),
+      ["River Cleanup", "Food Drive"]
+    );
+    assert.deepEqual(res.body.events[0].recommendation.reasons, [
+      "type",
+      "organizer",
+    ]);
+
+    // organizers are not recommended their own events
+    const own = await request(ctx.app)
+      .get("/events/recommended")
+      .set("Authorization", bearer("other@example.com"))
+      .expect(200);
+    assert.ok(own.body.events.every((e) => e.title !== "Food Drive"));
+  });
+
+  it("gives new users the most joined events first", async () => {
+    const res = await request(ctx.app)
+      .get("/events/recommended?limit=1")
+      .set("Authorization", bearer("newcomer@example.com"))
+      .expect(200);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.events[0].title, "Food Drive");
+  });
+
+  it("requires sign-in", async () => {
+    await request(ctx.app).get("/events/recommended").expect(401);
+  });
+});
@@ -0,0 +1,194 @@
+// test/roster.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { DAY, startApp, bearer, eventBody } = require("./helpers");
+
+const OWNER = "owner@example.com";
+
+describe("roster and check-in", () => {
+  let ctx;
+  let eventId;
+  let codes;
+
+  before(async () => {
+    ctx = await startApp();
+
+    const created = await request(ctx.app)
+      .post("/events")
+      .set("Authorization", bearer(OWNER))
+      .send(eventBody({ capacity: 2 }))
+      .expect(201);
+    eventId = created.body.eventId;
+
+    codes = {};
+    for (const email of ["a@example.com", "b@example.com", "c@example.com"]) {
+      const res = await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer(email))
+        .send({ eventId })
+        .expect(201);
+      codes[email] = res.body.checkInCode;
+    }
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  function checkIn(body, email = OWNER) {
+    return request(ctx.app)
+      .post(`/events/${eventId}/check-in`)
+      .set("Authorization", bearer(email))
+      .send(body);
+  }
+
+  describe("GET /events/:id/roster", () => {
+    it("lists participants for the organizer", async () => {
+      const res = await request(ctx.app)
+        .get(`/events/${eventId}/roster`)
+        .set("Authorization", bearer(OWNER))
+        .expect(200);
+
+      assert.deepEqual(res.body.summary, {
+        total: 3,
+        confirmed: 2,
+        waitlisted: 1,
+        checkedIn: 0,
+      });
+      assert.equal(res.body.attendees[0].userEmail, "a@example.com");
+      assert.equal(res.body.attendees[0].checkInCode, undefined);
+    });
+
+    it("filters by status", async () => {
+      const res = await request(ctx.app)
+        .get(`/events/${eventId}/roster?status=waitlisted`)
+        .set("Authorization", bearer(OWNER))
+        .expect(200);
+      assert.deepEqual(
+        res.body.attendees.map((a) => a.userEmail),
+        ["c@example.com"]
+      );
+
+      await request(ctx.app)
+        .get(`/events/${eventId}/roster?status=bogus`)
+        .set("Authorization", bearer(OWNER))
+        .expect(400);
+    });
+
+    it("is only visible to the organizer", async () => {
+      await request(ctx.app)
+        .get(`/events/${eventId}/roster`)
+        .set("Authorization", bearer("a@example.com"))
+        .expect(403);
+      await request(ctx.app).get(`/events/${eventId}/roster`).expect(401);
+    });
+  });
+
+  describe("POST /events/:id/check-in", () => {
+    it("checks in by scanned code, once", async () => {
+      const code = codes["a@example.com"].toLowerCase();
+
+      const res = await checkIn({ code }).expect(200);
+      assert.equal(res.body.userEmail, "a@example.com");
+      assert.equal(res.body.checkedIn, true);
+      assert.equal(res.body.changed, true);
+
+      const again = await checkIn({ code }).expect(200);
+      assert.equal(again.body.message, "Already checked in.");
+    });
+
+    it("checks in and undoes by email", async () => {
+      await checkIn({ userEmail: "b@example.com" }).expect(200);
+
+      const undo = await checkIn({
+        userEmail: "b@example.com",
+        present: false,
+      }).expect(200);
+      assert.equal(undo.body.checkedIn, false);
+    });
+
+    it("rejects waitlisted participants, unknown codes and non-organizers", async () => {
+      await checkIn({ userEmail: "c@example.com" }).expect(400);
+      await checkIn({ code: "NOTAREALCODE" }).expect(404);
+      await checkIn({}).expect(400);
+      await checkIn({ userEmail: "b@example.com" }, "a@example.com").expect(
+        403
+      );
+    });
+
+    it("requires an occurrence for whole-series joins", async () => {
+      const start = new Date(Date.now() + 2 * DAY);
+      start.setUTCHours(9, 0, 0, 0);
+      const created = await request(ctx.app)
+        .post("/events")
+        .set("Authorization", bearer(OWNER))
+        .send(
+          eventBody({
+            eventDate: start.toISOString(),
+            recurrence: { freq: "WEEKLY", count: 3 },
+          })
+        )
+        .expect(201);
+      const seriesId = created.body.eventId;
+
+      await request(ctx.app)
+        .post("/join-event")
+        .set("Authorization", bearer("a@example.com"))
+        .send({ eventId: seriesId })
+        .expect(201);
+
+      const url = `/events/${seriesId}/check-in`;
+      await request(ctx.app)
+        .post(url)
+        .set("Authorization", bearer(OWNER))
+        .send({ userEmail: "a@example.com" })
+        .expect(400);
+
+      await request(ctx.app)
+        .post(url)
+        .set("Authorization", bearer(OWNER))
+        .send({ userEmail: "a@example.com", occurrenceDate: start })
+        .expect(200);
+
+      const roster = await request(ctx.app)
+        .get(`/events/${seriesId}/roster?occurrenceDate=${start.getTime()}`)
+        .set("Authorization", bearer(OWNER))
+        .expect(200);
+      assert.equal(roster.body.summary.checkedIn, 1);
+
+      await request(ctx.app)
+        .get(`/events/${seriesId}/attendance.csv`)
+        .set("Authorization", bearer(OWNER))
+        .expect(400);
+    });
+  });
+
+  describe("GET /events/:id/attendance.csv", () => {
+    it("exports one row per participant", async () => {
+      const res = await request(ctx.app)
+        .get(`/events/${eventId}/attendance.csv`)
+        .set("Authorization", bearer(OWNER))
+        .expect(200);
+
+      assert.match(res.headers["content-type"], /^text\/csv/);
+      assert.match(res.headers["content-disposition"], /attendance-/);
+
+      const lines = res.text.trim().split("\r\n");
+      assert.equal(
+        lines[0],
+        "Email,Status,Scope,Joined at,Checked in,Checked in at,Checked in by"
+      );
+      assert.equal(lines.length, 4);
+      assert.match(lines[1], /^a@example\.com,confirmed,series,.*,yes,/);
+      assert.match(lines[2], /^b@example\.com,confirmed,series,.*,no,/);
+    });
+
+    it("is only available to the organizer", async () => {
+      await request(ctx.app)
+        .get(`/events/${eventId}/attendance.csv`)
+        .set("Authorization", bearer("b@example.com"))
+        .expect(403);
+    });
+  });
+});
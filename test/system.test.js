@@ -0,0 +1,123 @@
+// test/system.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const crypto = require("node:crypto");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const { startApp, bearer, grantRole } = require("./helpers");
+
+// Stand-in identity provider: one RSA key served as a JWKS
+function startJwksServer() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const jwk = { ...publicKey.export({ format: "jwk" }), kid: "test-key" };
+
+  const server = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ keys: [{ ...jwk, use: "sig", alg: "RS256" }] }));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        uri: `http://127.0.0.1:${server.address().port}/jwks.json`,
+        sign: (claims) =>
+          jwt.sign(claims, privateKey, {
+            algorithm: "RS256",
+            keyid: "test-key",
+            expiresIn: "5m",
+          }),
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+describe("system and auth routes", () => {
+  let ctx;
+  let idp;
+
+  before(async () => {
+    idp = await startJwksServer();
+    process.env.JWKS_URI = idp.uri;
+    ctx = await startApp();
+  });
+
+  after(async () => {
+    await ctx.stop();
+    await idp.close();
+  });
+
+  it("GET / answers", async () => {
+    const res = await request(ctx.app).get("/").expect(200);
+    assert.match(res.text, /API is running/);
+  });
+
+  it("GET /test-db pings the database", async () => {
+    const res = await request(ctx.app).get("/test-db").expect(200);
+    assert.equal(res.body.ok, true);
+    assert.equal(typeof res.body.totalEvents, "number");
+  });
+
+  it("GET /seed-demo-events is admin-only", async () => {
+    await request(ctx.app).get("/seed-demo-events").expect(401);
+    await request(ctx.app)
+      .get("/seed-demo-events")
+      .set("Authorization", bearer("someone@example.com"))
+      .expect(403);
+  });
+
+  it("GET /seed-demo-events inserts the demo events", async () => {
+    await grantRole(ctx.db, "admin@example.com", "admin");
+
+    const res = await request(ctx.app)
+      .get("/seed-demo-events")
+      .set("Authorization", bearer("admin@example.com"))
+      .expect(200);
+    assert.equal(res.body.insertedCount, 5);
+
+    const upcoming = await request(ctx.app).get("/events/upcoming").expect(200);
+    assert.equal(upcoming.body.count, 5);
+  });
+
+  describe("POST /auth/token", () => {
+    it("exchanges a provider token for an API token", async () => {
+      const idToken = idp.sign({ sub: "u1", email: "idp@example.com" });
+
+      const res = await request(ctx.app)
+        .post("/auth/token")
+        .send({ idToken })
+        .expect(200);
+      assert.equal(res.body.email, "idp@example.com");
+
+      // the issued token works on protected routes
+      await request(ctx.app)
+        .get("/events/user")
+        .set("Authorization", `Bearer ${res.body.token}`)
+        .expect(200);
+    });
+
+    it("requires an idToken", async () => {
+      await request(ctx.app).post("/auth/token").send({}).expect(400);
+      await request(ctx.app).post("/auth/token").expect(400);
+    });
+
+    it("rejects tokens the provider did not sign", async () => {
+      const res = await request(ctx.app)
+        .post("/auth/token")
+        .send({ idToken: bearer("x@example.com").slice(7) })
+        .expect(401);
+      assert.equal(res.body.message, "Invalid identity token.");
+    });
+  });
+
+  it("rejects malformed bearer tokens", async () => {
+    const res = await request(ctx.app)
+      .get("/joined")
+      .set("Authorization", "Bearer not-a-token")
+      .expect(401);
+    assert.equal(res.body.message, "Invalid or expired token.");
+  });
+});